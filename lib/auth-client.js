@@ -0,0 +1,273 @@
+/**
+ * lib/auth-client.js
+ * IS-10 / BCP-003-02 OAuth 2.0 client: Authorization Server discovery,
+ * dynamic client registration and client_credentials tokens with refresh
+ */
+
+const DEFAULT_SCOPES = 'registration query node connection events';
+
+// Never schedule a refresh sooner than this, even for very short-lived tokens
+const MIN_REFRESH_MS = 5000;
+const MAX_RETRY_MS = 60000;
+
+const normalizeUrl = (url) => {
+    let normalized = String(url || '').trim();
+    while (normalized.endsWith('/')) {
+        normalized = normalized.slice(0, -1);
+    }
+    return normalized;
+};
+
+/**
+ * Create an IS-10 authorization client.
+ *
+ * The Authorization Server metadata is read from
+ * `{authServerUrl}/.well-known/oauth-authorization-server` (RFC 8414). Without a
+ * configured client_id the client registers itself at the advertised
+ * registration_endpoint (RFC 7591). Tokens are requested with the
+ * client_credentials grant and refreshed at half their lifetime.
+ *
+ * @param {Object} options
+ * @param {Function} options.getAuthServerUrl - Returns the Authorization Server base URL (or null)
+ * @param {Object} options.http - axios instance used for all Authorization Server requests
+ *   (requests are flagged `skipAuthRetry` so a 401 from the server is not retried with a token)
+ * @param {string} [options.clientId] - Pre-registered client_id (skips dynamic registration)
+ * @param {string} [options.clientSecret] - Secret for the pre-registered client
+ * @param {string} [options.clientName] - client_name used for dynamic registration
+ * @param {string} [options.scopes] - Space separated scopes to request
+ * @param {Function} [options.log] - Logger for normal events
+ * @param {Function} [options.warn] - Logger for failures
+ * @param {Function} [options.onToken] - Called with the token object after every grant
+ */
+const createAuthClient = (options) => {
+    const httpClient = options.http;
+    const scopes = (options.scopes || DEFAULT_SCOPES).trim();
+    const log = options.log || (() => {});
+    const warn = options.warn || (() => {});
+    const onToken = options.onToken || (() => {});
+
+    let metadata = null;
+    let metadataUrl = null;
+    let client = options.clientId
+        ? { client_id: options.clientId, client_secret: options.clientSecret || null, registered: false }
+        : null;
+    let token = null;
+    let refreshTimer = null;
+    let pending = null;
+    let failures = 0;
+    let stopped = false;
+
+    const fetchMetadata = async () => {
+        const baseUrl = normalizeUrl(options.getAuthServerUrl());
+        if (!baseUrl) {
+            throw new Error('No IS-10 Authorization Server available');
+        }
+
+        const url = `${baseUrl}/.well-known/oauth-authorization-server`;
+        if (metadata && metadataUrl === url) {
+            return metadata;
+        }
+
+        const response = await httpClient.get(url, {
+            headers: { 'Accept': 'application/json' },
+            skipAuthRetry: true
+        });
+        if (!response.data || !response.data.token_endpoint) {
+            throw new Error(`Invalid Authorization Server metadata at ${url}`);
+        }
+
+        metadata = response.data;
+        metadataUrl = url;
+        log(`IS-10 Authorization Server: ${metadata.issuer || baseUrl}`);
+        return metadata;
+    };
+
+    // Prefer client_secret_basic; fall back to client_secret_post if that is all the server accepts
+    const getAuthMethod = () => {
+        const supported = (metadata && metadata.token_endpoint_auth_methods_supported) || ['client_secret_basic'];
+        if (!client || !client.client_secret) return 'none';
+        if (supported.includes('client_secret_basic')) return 'client_secret_basic';
+        if (supported.includes('client_secret_post')) return 'client_secret_post';
+        return 'client_secret_basic';
+    };
+
+    const registerClient = async () => {
+        if (!metadata.registration_endpoint) {
+            throw new Error('Authorization Server does not support dynamic client registration; configure a client ID');
+        }
+
+        const response = await httpClient.post(metadata.registration_endpoint, {
+            client_name: options.clientName || 'node-red-contrib-nmos-client',
+            grant_types: ['client_credentials'],
+            response_types: ['none'],
+            token_endpoint_auth_method: 'client_secret_basic',
+            scope: scopes
+        }, {
+            headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+            skipAuthRetry: true
+        });
+
+        if (!response.data || !response.data.client_id) {
+            throw new Error('Client registration response has no client_id');
+        }
+
+        client = {
+            client_id: response.data.client_id,
+            client_secret: response.data.client_secret || null,
+            registered: true
+        };
+        log(`Registered IS-10 client: ${client.client_id}`);
+    };
+
+    const requestToken = async () => {
+        const form = new URLSearchParams();
+        form.append('grant_type', 'client_credentials');
+        form.append('scope', scopes);
+
+        const headers = {
+            'Accept': 'application/json',
+            'Content-Type': 'application/x-www-form-urlencoded'
+        };
+
+        const method = getAuthMethod();
+        if (method === 'client_secret_basic') {
+            const basic = Buffer.from(
+                `${encodeURIComponent(client.client_id)}:${encodeURIComponent(client.client_secret)}`
+            ).toString('base64');
+            headers['Authorization'] = `Basic ${basic}`;
+        } else {
+            form.append('client_id', client.client_id);
+            if (method === 'client_secret_post') {
+                form.append('client_secret', client.client_secret);
+            }
+        }
+
+        const response = await httpClient.post(metadata.token_endpoint, form.toString(), {
+            headers,
+            skipAuthRetry: true
+        });
+        const data = response.data || {};
+
+        if (!data.access_token) {
+            throw new Error('Token response has no access_token');
+        }
+
+        const expiresIn = parseInt(data.expires_in) || 3600;
+        return {
+            accessToken: data.access_token,
+            tokenType: data.token_type || 'Bearer',
+            scope: data.scope || scopes,
+            expiresIn: expiresIn,
+            expiresAt: Date.now() + expiresIn * 1000
+        };
+    };
+
+    const scheduleRefresh = (delay) => {
+        if (refreshTimer) {
+            clearTimeout(refreshTimer);
+        }
+        if (stopped) return;
+
+        refreshTimer = setTimeout(() => {
+            refreshTimer = null;
+            refresh().catch(() => {});
+        }, delay);
+    };
+
+    const obtainToken = async () => {
+        await fetchMetadata();
+
+        if (!client) {
+            await registerClient();
+        }
+
+        try {
+            return await requestToken();
+        } catch (error) {
+            // A dynamically registered client may have been forgotten by the server: register again once
+            const oauthError = error.response && error.response.data && error.response.data.error;
+            if (client.registered && oauthError === 'invalid_client') {
+                warn('IS-10 client rejected, registering again');
+                client = null;
+                await registerClient();
+                return requestToken();
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Fetch a new token now. Concurrent callers share the same request.
+     */
+    const refresh = () => {
+        if (pending) return pending;
+
+        pending = obtainToken()
+            .then(newToken => {
+                token = newToken;
+                failures = 0;
+                scheduleRefresh(Math.max(MIN_REFRESH_MS, newToken.expiresIn * 500));
+                onToken(newToken);
+                return newToken;
+            })
+            .catch(error => {
+                failures++;
+                const detail = error.response
+                    ? `HTTP ${error.response.status}${error.response.data && error.response.data.error ? ` ${error.response.data.error}` : ''}`
+                    : error.message;
+                warn(`IS-10 token request failed: ${detail}`);
+
+                // Forget cached metadata so a moved or restarted server is picked up
+                metadata = null;
+                scheduleRefresh(Math.min(MAX_RETRY_MS, MIN_REFRESH_MS * Math.pow(2, failures - 1)));
+                throw error;
+            })
+            .finally(() => {
+                pending = null;
+            });
+
+        return pending;
+    };
+
+    const getAccessToken = () => {
+        if (token && token.expiresAt > Date.now()) {
+            return token.accessToken;
+        }
+        return null;
+    };
+
+    const start = () => {
+        stopped = false;
+        refresh().catch(() => {});
+    };
+
+    const stop = () => {
+        stopped = true;
+        if (refreshTimer) {
+            clearTimeout(refreshTimer);
+            refreshTimer = null;
+        }
+    };
+
+    const getState = () => ({
+        authServer: metadata ? (metadata.issuer || metadataUrl) : null,
+        clientId: client ? client.client_id : null,
+        hasToken: getAccessToken() !== null,
+        expiresAt: token ? new Date(token.expiresAt).toISOString() : null,
+        scope: token ? token.scope : scopes,
+        jwksUri: metadata ? metadata.jwks_uri || null : null
+    });
+
+    return {
+        start,
+        stop,
+        refresh,
+        getAccessToken,
+        getState
+    };
+};
+
+module.exports = {
+    createAuthClient,
+    DEFAULT_SCOPES
+};
@@ -0,0 +1,92 @@
+/**
+ * lib/is05-constraints.js
+ * Checks IS-05 transport_params against a sender's or receiver's /constraints
+ * (enum, minimum / maximum, pattern and the number of legs)
+ */
+
+const describe = (value) => JSON.stringify(value);
+
+/**
+ * Check one value against one parameter constraint.
+ *
+ * @returns {string|null} why the value is not allowed, or null if it is
+ */
+const checkValue = (value, constraint) => {
+    if (Array.isArray(constraint.enum) && !constraint.enum.some(allowed => allowed === value)) {
+        return `${describe(value)} is not one of ${constraint.enum.map(describe).join(', ')}`;
+    }
+    if (constraint.minimum !== undefined && typeof value === 'number' && value < constraint.minimum) {
+        return `${value} is below the minimum of ${constraint.minimum}`;
+    }
+    if (constraint.maximum !== undefined && typeof value === 'number' && value > constraint.maximum) {
+        return `${value} is above the maximum of ${constraint.maximum}`;
+    }
+    if (constraint.pattern !== undefined && typeof value === 'string') {
+        let pattern;
+        try {
+            pattern = new RegExp(constraint.pattern);
+        } catch (e) {
+            // A broken pattern from the device is its problem, not the request's
+            return null;
+        }
+        if (!pattern.test(value)) {
+            return `${describe(value)} does not match ${constraint.pattern}`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Check requested transport_params against constraints.
+ *
+ * 'auto' and null are left to the device: they ask it to choose, or unset a value.
+ * Parameters missing from the constraints are not supported by the device.
+ *
+ * @param {Object|Object[]} transportParams - One object per leg (a single object is one leg)
+ * @param {Object[]} constraints - The /constraints response, one object per leg
+ * @returns {Object[]} problems: { leg, field, value, message }; empty when the request is acceptable
+ */
+const checkTransportParams = (transportParams, constraints) => {
+    const problems = [];
+    if (transportParams === undefined || transportParams === null || !Array.isArray(constraints)) {
+        return problems;
+    }
+
+    const legs = Array.isArray(transportParams) ? transportParams : [transportParams];
+    if (legs.length !== constraints.length) {
+        problems.push({
+            leg: null,
+            field: 'transport_params',
+            value: legs.length,
+            message: `transport_params has ${legs.length} leg(s) but the device has ${constraints.length}` +
+                (constraints.length === 2 ? ' (SMPTE ST 2022-7)' : '')
+        });
+        return problems;
+    }
+
+    legs.forEach((leg, index) => {
+        const legConstraints = constraints[index] || {};
+        for (const [field, value] of Object.entries(leg || {})) {
+            const path = `transport_params[${index}].${field}`;
+            const constraint = legConstraints[field];
+
+            if (constraint === undefined) {
+                problems.push({ leg: index, field, value, message: `${path} is not supported by the device` });
+                continue;
+            }
+            if (value === 'auto' || value === null) continue;
+
+            const reason = checkValue(value, constraint);
+            if (reason) {
+                problems.push({ leg: index, field, value, message: `${path}: ${reason}` });
+            }
+        }
+    });
+
+    return problems;
+};
+
+module.exports = {
+    checkValue,
+    checkTransportParams
+};
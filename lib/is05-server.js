@@ -0,0 +1,670 @@
+/**
+ * lib/is05-server.js
+ * Shared IS-05 Connection API for the nodes that host senders and receivers:
+ * routes (single and bulk), PATCH validation against the IS-05 schemas and the
+ * advertised /constraints, the activation state machine, "auto" resolution
+ * and spec-format error responses
+ */
+
+const { checkTransportParams } = require('./is05-constraints');
+const { SCHEDULED_MODES, parseTai, taiToUnixMs, unixMsToTai, nowTai } = require('./tai');
+
+const RESOURCE_TYPES = ['senders', 'receivers'];
+const ACTIVATION_MODES = ['activate_immediate', ...SCHEDULED_MODES];
+
+// Node fires timers longer than 2^31-1 ms (about 24.8 days) at once
+const MAX_TIMER_MS = 2147483647;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const TAI_PATTERN = /^[0-9]+:[0-9]+$/;
+
+// Top-level properties allowed in a PATCH to /staged (sender-stage-schema / receiver-stage-schema)
+const STAGE_FIELDS = {
+    senders: ['receiver_id', 'master_enable', 'activation', 'transport_params'],
+    receivers: ['sender_id', 'master_enable', 'activation', 'transport_file', 'transport_params']
+};
+
+// Value types of the transport parameters defined by IS-05 (RTP) and IS-07 (MQTT, WebSocket)
+const PARAM_TYPES = {
+    source_ip: 'address',
+    destination_ip: 'address',
+    multicast_ip: 'address',
+    interface_ip: 'address',
+    fec_destination_ip: 'address',
+    rtcp_destination_ip: 'address',
+    source_host: 'address',
+    destination_port: 'port',
+    source_port: 'port',
+    fec_destination_port: 'port',
+    fec1D_destination_port: 'port',
+    fec2D_destination_port: 'port',
+    fec1D_source_port: 'port',
+    fec2D_source_port: 'port',
+    rtcp_destination_port: 'port',
+    rtcp_source_port: 'port',
+    rtp_enabled: 'boolean',
+    fec_enabled: 'boolean',
+    rtcp_enabled: 'boolean',
+    connection_authorization: 'flag',
+    broker_authorization: 'flag',
+    connection_uri: 'string',
+    broker_topic: 'string',
+    connection_status_broker_topic: 'string'
+};
+
+const TYPE_CHECKS = {
+    address: value => typeof value === 'string' || value === null,
+    port: value => value === 'auto' || (Number.isInteger(value) && value >= 0 && value <= 65535),
+    boolean: value => typeof value === 'boolean',
+    flag: value => typeof value === 'boolean' || value === 'auto',
+    string: value => typeof value === 'string' || value === null
+};
+
+const TYPE_DESCRIPTIONS = {
+    address: 'a string or null',
+    port: 'an integer port (0-65535) or "auto"',
+    boolean: 'a boolean',
+    flag: 'a boolean or "auto"',
+    string: 'a string or null'
+};
+
+const IDLE_ACTIVATION = {
+    mode: null,
+    requested_time: null,
+    activation_time: null
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Error carrying the HTTP status to answer with
+ */
+const apiError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const sendError = (res, status, message, debug) => {
+    res.status(status).json({
+        code: status,
+        error: message,
+        debug: debug === undefined ? null : debug
+    });
+};
+
+/**
+ * Check a PATCH body for /staged against the IS-05 schema and the resource's constraints.
+ *
+ * @param {string} type - 'senders' or 'receivers'
+ * @param {Object} patch - Request body
+ * @param {Object[]} constraints - The resource's /constraints, one object per leg
+ * @returns {string[]} problems; empty when the request is acceptable
+ */
+const validateStagePatch = (type, patch, constraints) => {
+    const problems = [];
+
+    if (!isPlainObject(patch)) {
+        return ['Request body must be a JSON object'];
+    }
+
+    for (const field of Object.keys(patch)) {
+        if (!STAGE_FIELDS[type].includes(field)) {
+            problems.push(`Unknown property '${field}'`);
+        }
+    }
+
+    const peerField = type === 'senders' ? 'receiver_id' : 'sender_id';
+    if (patch[peerField] !== undefined && patch[peerField] !== null &&
+        !(typeof patch[peerField] === 'string' && UUID_PATTERN.test(patch[peerField]))) {
+        problems.push(`${peerField} must be a UUID or null`);
+    }
+
+    if (patch.master_enable !== undefined && typeof patch.master_enable !== 'boolean') {
+        problems.push('master_enable must be a boolean');
+    }
+
+    if (patch.activation !== undefined) {
+        const activation = patch.activation;
+        if (!isPlainObject(activation)) {
+            problems.push('activation must be an object');
+        } else {
+            for (const field of Object.keys(activation)) {
+                if (field !== 'mode' && field !== 'requested_time') {
+                    problems.push(`Unknown property 'activation.${field}'`);
+                }
+            }
+            const mode = activation.mode;
+            const requested = activation.requested_time;
+            if (mode !== undefined && mode !== null && !ACTIVATION_MODES.includes(mode)) {
+                problems.push(`activation.mode must be one of: ${ACTIVATION_MODES.join(', ')} or null`);
+            } else if (SCHEDULED_MODES.includes(mode)) {
+                if (typeof requested !== 'string' || !TAI_PATTERN.test(requested)) {
+                    problems.push(`activation.requested_time must be a TAI timestamp (seconds:nanoseconds) for ${mode}`);
+                } else {
+                    try {
+                        parseTai(requested);
+                    } catch (error) {
+                        problems.push(`activation.requested_time: ${error.message}`);
+                    }
+                }
+            } else if (requested !== undefined && requested !== null) {
+                problems.push('activation.requested_time must be null unless the mode is scheduled');
+            }
+        }
+    }
+
+    if (patch.transport_file !== undefined) {
+        const file = patch.transport_file;
+        if (!isPlainObject(file)) {
+            problems.push('transport_file must be an object');
+        } else {
+            for (const field of Object.keys(file)) {
+                if (field !== 'data' && field !== 'type') {
+                    problems.push(`Unknown property 'transport_file.${field}'`);
+                }
+            }
+            if (file.data !== undefined && file.data !== null && typeof file.data !== 'string') {
+                problems.push('transport_file.data must be a string or null');
+            }
+            if (file.type !== undefined && file.type !== null && typeof file.type !== 'string') {
+                problems.push('transport_file.type must be a string or null');
+            }
+            if (typeof file.data === 'string' && !file.type) {
+                problems.push('transport_file.type is required when data is given');
+            }
+        }
+    }
+
+    if (patch.transport_params !== undefined) {
+        const legs = patch.transport_params;
+        if (!Array.isArray(legs) || legs.some(leg => !isPlainObject(leg))) {
+            problems.push('transport_params must be an array of objects, one per leg');
+        } else {
+            legs.forEach((leg, index) => {
+                for (const [field, value] of Object.entries(leg)) {
+                    const valueType = PARAM_TYPES[field];
+                    if (valueType && !TYPE_CHECKS[valueType](value)) {
+                        problems.push(`transport_params[${index}].${field} must be ${TYPE_DESCRIPTIONS[valueType]}`);
+                    }
+                }
+            });
+            // Leg count, unsupported parameters, enum / minimum / maximum / pattern
+            problems.push(...checkTransportParams(legs, constraints).map(problem => problem.message));
+        }
+    }
+
+    return problems;
+};
+
+// Built-in values for "auto" when the resource does not choose one itself
+const defaultAutoValue = (field, options) => {
+    const valueType = PARAM_TYPES[field];
+    if (valueType === 'port') return 5004;
+    if (valueType === 'flag') return false;
+    if (field === 'interface_ip' || field === 'source_ip') return options.interfaceIp || '0.0.0.0';
+    return null;
+};
+
+// JSON body reader; Node-RED does not parse bodies for routes added to httpNode
+const readJsonBody = (req, res, next) => {
+    // Already parsed by an upstream body parser, or nothing left to read
+    if (req.body !== undefined || req.complete || typeof req.on !== 'function') {
+        next();
+        return;
+    }
+
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        data += chunk;
+    });
+    req.on('end', () => {
+        try {
+            req.body = data.length > 0 ? JSON.parse(data) : undefined;
+        } catch (error) {
+            sendError(res, 400, `Request body is not valid JSON: ${error.message}`);
+            return;
+        }
+        next();
+    });
+    req.on('error', (error) => sendError(res, 400, error.message));
+};
+
+const cors = (req, res, next) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, POST, HEAD, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
+    res.setHeader('Access-Control-Max-Age', '3600');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    next();
+};
+
+const methodNotAllowed = (req, res) => sendError(res, 405, `Method ${req.method} not allowed on this resource`);
+
+/**
+ * Create the Connection API served under one base path.
+ */
+const createConnectionApi = (app, basePath) => {
+    // type -> Map(id -> entry)
+    const resources = {
+        senders: new Map(),
+        receivers: new Map()
+    };
+
+    const allEntries = () => [...resources.senders.values(), ...resources.receivers.values()];
+
+    // Run the IS-10 middleware of every resource a request touches (once per distinct middleware)
+    const authorizeEntries = (entries, req, res, next) => {
+        const chain = [...new Set(entries.map(entry => entry.options.authorize).filter(Boolean))];
+        const run = (index) => {
+            if (index >= chain.length) {
+                next();
+                return;
+            }
+            chain[index](req, res, () => run(index + 1));
+        };
+        run(0);
+    };
+
+    const authorizeAll = (req, res, next) => authorizeEntries(allEntries(), req, res, next);
+
+    const checkType = (req, res, next) => {
+        if (!RESOURCE_TYPES.includes(req.params.type)) {
+            sendError(res, 404, `Unknown resource type '${req.params.type}'`);
+            return;
+        }
+        next();
+    };
+
+    const findEntry = (req, res, next) => {
+        const entry = resources[req.params.type].get(req.params.id);
+        if (!entry) {
+            sendError(res, 404, `No ${req.params.type.slice(0, -1)} with id ${req.params.id}`);
+            return;
+        }
+        req.connectionEntry = entry;
+        authorizeEntries([entry], req, res, next);
+    };
+
+    // Replace "auto" values with what the resource (or the built-in defaults) chooses
+    const resolveLegs = (entry, legs) => (legs || []).map((leg, index) => {
+        const resolved = { ...leg };
+        for (const [field, value] of Object.entries(leg)) {
+            if (value !== 'auto') continue;
+            const chosen = entry.options.resolveAuto ? entry.options.resolveAuto(field, leg, index) : undefined;
+            resolved[field] = chosen !== undefined ? chosen : defaultAutoValue(field, entry.options);
+        }
+        return resolved;
+    });
+
+    /**
+     * Make the staged parameters active, resolving "auto" values.
+     */
+    const activate = (entry) => {
+        const active = clone(entry.state.staged);
+        active.transport_params = resolveLegs(entry, active.transport_params);
+
+        entry.state.active = active;
+        if (entry.options.onActivate) {
+            entry.options.onActivate(active);
+        }
+        return active;
+    };
+
+    // Arm entry.timer for an absolute time, re-arming in steps the timer limit allows
+    const armTimer = (entry, at, callback) => {
+        const remaining = Math.max(0, at - Date.now());
+        entry.timer = setTimeout(() => {
+            if (at - Date.now() > 0 && remaining > MAX_TIMER_MS) {
+                armTimer(entry, at, callback);
+                return;
+            }
+            callback();
+        }, Math.min(remaining, MAX_TIMER_MS));
+    };
+
+    const cancelScheduled = (entry) => {
+        if (!entry.timer) return false;
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.state.staged.activation = { ...IDLE_ACTIVATION };
+        return true;
+    };
+
+    /**
+     * Receivers: transport_params carried by a staged transport file, or null.
+     * They are applied before any transport_params in the same PATCH.
+     */
+    const transportFileParams = (entry, patch) => {
+        const file = patch.transport_file;
+        if (!file || typeof file.data !== 'string' || !entry.options.parseTransportFile) {
+            return null;
+        }
+
+        let params;
+        try {
+            params = entry.options.parseTransportFile(file, entry.state.staged.transport_params);
+        } catch (error) {
+            throw apiError(400, `transport_file: ${error.message}`);
+        }
+        const problems = checkTransportParams(params, entry.state.constraints);
+        if (problems.length > 0) {
+            throw apiError(400, `transport_file: ${problems.map(problem => problem.message).join('; ')}`);
+        }
+        return params;
+    };
+
+    const applyToStaged = (entry, patch, fileParams) => {
+        const staged = entry.state.staged;
+        for (const field of ['sender_id', 'receiver_id', 'master_enable', 'transport_file']) {
+            if (patch[field] !== undefined) {
+                staged[field] = field === 'transport_file' ? { ...staged.transport_file, ...patch.transport_file } : patch[field];
+            }
+        }
+        // Each leg is a partial update of the staged leg
+        for (const update of [fileParams, patch.transport_params]) {
+            if (update) {
+                staged.transport_params = staged.transport_params.map((leg, index) => ({
+                    ...leg,
+                    ...(update[index] || {})
+                }));
+            }
+        }
+    };
+
+    /**
+     * Handle one PATCH to /staged (directly or as a bulk item).
+     *
+     * @returns {{status: number, body: Object}}
+     */
+    const stage = (entry, patch) => {
+        const problems = validateStagePatch(entry.type, patch, entry.state.constraints);
+        if (problems.length > 0) {
+            throw apiError(400, problems.join('; '));
+        }
+
+        const activation = patch.activation;
+        const mode = activation ? activation.mode : undefined;
+
+        // Staged parameters are locked until a scheduled activation fires or is cancelled
+        if (entry.timer && mode !== null) {
+            throw apiError(423, `A scheduled activation is pending (${entry.state.staged.activation.activation_time}); cancel it with activation.mode null first`);
+        }
+
+        applyToStaged(entry, patch, transportFileParams(entry, patch));
+        const staged = entry.state.staged;
+
+        if (mode === null) {
+            if (cancelScheduled(entry) && entry.options.onCancelled) {
+                entry.options.onCancelled();
+            }
+            staged.activation = { ...IDLE_ACTIVATION };
+            return { status: 200, body: staged };
+        }
+
+        if (mode === 'activate_immediate') {
+            staged.activation = {
+                mode: mode,
+                requested_time: null,
+                activation_time: nowTai()
+            };
+            activate(entry);
+            // The response reports the activation; afterwards staged is idle again
+            const body = clone(staged);
+            staged.activation = { ...IDLE_ACTIVATION };
+            return { status: 200, body };
+        }
+
+        if (SCHEDULED_MODES.includes(mode)) {
+            const requested = parseTai(activation.requested_time);
+            const activationAt = mode === 'activate_scheduled_absolute'
+                ? taiToUnixMs(activation.requested_time)
+                : Date.now() + requested.seconds * 1000 + Math.floor(requested.nanoseconds / 1e6);
+            const delay = Math.max(0, activationAt - Date.now());
+
+            staged.activation = {
+                mode: mode,
+                requested_time: activation.requested_time,
+                activation_time: unixMsToTai(Date.now() + delay)
+            };
+
+            armTimer(entry, Date.now() + delay, () => {
+                entry.timer = null;
+                // No request to answer here: failures go to onError instead of becoming uncaught
+                try {
+                    activate(entry);
+                } catch (error) {
+                    if (entry.options.onError) {
+                        entry.options.onError(error);
+                    }
+                } finally {
+                    entry.state.staged.activation = { ...IDLE_ACTIVATION };
+                }
+            });
+
+            if (entry.options.onScheduled) {
+                entry.options.onScheduled(clone(staged.activation), delay);
+            }
+            return { status: 202, body: staged };
+        }
+
+        return { status: 200, body: staged };
+    };
+
+    const respond = (res, handler) => {
+        try {
+            const { status, body } = handler();
+            res.status(status).json(body);
+        } catch (error) {
+            sendError(res, error.status || 500, error.message);
+        }
+    };
+
+    // Root and listings
+    app.get(`${basePath}/`, cors, authorizeAll, (req, res) => res.json(['bulk/', 'single/']));
+    app.get(`${basePath}/single/`, cors, authorizeAll, (req, res) => res.json(['senders/', 'receivers/']));
+    app.get(`${basePath}/bulk/`, cors, authorizeAll, (req, res) => res.json(['senders/', 'receivers/']));
+
+    app.get(`${basePath}/single/:type/`, cors, checkType, authorizeAll, (req, res) => {
+        res.json(Array.from(resources[req.params.type].keys()).map(id => `${id}/`));
+    });
+
+    app.get(`${basePath}/single/:type/:id/`, cors, checkType, findEntry, (req, res) => {
+        const endpoints = ['constraints/', 'staged/', 'active/', 'transporttype/'];
+        if (req.params.type === 'senders') endpoints.push('transportfile/');
+        res.json(endpoints);
+    });
+
+    // Single resource endpoints
+    app.get(`${basePath}/single/:type/:id/constraints`, cors, checkType, findEntry, (req, res) => {
+        res.json(req.connectionEntry.state.constraints);
+    });
+    app.get(`${basePath}/single/:type/:id/staged`, cors, checkType, findEntry, (req, res) => {
+        res.json(req.connectionEntry.state.staged);
+    });
+    app.patch(`${basePath}/single/:type/:id/staged`, cors, checkType, findEntry, readJsonBody, (req, res) => {
+        respond(res, () => stage(req.connectionEntry, req.body));
+    });
+    app.get(`${basePath}/single/:type/:id/active`, cors, checkType, findEntry, (req, res) => {
+        res.json(req.connectionEntry.state.active);
+    });
+    app.get(`${basePath}/single/:type/:id/transporttype`, cors, checkType, findEntry, (req, res) => {
+        res.json(req.connectionEntry.state.transporttype);
+    });
+    app.get(`${basePath}/single/:type/:id/transportfile`, cors, checkType, findEntry, (req, res) => {
+        const entry = req.connectionEntry;
+        const file = entry.type === 'senders' && entry.options.getTransportFile ? entry.options.getTransportFile() : null;
+        if (!file || !file.data) {
+            sendError(res, 404, 'No transport file for this resource');
+            return;
+        }
+        res.setHeader('Content-Type', file.type || 'application/sdp');
+        res.status(200).send(file.data);
+    });
+
+    // Bulk: POST an array of { id, params } and get a result per item
+    app.post(`${basePath}/bulk/:type`, cors, checkType, readJsonBody, (req, res, next) => {
+        if (!Array.isArray(req.body)) {
+            sendError(res, 400, 'Bulk request body must be an array of { id, params }');
+            return;
+        }
+        const entries = req.body.map(item => item && resources[req.params.type].get(item.id)).filter(Boolean);
+        authorizeEntries(entries, req, res, next);
+    }, (req, res) => {
+        const results = req.body.map(item => {
+            const id = item && item.id;
+            const entry = resources[req.params.type].get(id);
+            if (!entry) {
+                return { id: id, code: 404, error: `No ${req.params.type.slice(0, -1)} with id ${id}`, debug: null };
+            }
+            if (!isPlainObject(item.params)) {
+                return { id: id, code: 400, error: 'params must be an object', debug: null };
+            }
+            try {
+                return { id: id, code: stage(entry, item.params).status };
+            } catch (error) {
+                return { id: id, code: error.status || 500, error: error.message, debug: null };
+            }
+        });
+        res.status(200).json(results);
+    });
+
+    // Anything else on these paths is a method the API does not support
+    app.all(`${basePath}/bulk/:type`, cors, methodNotAllowed);
+    app.all(`${basePath}/single/:type/:id/staged`, cors, methodNotAllowed);
+    for (const endpoint of ['constraints', 'active', 'transporttype', 'transportfile']) {
+        app.all(`${basePath}/single/:type/:id/${endpoint}`, cors, methodNotAllowed);
+    }
+
+    /**
+     * Host a sender or receiver on this API.
+     *
+     * @param {Object} options
+     * @param {string} options.type - 'senders' or 'receivers'
+     * @param {string} options.id - Resource UUID
+     * @param {string|string[]} options.transportType - Transport URN(s) for /transporttype
+     * @param {Object[]} options.transportParams - Initial staged/active parameters, one object per leg
+     * @param {Object[]} [options.constraints] - Per-leg constraints; defaults to "any value" for each initial parameter
+     * @param {boolean} [options.masterEnable=false] - Initial master_enable
+     * @param {string} [options.interfaceIp] - Used to resolve "auto" interface / source addresses
+     * @param {Function} [options.resolveAuto] - (field, leg, index) => value for an "auto" parameter, or undefined
+     * @param {Function} [options.getTransportFile] - Senders: () => { data, type } or null
+     * @param {Function} [options.parseTransportFile] - Receivers: (transportFile, stagedLegs) => transport_params
+     *   from a staged transport file; throw to reject the PATCH with 400
+     * @param {Function} [options.authorize] - IS-10 middleware for requests to this resource
+     * @param {Function} [options.onActivate] - (active) => void, after every activation
+     * @param {Function} [options.onScheduled] - (activation, delayMs) => void
+     * @param {Function} [options.onCancelled] - () => void
+     * @param {Function} [options.onError] - (error) => void, when a scheduled activation throws
+     */
+    const register = (options) => {
+        if (!RESOURCE_TYPES.includes(options.type)) {
+            throw new Error(`Unknown IS-05 resource type: ${options.type}`);
+        }
+
+        const legs = clone(options.transportParams || []);
+        const base = {
+            [options.type === 'senders' ? 'receiver_id' : 'sender_id']: null,
+            master_enable: options.masterEnable === true,
+            activation: { ...IDLE_ACTIVATION },
+            transport_params: legs
+        };
+        if (options.type === 'receivers') {
+            base.transport_file = { data: null, type: null };
+        }
+
+        const entry = {
+            type: options.type,
+            id: options.id,
+            options: options,
+            timer: null,
+            state: {
+                staged: clone(base),
+                active: null,
+                constraints: options.constraints || legs.map(leg => Object.fromEntries(Object.keys(leg).map(key => [key, {}]))),
+                transporttype: options.transportType
+            }
+        };
+        entry.state.active = clone(base);
+        entry.state.active.transport_params = resolveLegs(entry, legs);
+
+        const previous = resources[options.type].get(options.id);
+        if (previous) {
+            cancelScheduled(previous);
+        }
+        resources[options.type].set(options.id, entry);
+
+        return {
+            // Live state: { staged, active, constraints, transporttype }
+            state: entry.state,
+
+            /**
+             * Stage and immediately activate, as if PATCHed with activate_immediate
+             * (for input actions). Cancels any pending scheduled activation.
+             */
+            activate: (patch) => {
+                cancelScheduled(entry);
+                const result = stage(entry, { ...patch, activation: { mode: 'activate_immediate' } });
+                return result.body;
+            },
+
+            /**
+             * Cancel a pending scheduled activation.
+             *
+             * @returns {boolean} whether one was pending
+             */
+            cancelScheduled: () => cancelScheduled(entry),
+
+            isScheduled: () => entry.timer !== null,
+
+            close: () => {
+                cancelScheduled(entry);
+                if (resources[options.type].get(options.id) === entry) {
+                    resources[options.type].delete(options.id);
+                }
+            }
+        };
+    };
+
+    return {
+        register,
+        stage: (type, id, patch) => {
+            const entry = resources[type] && resources[type].get(id);
+            if (!entry) throw apiError(404, `No ${type} with id ${id}`);
+            return stage(entry, patch);
+        }
+    };
+};
+
+// app -> Map(basePath -> api); routes stay registered for the life of the process,
+// and nodes come and go by registering resources on them
+const apis = new WeakMap();
+
+/**
+ * Get (creating on first use) the Connection API at a base path such as
+ * '/x-nmos/connection/v1.1'. All nodes on the same HTTP server share it.
+ *
+ * @param {Object} app - Express app (RED.httpNode)
+ * @param {string} basePath
+ */
+const getConnectionApi = (app, basePath) => {
+    if (!apis.has(app)) {
+        apis.set(app, new Map());
+    }
+    const byPath = apis.get(app);
+    if (!byPath.has(basePath)) {
+        byPath.set(basePath, createConnectionApi(app, basePath));
+    }
+    return byPath.get(basePath);
+};
+
+module.exports = {
+    getConnectionApi,
+    validateStagePatch
+};
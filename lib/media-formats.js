@@ -0,0 +1,183 @@
+/**
+ * lib/media-formats.js
+ * IS-04 formats, caps, source and flow properties for the senders and receivers
+ * hosted by nmos-node (video, audio, data and mux over RTP)
+ */
+
+const FORMATS = {
+    video: { urn: 'urn:x-nmos:format:video', mediaType: 'video/raw' },
+    audio: { urn: 'urn:x-nmos:format:audio', mediaType: 'audio/L24' },
+    data: { urn: 'urn:x-nmos:format:data', mediaType: 'video/smpte291' },
+    mux: { urn: 'urn:x-nmos:format:mux', mediaType: 'video/SMPTE2022-6' }
+};
+
+const TRANSPORTS = [
+    'urn:x-nmos:transport:rtp',
+    'urn:x-nmos:transport:rtp.mcast',
+    'urn:x-nmos:transport:rtp.ucast'
+];
+
+const DEFAULT_GRAIN_RATE = { numerator: 25, denominator: 1 };
+
+/**
+ * Parse a rate such as 25, "50", "30000/1001" or { numerator, denominator }.
+ *
+ * @returns {{numerator: number, denominator: number}}
+ */
+const parseRational = (value) => {
+    if (value !== null && typeof value === 'object') {
+        value = `${value.numerator}/${value.denominator === undefined ? 1 : value.denominator}`;
+    }
+    const match = String(value).trim().match(/^(\d+)(?:\/(\d+))?$/);
+    if (!match || parseInt(match[1]) === 0 || match[2] === '0') {
+        throw new Error(`Invalid rate "${value}" (expected e.g. 25 or 30000/1001)`);
+    }
+    return {
+        numerator: parseInt(match[1]),
+        denominator: match[2] ? parseInt(match[2]) : 1
+    };
+};
+
+// "a, b" or ['a', 'b'] -> ['a', 'b']
+const splitList = (value) => {
+    if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+};
+
+const checkFormat = (kind, entry, index) => {
+    const format = entry.format || 'video';
+    if (!FORMATS[format]) {
+        throw new Error(`${kind} ${index + 1}: unknown format "${format}" (use ${Object.keys(FORMATS).join(', ')})`);
+    }
+    const transport = entry.transport || TRANSPORTS[0];
+    if (!TRANSPORTS.includes(transport)) {
+        throw new Error(`${kind} ${index + 1}: unsupported transport "${transport}"`);
+    }
+    return { format, transport };
+};
+
+/**
+ * Fill in the defaults of one configured sender.
+ *
+ * @param {Object} entry - Editor row
+ * @param {number} index - Position in the list (for error messages and labels)
+ * @param {Function} newId - UUID generator for missing IDs
+ */
+const normalizeSender = (entry, index, newId) => {
+    const { format, transport } = checkFormat('Sender', entry, index);
+    return {
+        id: entry.id || newId(),
+        sourceId: entry.sourceId || newId(),
+        flowId: entry.flowId || newId(),
+        label: entry.label || `Sender ${index + 1}`,
+        format,
+        transport,
+        mediaType: entry.mediaType || FORMATS[format].mediaType,
+        grainRate: entry.grainRate ? parseRational(entry.grainRate) : DEFAULT_GRAIN_RATE,
+        interfaces: splitList(entry.interfaces),
+        frameWidth: parseInt(entry.frameWidth) || 1920,
+        frameHeight: parseInt(entry.frameHeight) || 1080,
+        interlaced: entry.interlaced === true,
+        sampleRate: parseInt(entry.sampleRate) || 48000,
+        channels: parseInt(entry.channels) || 2,
+        bitDepth: parseInt(entry.bitDepth) || (format === 'audio' ? 24 : 10)
+    };
+};
+
+/**
+ * Fill in the defaults of one configured receiver.
+ */
+const normalizeReceiver = (entry, index, newId) => {
+    const { format, transport } = checkFormat('Receiver', entry, index);
+    const mediaTypes = splitList(entry.mediaTypes);
+    return {
+        id: entry.id || newId(),
+        label: entry.label || `Receiver ${index + 1}`,
+        format,
+        transport,
+        mediaTypes: mediaTypes.length > 0 ? mediaTypes : [FORMATS[format].mediaType],
+        grainRate: entry.grainRate ? parseRational(entry.grainRate) : null,
+        interfaces: splitList(entry.interfaces)
+    };
+};
+
+/**
+ * Format-specific source properties.
+ */
+const sourceProperties = (sender) => {
+    const properties = {
+        format: FORMATS[sender.format].urn,
+        caps: {}
+    };
+    if (sender.format === 'audio') {
+        properties.channels = Array.from({ length: sender.channels }, (_, i) => ({ label: `Channel ${i + 1}` }));
+    } else {
+        properties.grain_rate = sender.grainRate;
+    }
+    return properties;
+};
+
+/**
+ * Format-specific flow properties (IS-04 v1.1+ flow schemas).
+ */
+const flowProperties = (sender) => {
+    const properties = {
+        format: FORMATS[sender.format].urn,
+        media_type: sender.mediaType
+    };
+
+    if (sender.format === 'video') {
+        Object.assign(properties, {
+            grain_rate: sender.grainRate,
+            frame_width: sender.frameWidth,
+            frame_height: sender.frameHeight,
+            interlace_mode: sender.interlaced ? 'interlaced_tff' : 'progressive',
+            colorspace: 'BT709',
+            transfer_characteristic: 'SDR'
+        });
+        if (sender.mediaType === 'video/raw') {
+            // YCbCr 4:2:2
+            const height = sender.interlaced ? sender.frameHeight / 2 : sender.frameHeight;
+            properties.components = [
+                { name: 'Y', width: sender.frameWidth, height, bit_depth: sender.bitDepth },
+                { name: 'Cb', width: sender.frameWidth / 2, height, bit_depth: sender.bitDepth },
+                { name: 'Cr', width: sender.frameWidth / 2, height, bit_depth: sender.bitDepth }
+            ];
+        }
+    } else if (sender.format === 'audio') {
+        properties.sample_rate = { numerator: sender.sampleRate };
+        if (/^audio\/L\d+$/.test(sender.mediaType)) {
+            properties.bit_depth = parseInt(sender.mediaType.slice('audio/L'.length));
+        }
+    } else {
+        properties.grain_rate = sender.grainRate;
+    }
+
+    return properties;
+};
+
+/**
+ * Receiver caps: media types, plus a BCP-004-01 grain rate constraint for IS-04 v1.3.
+ */
+const receiverCaps = (receiver, apiVersion) => {
+    const caps = {
+        media_types: receiver.mediaTypes
+    };
+    if (receiver.grainRate && apiVersion >= 'v1.3') {
+        caps.constraint_sets = [{
+            'urn:x-nmos:cap:format:grain_rate': { enum: [receiver.grainRate] }
+        }];
+    }
+    return caps;
+};
+
+module.exports = {
+    FORMATS,
+    TRANSPORTS,
+    parseRational,
+    normalizeSender,
+    normalizeReceiver,
+    sourceProperties,
+    flowProperties,
+    receiverCaps
+};
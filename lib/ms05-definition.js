@@ -0,0 +1,262 @@
+/**
+ * lib/ms05-definition.js
+ * Build an MS-05-02 device model from a JSON definition (editor or load_model):
+ * datatypes, custom worker classes and the tree of blocks and workers
+ *
+ *   {
+ *     "datatypes": [{ "name": "Mode", "type": "enum", "items": ["Off", "Auto"] }],
+ *     "classes": [{
+ *       "classId": [1, 2, 0, 1], "name": "GainControl",
+ *       "properties": [{ "name": "gain", "type": "number", "min": -60, "max": 12 }],
+ *       "methods": [{ "name": "Reset", "parameters": [] }]
+ *     }],
+ *     "members": [
+ *       { "role": "channels", "members": [{ "role": "gain", "class": "GainControl" }] }
+ *     ]
+ *   }
+ */
+
+const {
+    createControlModel,
+    CLASS_IDS,
+    isDerivedFrom,
+    classLevel,
+    typedef,
+    field,
+    struct,
+    enumeration,
+    property,
+    method,
+    parameter
+} = require('./ms05-model');
+
+// Short type names accepted next to MS-05-02 datatype names
+const TYPE_ALIASES = {
+    number: 'NcFloat64',
+    float: 'NcFloat32',
+    integer: 'NcInt32',
+    int: 'NcInt32',
+    bool: 'NcBoolean',
+    boolean: 'NcBoolean',
+    string: 'NcString'
+};
+
+const NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+
+const definitionError = (path, message) => {
+    const error = new Error(`${path}: ${message}`);
+    error.definition = true;
+    return error;
+};
+
+const resolveType = (type, path) => {
+    if (type === 'any') return null;
+    if (typeof type !== 'string' || !type) {
+        throw definitionError(path, 'type is required (a datatype name, "number", "integer", "bool", "string" or "any")');
+    }
+    return TYPE_ALIASES[type] || type;
+};
+
+const checkName = (name, path) => {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw definitionError(path, `name "${name}" must contain only letters, digits and underscores`);
+    }
+};
+
+// NcParameterConstraintsNumber / NcParameterConstraintsString from the short keys
+const buildConstraints = (spec) => {
+    const numeric = ['min', 'max', 'step'].some(key => spec[key] !== undefined);
+    const text = ['maxCharacters', 'pattern'].some(key => spec[key] !== undefined);
+    if (!numeric && !text && spec.default === undefined) return null;
+
+    const constraints = { defaultValue: spec.default !== undefined ? spec.default : null };
+    if (numeric) {
+        constraints.maximum = spec.max !== undefined ? spec.max : null;
+        constraints.minimum = spec.min !== undefined ? spec.min : null;
+        constraints.step = spec.step !== undefined ? spec.step : null;
+    }
+    if (text) {
+        constraints.maxCharacters = spec.maxCharacters !== undefined ? spec.maxCharacters : null;
+        constraints.pattern = spec.pattern !== undefined ? spec.pattern : null;
+    }
+    return constraints;
+};
+
+const shapeOptions = (spec) => ({
+    readOnly: spec.readOnly === true,
+    nullable: spec.nullable === true,
+    sequence: spec.sequence === true,
+    constraints: buildConstraints(spec)
+});
+
+const buildDatatype = (spec, path) => {
+    checkName(spec.name, path);
+    const description = spec.description || null;
+
+    switch (spec.type) {
+        case 'enum': {
+            if (!Array.isArray(spec.items) || spec.items.length === 0) {
+                throw definitionError(path, 'enum items are required');
+            }
+            const items = spec.items.map((item, i) => typeof item === 'string'
+                ? [item, i, null]
+                : [item.name, item.value !== undefined ? item.value : i, item.description]);
+            items.forEach(([name], i) => checkName(name, `${path}.items[${i}]`));
+            return enumeration(spec.name, items, description);
+        }
+        case 'struct': {
+            if (!Array.isArray(spec.fields)) {
+                throw definitionError(path, 'struct fields are required');
+            }
+            const fields = spec.fields.map((item, i) => {
+                const fieldPath = `${path}.fields[${i}]`;
+                checkName(item.name, fieldPath);
+                return field(item.name, resolveType(item.type, fieldPath), item.description || null, shapeOptions(item));
+            });
+            return struct(spec.name, fields, spec.parent || null, description);
+        }
+        case 'typedef':
+            return {
+                ...typedef(spec.name, resolveType(spec.parent, `${path}.parent`), spec.sequence === true, description),
+                constraints: buildConstraints(spec)
+            };
+        default:
+            throw definitionError(path, `type must be "enum", "struct" or "typedef", not "${spec.type}"`);
+    }
+};
+
+const buildClass = (spec, path) => {
+    checkName(spec.name, path);
+    const classId = spec.classId;
+    if (!Array.isArray(classId) || !classId.every(Number.isInteger) || !isDerivedFrom(classId, CLASS_IDS.worker)) {
+        throw definitionError(path, 'classId must be an NcWorker class id such as [1, 2, 0, 1]');
+    }
+    // Ids without an authority key belong to the standard classes
+    if (!classId.slice(2).some(value => value <= 0)) {
+        throw definitionError(path, 'classId needs an authority key (0, or a negative organization id), e.g. [1, 2, 0, 1]');
+    }
+
+    const level = classLevel(classId);
+    const properties = (spec.properties || []).map((item, i) => {
+        const itemPath = `${path}.properties[${i}]`;
+        checkName(item.name, itemPath);
+        return property(level, i + 1, item.name, resolveType(item.type, itemPath), item.description || null, shapeOptions(item));
+    });
+    const methods = (spec.methods || []).map((item, i) => {
+        const itemPath = `${path}.methods[${i}]`;
+        checkName(item.name, itemPath);
+        const parameters = (item.parameters || []).map((param, j) => {
+            const paramPath = `${itemPath}.parameters[${j}]`;
+            checkName(param.name, paramPath);
+            return parameter(param.name, resolveType(param.type, paramPath), param.description || null, shapeOptions(param));
+        });
+        return method(level, i + 1, item.name, item.result || 'NcMethodResult', parameters, item.description || null);
+    });
+
+    return {
+        description: spec.description || null,
+        identity: [...classId],
+        name: spec.name,
+        fixedRole: null,
+        properties,
+        methods,
+        events: []
+    };
+};
+
+/**
+ * Create a device model from a definition.
+ *
+ * @param {Object|string} definition - Definition object or its JSON text
+ * @param {Object} [options] - createControlModel options
+ * @returns {{model: Object, methods: Array}} the model, and the custom methods of its
+ *   objects as [{object, descriptor}] for the caller to implement
+ * @throws {Error} naming the offending part of the definition
+ */
+const createModelFromDefinition = (definition, options = {}) => {
+    let spec = definition;
+    if (typeof spec === 'string') {
+        try {
+            spec = JSON.parse(spec);
+        } catch (error) {
+            throw new Error(`Model definition is not valid JSON: ${error.message}`);
+        }
+    }
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error('Model definition must be an object');
+    }
+
+    const model = createControlModel(options);
+
+    const datatypes = (spec.datatypes || []).map((item, i) => buildDatatype(item, `datatypes[${i}]`));
+    datatypes.forEach(model.registerDatatype);
+    // Field and parent types may refer to datatypes defined later in the list
+    datatypes.forEach((datatype, i) => {
+        const referenced = [datatype.parentType, ...(datatype.fields || []).map(item => item.typeName)];
+        for (const name of referenced) {
+            if (name && !model.getDatatype(name)) {
+                throw definitionError(`datatypes[${i}]`, `unknown datatype ${name}`);
+            }
+        }
+    });
+
+    const classesByName = new Map();
+    (spec.classes || []).forEach((item, i) => {
+        const path = `classes[${i}] (${item.name})`;
+        const descriptor = buildClass(item, path);
+        try {
+            model.registerClass(descriptor);
+        } catch (error) {
+            throw definitionError(path, error.message);
+        }
+        classesByName.set(descriptor.name, descriptor);
+    });
+
+    const methods = [];
+    const addMembers = (block, memberSpecs, path) => {
+        if (!Array.isArray(memberSpecs)) {
+            throw definitionError(path, 'members must be an array');
+        }
+        memberSpecs.forEach((item, i) => {
+            if (!item || typeof item !== 'object') {
+                throw definitionError(`${path}[${i}]`, 'member must be an object');
+            }
+            const itemPath = `${path}[${i}] (${item.role})`;
+            const settings = {
+                role: item.role,
+                userLabel: item.label !== undefined ? item.label : null,
+                description: item.description || null,
+                values: item.values
+            };
+
+            try {
+                if (Array.isArray(item.members)) {
+                    const member = model.addBlock(block, settings);
+                    addMembers(member, item.members, `${itemPath}.members`);
+                    return;
+                }
+
+                const descriptor = Array.isArray(item.class)
+                    ? model.getClass(item.class)
+                    : classesByName.get(item.class);
+                if (!descriptor) {
+                    throw new Error(`unknown class ${JSON.stringify(item.class)}`);
+                }
+                const worker = model.addWorker(block, { ...settings, classId: descriptor.identity });
+                for (const cls of [...classesByName.values()].filter(c => isDerivedFrom(worker.classId, c.identity))) {
+                    cls.methods.forEach(declared => methods.push({ object: worker, descriptor: declared }));
+                }
+            } catch (error) {
+                throw error.definition ? error : definitionError(itemPath, error.message);
+            }
+        });
+    };
+    addMembers(model.root, spec.members || [], 'members');
+
+    return { model, methods };
+};
+
+module.exports = {
+    createModelFromDefinition,
+    TYPE_ALIASES
+};
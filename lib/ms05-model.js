@@ -0,0 +1,1247 @@
+/**
+ * lib/ms05-model.js
+ * MS-05-02 device model for IS-12: the NcObject / NcBlock / NcWorker / NcManager class
+ * hierarchy, NcDeviceManager and NcClassManager, class and datatype descriptors and the
+ * standard methods (Get/Set, sequence access, block member search)
+ */
+
+const NC_VERSION = 'v1.0.0';
+
+// NcMethodStatus
+const STATUS = {
+    ok: 200,
+    propertyDeprecated: 298,
+    methodDeprecated: 299,
+    badCommandFormat: 400,
+    unauthorized: 401,
+    badOid: 404,
+    readonly: 405,
+    invalidRequest: 406,
+    conflict: 409,
+    bufferOverflow: 413,
+    indexOutOfBounds: 414,
+    parameterError: 417,
+    locked: 423,
+    deviceError: 500,
+    methodNotImplemented: 501,
+    propertyNotImplemented: 502,
+    notReady: 503,
+    timeout: 504
+};
+
+// NcPropertyChangeType
+const CHANGE_TYPE = {
+    valueChanged: 0,
+    sequenceItemAdded: 1,
+    sequenceItemChanged: 2,
+    sequenceItemRemoved: 3
+};
+
+const CLASS_IDS = {
+    object: [1],
+    block: [1, 1],
+    worker: [1, 2],
+    manager: [1, 3],
+    deviceManager: [1, 3, 1],
+    classManager: [1, 3, 2]
+};
+
+const methodError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// --- Descriptor builders (NcDatatypeDescriptor*, NcClassDescriptor and their elements) ---
+
+const primitive = (name, description) => ({ description, name, type: 0, constraints: null });
+
+const typedef = (name, parentType, isSequence, description) => ({
+    description, name, type: 1, constraints: null, parentType, isSequence
+});
+
+const field = (name, typeName, description, options = {}) => ({
+    description,
+    name,
+    typeName,
+    isNullable: options.nullable === true,
+    isSequence: options.sequence === true,
+    constraints: null
+});
+
+const struct = (name, fields, parentType, description) => ({
+    description, name, type: 2, constraints: null, fields, parentType
+});
+
+const enumeration = (name, items, description) => ({
+    description,
+    name,
+    type: 3,
+    constraints: null,
+    items: items.map(([itemName, value, itemDescription]) => ({ description: itemDescription || null, name: itemName, value }))
+});
+
+const property = (level, index, name, typeName, description, options = {}) => ({
+    description,
+    id: { level, index },
+    name,
+    typeName,
+    isReadOnly: options.readOnly === true,
+    isNullable: options.nullable === true,
+    isSequence: options.sequence === true,
+    isDeprecated: false,
+    constraints: options.constraints || null
+});
+
+const parameter = (name, typeName, description, options = {}) => ({
+    description,
+    name,
+    typeName,
+    isNullable: options.nullable === true,
+    isSequence: options.sequence === true,
+    constraints: options.constraints || null
+});
+
+const method = (level, index, name, resultDatatype, parameters, description) => ({
+    description, id: { level, index }, name, resultDatatype, parameters, isDeprecated: false
+});
+
+const event = (level, index, name, eventDatatype, description) => ({
+    description, id: { level, index }, name, eventDatatype, isDeprecated: false
+});
+
+const RO = { readOnly: true };
+const RO_NULLABLE = { readOnly: true, nullable: true };
+const NULLABLE = { nullable: true };
+const SEQUENCE = { sequence: true };
+
+const STANDARD_DATATYPES = [
+    primitive('NcBoolean', 'Boolean primitive type'),
+    primitive('NcInt16', 'short'),
+    primitive('NcInt32', 'long'),
+    primitive('NcInt64', 'long long'),
+    primitive('NcUint16', 'unsigned short'),
+    primitive('NcUint32', 'unsigned long'),
+    primitive('NcUint64', 'unsigned long long'),
+    primitive('NcFloat32', 'unrestricted float'),
+    primitive('NcFloat64', 'unrestricted double'),
+    primitive('NcString', 'UTF-8 string'),
+
+    typedef('NcClassId', 'NcInt32', true, 'Sequence of class ID fields'),
+    typedef('NcId', 'NcUint32', false, 'Identity handler'),
+    typedef('NcName', 'NcString', false, 'Programmatically significant name, alphanumerics + underscore, no spaces'),
+    typedef('NcOid', 'NcUint32', false, 'Object id'),
+    typedef('NcOrganizationId', 'NcInt32', false, 'Unique 24-bit organization id'),
+    typedef('NcRegex', 'NcString', false, 'Regex pattern'),
+    typedef('NcRolePath', 'NcString', true, 'Role path'),
+    typedef('NcTimeInterval', 'NcInt64', false, 'Time interval described in nanoseconds'),
+    typedef('NcUri', 'NcString', false, 'Uniform resource identifier'),
+    typedef('NcUuid', 'NcString', false, 'UUID'),
+    typedef('NcVersionCode', 'NcString', false, 'Version code in semantic versioning format'),
+
+    enumeration('NcDatatypeType', [['Primitive', 0], ['Typedef', 1], ['Struct', 2], ['Enum', 3]], 'Datatype type'),
+    enumeration('NcDeviceGenericState', [
+        ['Unknown', 0], ['NormalOperation', 1], ['Initializing', 2], ['Updating', 3], ['LicensingError', 4], ['InternalError', 5]
+    ], 'Device generic operational state'),
+    enumeration('NcMethodStatus', [
+        ['Ok', 200], ['PropertyDeprecated', 298], ['MethodDeprecated', 299], ['BadCommandFormat', 400],
+        ['Unauthorized', 401], ['BadOid', 404], ['Readonly', 405], ['InvalidRequest', 406], ['Conflict', 409],
+        ['BufferOverflow', 413], ['IndexOutOfBounds', 414], ['ParameterError', 417], ['Locked', 423],
+        ['DeviceError', 500], ['MethodNotImplemented', 501], ['PropertyNotImplemented', 502], ['NotReady', 503],
+        ['Timeout', 504]
+    ], 'Method invokation status'),
+    enumeration('NcPropertyChangeType', [
+        ['ValueChanged', 0], ['SequenceItemAdded', 1], ['SequenceItemChanged', 2], ['SequenceItemRemoved', 3]
+    ], 'Type of property change'),
+    enumeration('NcResetCause', [
+        ['Unknown', 0], ['PowerOn', 1], ['InternalError', 2], ['Upgrade', 3], ['ControllerRequest', 4], ['ManualReset', 5]
+    ], 'Reset cause enum'),
+
+    struct('NcElementId', [
+        field('level', 'NcUint16', 'Level of the element'),
+        field('index', 'NcUint16', 'Index of the element')
+    ], null, 'Class element id which contains the level and index'),
+    struct('NcPropertyId', [], 'NcElementId', 'Property id which contains the level and index'),
+    struct('NcMethodId', [], 'NcElementId', 'Method id which contains the level and index'),
+    struct('NcEventId', [], 'NcElementId', 'Event id which contains the level and index'),
+
+    struct('NcDescriptor', [
+        field('description', 'NcString', 'Optional user facing description', NULLABLE)
+    ], null, 'Base descriptor'),
+    struct('NcBlockMemberDescriptor', [
+        field('role', 'NcString', 'Role of member in its containing block'),
+        field('oid', 'NcOid', 'OID of member'),
+        field('constantOid', 'NcBoolean', 'TRUE iff member\'s OID is hardwired into device'),
+        field('classId', 'NcClassId', 'Class ID'),
+        field('userLabel', 'NcString', 'User label', NULLABLE),
+        field('owner', 'NcOid', 'Containing block\'s OID')
+    ], 'NcDescriptor', 'Descriptor which is specific to a block member'),
+    struct('NcClassDescriptor', [
+        field('identity', 'NcClassId', 'Identity of the class'),
+        field('name', 'NcName', 'Name of the class'),
+        field('fixedRole', 'NcString', 'Role if the class has fixed role (manager classes)', NULLABLE),
+        field('properties', 'NcPropertyDescriptor', 'Property descriptors', SEQUENCE),
+        field('methods', 'NcMethodDescriptor', 'Method descriptors', SEQUENCE),
+        field('events', 'NcEventDescriptor', 'Event descriptors', SEQUENCE)
+    ], 'NcDescriptor', 'Descriptor of a class'),
+    struct('NcPropertyDescriptor', [
+        field('id', 'NcPropertyId', 'Property id with level and index'),
+        field('name', 'NcName', 'Name of property'),
+        field('typeName', 'NcName', 'Name of property\'s datatype. Can only ever be null if the type is any', NULLABLE),
+        field('isReadOnly', 'NcBoolean', 'TRUE iff property is read-only'),
+        field('isNullable', 'NcBoolean', 'TRUE iff property is nullable'),
+        field('isSequence', 'NcBoolean', 'TRUE iff property is a sequence'),
+        field('isDeprecated', 'NcBoolean', 'TRUE iff property is marked as deprecated'),
+        field('constraints', 'NcParameterConstraints', 'Optional constraints on top of the underlying data type', NULLABLE)
+    ], 'NcDescriptor', 'Descriptor of a class property'),
+    struct('NcMethodDescriptor', [
+        field('id', 'NcMethodId', 'Method id with level and index'),
+        field('name', 'NcName', 'Name of method'),
+        field('resultDatatype', 'NcName', 'Name of method result\'s datatype'),
+        field('parameters', 'NcParameterDescriptor', 'Parameter descriptors if any', SEQUENCE),
+        field('isDeprecated', 'NcBoolean', 'TRUE iff property is marked as deprecated')
+    ], 'NcDescriptor', 'Descriptor of a class method'),
+    struct('NcParameterDescriptor', [
+        field('name', 'NcName', 'Name of parameter'),
+        field('typeName', 'NcName', 'Name of parameter\'s datatype. Can only ever be null if the type is any', NULLABLE),
+        field('isNullable', 'NcBoolean', 'TRUE iff property is nullable'),
+        field('isSequence', 'NcBoolean', 'TRUE iff property is a sequence'),
+        field('constraints', 'NcParameterConstraints', 'Optional constraints on top of the underlying data type', NULLABLE)
+    ], 'NcDescriptor', 'Descriptor of a method parameter'),
+    struct('NcEventDescriptor', [
+        field('id', 'NcEventId', 'Event id with level and index'),
+        field('name', 'NcName', 'Name of event'),
+        field('eventDatatype', 'NcName', 'Name of event data\'s datatype'),
+        field('isDeprecated', 'NcBoolean', 'TRUE iff property is marked as deprecated')
+    ], 'NcDescriptor', 'Descriptor of a class event'),
+    struct('NcDatatypeDescriptor', [
+        field('name', 'NcName', 'Datatype name'),
+        field('type', 'NcDatatypeType', 'Type: Primitive, Typedef, Struct, Enum'),
+        field('constraints', 'NcParameterConstraints', 'Optional constraints on top of the underlying data type', NULLABLE)
+    ], 'NcDescriptor', 'Base datatype descriptor'),
+    struct('NcDatatypeDescriptorPrimitive', [], 'NcDatatypeDescriptor', 'Primitive datatype descriptor'),
+    struct('NcDatatypeDescriptorTypeDef', [
+        field('parentType', 'NcName', 'Original typedef datatype name'),
+        field('isSequence', 'NcBoolean', 'TRUE iff type is a typedef sequence of another type')
+    ], 'NcDatatypeDescriptor', 'Type def datatype descriptor'),
+    struct('NcDatatypeDescriptorStruct', [
+        field('fields', 'NcFieldDescriptor', 'One item descriptor per field of the struct', SEQUENCE),
+        field('parentType', 'NcName', 'Name of the parent type if any or null if it has no parent', NULLABLE)
+    ], 'NcDatatypeDescriptor', 'Struct datatype descriptor'),
+    struct('NcDatatypeDescriptorEnum', [
+        field('items', 'NcEnumItemDescriptor', 'One item descriptor per enum option', SEQUENCE)
+    ], 'NcDatatypeDescriptor', 'Enum datatype descriptor'),
+    struct('NcFieldDescriptor', [
+        field('name', 'NcName', 'Name of field'),
+        field('typeName', 'NcName', 'Name of field\'s datatype. Can only ever be null if the type is any', NULLABLE),
+        field('isNullable', 'NcBoolean', 'TRUE iff field is nullable'),
+        field('isSequence', 'NcBoolean', 'TRUE iff field is a sequence'),
+        field('constraints', 'NcParameterConstraints', 'Optional constraints on top of the underlying data type', NULLABLE)
+    ], 'NcDescriptor', 'Descriptor of a field of a struct'),
+    struct('NcEnumItemDescriptor', [
+        field('name', 'NcName', 'Name of option'),
+        field('value', 'NcUint16', 'Enum item numerical value')
+    ], 'NcDescriptor', 'Descriptor of an enum item'),
+
+    struct('NcParameterConstraints', [
+        field('defaultValue', null, 'Default value', NULLABLE)
+    ], null, 'Abstract parameter constraints class'),
+    struct('NcParameterConstraintsNumber', [
+        field('maximum', null, 'Optional maximum', NULLABLE),
+        field('minimum', null, 'Optional minimum', NULLABLE),
+        field('step', null, 'Optional step', NULLABLE)
+    ], 'NcParameterConstraints', 'Number parameter constraints class'),
+    struct('NcParameterConstraintsString', [
+        field('maxCharacters', 'NcUint32', 'Maximum characters allowed', NULLABLE),
+        field('pattern', 'NcRegex', 'Regex pattern', NULLABLE)
+    ], 'NcParameterConstraints', 'String parameter constraints class'),
+    struct('NcPropertyConstraints', [
+        field('propertyId', 'NcPropertyId', 'Property being constrained'),
+        field('defaultValue', null, 'Optional default value', NULLABLE)
+    ], null, 'Property constraints class'),
+    struct('NcPropertyConstraintsNumber', [
+        field('maximum', null, 'Optional maximum', NULLABLE),
+        field('minimum', null, 'Optional minimum', NULLABLE),
+        field('step', null, 'Optional step', NULLABLE)
+    ], 'NcPropertyConstraints', 'Number property constraints class'),
+    struct('NcPropertyConstraintsString', [
+        field('maxCharacters', 'NcUint32', 'Maximum characters allowed', NULLABLE),
+        field('pattern', 'NcRegex', 'Regex pattern', NULLABLE)
+    ], 'NcPropertyConstraints', 'String property constraints class'),
+
+    struct('NcManufacturer', [
+        field('name', 'NcString', 'Manufacturer\'s name'),
+        field('organizationId', 'NcOrganizationId', 'IEEE OUI or CID of manufacturer', NULLABLE),
+        field('website', 'NcUri', 'URL of the manufacturer\'s website', NULLABLE)
+    ], null, 'Manufacturer descriptor'),
+    struct('NcProduct', [
+        field('name', 'NcString', 'Product name'),
+        field('key', 'NcString', 'Manufacturer\'s unique key to product - model number, SKU, etc'),
+        field('revisionLevel', 'NcString', 'Manufacturer\'s product revision level code'),
+        field('brandName', 'NcString', 'Brand name under which product is sold', NULLABLE),
+        field('uuid', 'NcUuid', 'Unique UUID of product (not product instance)', NULLABLE),
+        field('description', 'NcString', 'Text description of product', NULLABLE)
+    ], null, 'Product descriptor'),
+    struct('NcDeviceOperationalState', [
+        field('generic', 'NcDeviceGenericState', 'Generic operational state'),
+        field('deviceSpecificDetails', 'NcString', 'Specific device details', NULLABLE)
+    ], null, 'Device operational state'),
+
+    struct('NcTouchpoint', [
+        field('contextNamespace', 'NcString', 'Context namespace')
+    ], null, 'Base touchpoint class'),
+    struct('NcTouchpointResource', [
+        field('resourceType', 'NcString', 'The type of the resource')
+    ], null, 'Touchpoint resource class'),
+    struct('NcTouchpointResourceNmos', [
+        field('id', 'NcUuid', 'NMOS resource UUID')
+    ], 'NcTouchpointResource', 'Touchpoint resource class for NMOS resources'),
+    struct('NcTouchpointResourceNmosChannelMapping', [
+        field('ioId', 'NcString', 'IS-08 Audio Channel Mapping input or output id')
+    ], 'NcTouchpointResourceNmos', 'Touchpoint resource class for NMOS IS-08 resources'),
+    struct('NcTouchpointNmos', [
+        field('resource', 'NcTouchpointResourceNmos', 'Context NMOS resource')
+    ], 'NcTouchpoint', 'Touchpoint class for NMOS resources'),
+    struct('NcTouchpointNmosChannelMapping', [
+        field('resource', 'NcTouchpointResourceNmosChannelMapping', 'Context Channel Mapping resource')
+    ], 'NcTouchpoint', 'Touchpoint class for NMOS IS-08 resources'),
+
+    struct('NcMethodResult', [
+        field('status', 'NcMethodStatus', 'Status of method call')
+    ], null, 'Base result of the invoked method'),
+    struct('NcMethodResultError', [
+        field('errorMessage', 'NcString', 'Error message')
+    ], 'NcMethodResult', 'Error result - to be used when the method call encounters an error'),
+    struct('NcMethodResultPropertyValue', [
+        field('value', null, 'Getter method value for the associated property', NULLABLE)
+    ], 'NcMethodResult', 'Result when invoking the getter method associated with a property'),
+    struct('NcMethodResultBlockMemberDescriptors', [
+        field('value', 'NcBlockMemberDescriptor', 'Block member descriptors method result value', SEQUENCE)
+    ], 'NcMethodResult', 'Method result containing block member descriptors as the value'),
+    struct('NcMethodResultClassDescriptor', [
+        field('value', 'NcClassDescriptor', 'Class descriptor method result value')
+    ], 'NcMethodResult', 'Method result containing a class descriptor as the value'),
+    struct('NcMethodResultDatatypeDescriptor', [
+        field('value', 'NcDatatypeDescriptor', 'Datatype descriptor method result value')
+    ], 'NcMethodResult', 'Method result containing a datatype descriptor as the value'),
+    struct('NcMethodResultId', [
+        field('value', 'NcId', 'Id result value')
+    ], 'NcMethodResult', 'Id method result'),
+    struct('NcMethodResultLength', [
+        field('value', 'NcUint32', 'Length result value', NULLABLE)
+    ], 'NcMethodResult', 'Length method result'),
+    struct('NcPropertyChangedEventData', [
+        field('propertyId', 'NcPropertyId', 'The id of the property that changed'),
+        field('changeType', 'NcPropertyChangeType', 'Information regarding the change type'),
+        field('value', null, 'Property-type specific value', NULLABLE),
+        field('sequenceItemIndex', 'NcId', 'Index of sequence item if the property is a sequence', NULLABLE)
+    ], null, 'Payload of property-changed event')
+];
+
+const STANDARD_CLASSES = [
+    {
+        description: 'NcObject class descriptor',
+        identity: CLASS_IDS.object,
+        name: 'NcObject',
+        fixedRole: null,
+        properties: [
+            property(1, 1, 'classId', 'NcClassId', 'Static value. All instances of the same class will have the same identity value', RO),
+            property(1, 2, 'oid', 'NcOid', 'Object identifier', RO),
+            property(1, 3, 'constantOid', 'NcBoolean', 'TRUE iff OID is hardwired into device', RO),
+            property(1, 4, 'owner', 'NcOid', 'OID of containing block. Can only ever be null for the root block', RO_NULLABLE),
+            property(1, 5, 'role', 'NcString', 'Role of object in the containing block', RO),
+            property(1, 6, 'userLabel', 'NcString', 'Scribble strip', NULLABLE),
+            property(1, 7, 'touchpoints', 'NcTouchpoint', 'Touchpoints to other contexts', { readOnly: true, nullable: true, sequence: true }),
+            property(1, 8, 'runtimePropertyConstraints', 'NcPropertyConstraints', 'Runtime property constraints', { readOnly: true, nullable: true, sequence: true })
+        ],
+        methods: [
+            method(1, 1, 'Get', 'NcMethodResultPropertyValue', [
+                parameter('id', 'NcPropertyId', 'Property id')
+            ], 'Get property value'),
+            method(1, 2, 'Set', 'NcMethodResult', [
+                parameter('id', 'NcPropertyId', 'Property id'),
+                parameter('value', null, 'Property value', NULLABLE)
+            ], 'Set property value'),
+            method(1, 3, 'GetSequenceItem', 'NcMethodResultPropertyValue', [
+                parameter('id', 'NcPropertyId', 'Property id'),
+                parameter('index', 'NcId', 'Index of item in the sequence')
+            ], 'Get sequence item'),
+            method(1, 4, 'SetSequenceItem', 'NcMethodResult', [
+                parameter('id', 'NcPropertyId', 'Property id'),
+                parameter('index', 'NcId', 'Index of item in the sequence'),
+                parameter('value', null, 'Value', NULLABLE)
+            ], 'Set sequence item value'),
+            method(1, 5, 'AddSequenceItem', 'NcMethodResultId', [
+                parameter('id', 'NcPropertyId', 'Property id'),
+                parameter('value', null, 'Value', NULLABLE)
+            ], 'Add item to sequence'),
+            method(1, 6, 'RemoveSequenceItem', 'NcMethodResult', [
+                parameter('id', 'NcPropertyId', 'Property id'),
+                parameter('index', 'NcId', 'Index of item in the sequence')
+            ], 'Delete sequence item'),
+            method(1, 7, 'GetSequenceLength', 'NcMethodResultLength', [
+                parameter('id', 'NcPropertyId', 'Property id')
+            ], 'Get sequence length')
+        ],
+        events: [
+            event(1, 1, 'PropertyChanged', 'NcPropertyChangedEventData', 'Property changed event')
+        ]
+    },
+    {
+        description: 'NcBlock class descriptor',
+        identity: CLASS_IDS.block,
+        name: 'NcBlock',
+        fixedRole: null,
+        properties: [
+            property(2, 1, 'enabled', 'NcBoolean', 'TRUE if block is functional', RO),
+            property(2, 2, 'members', 'NcBlockMemberDescriptor', 'Descriptors of this block\'s members', { readOnly: true, sequence: true })
+        ],
+        methods: [
+            method(2, 1, 'GetMemberDescriptors', 'NcMethodResultBlockMemberDescriptors', [
+                parameter('recurse', 'NcBoolean', 'If recurse is set to true, nested members can be retrieved')
+            ], 'Gets descriptors of members of the block'),
+            method(2, 2, 'FindMembersByPath', 'NcMethodResultBlockMemberDescriptors', [
+                parameter('path', 'NcRolePath', 'Relative path to search for (MUST not include the role of the block targeted by oid)')
+            ], 'Finds member(s) by path'),
+            method(2, 3, 'FindMembersByRole', 'NcMethodResultBlockMemberDescriptors', [
+                parameter('role', 'NcString', 'Role text to search for'),
+                parameter('caseSensitive', 'NcBoolean', 'Signals if the comparison should be case sensitive'),
+                parameter('matchWholeString', 'NcBoolean', 'TRUE to only return exact matches'),
+                parameter('recurse', 'NcBoolean', 'TRUE to search nested blocks')
+            ], 'Finds members with given role name or fragment'),
+            method(2, 4, 'FindMembersByClassId', 'NcMethodResultBlockMemberDescriptors', [
+                parameter('classId', 'NcClassId', 'Class id to search for'),
+                parameter('includeDerived', 'NcBoolean', 'If TRUE it will also include derived class descriptors'),
+                parameter('recurse', 'NcBoolean', 'TRUE to search nested blocks')
+            ], 'Finds members with given class id')
+        ],
+        events: []
+    },
+    {
+        description: 'NcWorker class descriptor',
+        identity: CLASS_IDS.worker,
+        name: 'NcWorker',
+        fixedRole: null,
+        properties: [
+            property(2, 1, 'enabled', 'NcBoolean', 'TRUE iff worker is enabled')
+        ],
+        methods: [],
+        events: []
+    },
+    {
+        description: 'NcManager class descriptor',
+        identity: CLASS_IDS.manager,
+        name: 'NcManager',
+        fixedRole: null,
+        properties: [],
+        methods: [],
+        events: []
+    },
+    {
+        description: 'NcDeviceManager class descriptor',
+        identity: CLASS_IDS.deviceManager,
+        name: 'NcDeviceManager',
+        fixedRole: 'DeviceManager',
+        properties: [
+            property(3, 1, 'ncVersion', 'NcVersionCode', 'Version of MS-05-02 that this device uses', RO),
+            property(3, 2, 'manufacturer', 'NcManufacturer', 'Manufacturer descriptor', RO),
+            property(3, 3, 'product', 'NcProduct', 'Product descriptor', RO),
+            property(3, 4, 'serialNumber', 'NcString', 'Serial number', RO),
+            property(3, 5, 'userInventoryCode', 'NcString', 'Asset tracking identifier (user specified)', NULLABLE),
+            property(3, 6, 'deviceName', 'NcString', 'Name of this device in the application. Instance name, not product name', NULLABLE),
+            property(3, 7, 'deviceRole', 'NcString', 'Role of this device in the application', NULLABLE),
+            property(3, 8, 'operationalState', 'NcDeviceOperationalState', 'Device operational state', RO),
+            property(3, 9, 'resetCause', 'NcResetCause', 'Reason for most recent reset', RO),
+            property(3, 10, 'message', 'NcString', 'Arbitrary message from dev to controller', RO_NULLABLE)
+        ],
+        methods: [],
+        events: []
+    },
+    {
+        description: 'NcClassManager class descriptor',
+        identity: CLASS_IDS.classManager,
+        name: 'NcClassManager',
+        fixedRole: 'ClassManager',
+        properties: [
+            property(3, 1, 'controlClasses', 'NcClassDescriptor', 'Descriptions of all control classes in the device (descriptors do not contain inherited elements)', { readOnly: true, sequence: true }),
+            property(3, 2, 'datatypes', 'NcDatatypeDescriptor', 'Descriptions of all data types in the device (descriptors do not contain inherited elements)', { readOnly: true, sequence: true })
+        ],
+        methods: [
+            method(3, 1, 'GetControlClass', 'NcMethodResultClassDescriptor', [
+                parameter('classId', 'NcClassId', 'class ID'),
+                parameter('includeInherited', 'NcBoolean', 'If set the descriptor would contain all inherited elements')
+            ], 'Get a single class descriptor'),
+            method(3, 2, 'GetDatatype', 'NcMethodResultDatatypeDescriptor', [
+                parameter('name', 'NcName', 'name of datatype'),
+                parameter('includeInherited', 'NcBoolean', 'If set the descriptor would contain all inherited elements')
+            ], 'Get a single datatype descriptor')
+        ],
+        events: []
+    }
+];
+
+const INTEGER_RANGES = {
+    NcInt16: [-32768, 32767],
+    NcInt32: [-2147483648, 2147483647],
+    NcInt64: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+    NcUint16: [0, 65535],
+    NcUint32: [0, 4294967295],
+    NcUint64: [0, Number.MAX_SAFE_INTEGER]
+};
+
+const checkPrimitive = (typeName, value) => {
+    if (typeName === 'NcBoolean') return typeof value === 'boolean';
+    if (typeName === 'NcString') return typeof value === 'string';
+    if (typeName === 'NcFloat32' || typeName === 'NcFloat64') return typeof value === 'number';
+    const range = INTEGER_RANGES[typeName];
+    return range ? Number.isInteger(value) && value >= range[0] && value <= range[1] : true;
+};
+
+// NcRegex patterns must match the whole string; an invalid pattern matches nothing
+const matchesPattern = (pattern, value) => {
+    try {
+        return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+    } catch (error) {
+        return false;
+    }
+};
+
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const elementKey = (id) => `${id.level}.${id.index}`;
+
+const sameId = (a, b) => a.level === b.level && a.index === b.index;
+
+const classKey = (classId) => classId.join('.');
+
+const isDerivedFrom = (classId, baseId) => baseId.length <= classId.length && baseId.every((value, i) => classId[i] === value);
+
+// Parent class: drop the last field, and the authority key (0 or negative) in front of it
+const parentClassId = (classId) => {
+    const parent = classId.slice(0, -1);
+    if (parent.length > 0 && parent[parent.length - 1] <= 0) {
+        parent.pop();
+    }
+    return parent;
+};
+
+// Element level of a class: its depth in the hierarchy (authority keys do not count)
+const classLevel = (classId) => classId.filter(value => value > 0).length;
+
+/**
+ * Parse a property, method or event id: { level, index } or "3p1" / "2m1" / "1e1".
+ *
+ * @returns {{level: number, index: number}|null}
+ */
+const parseElementId = (id) => {
+    if (id && typeof id === 'object') {
+        return Number.isInteger(id.level) && Number.isInteger(id.index) ? { level: id.level, index: id.index } : null;
+    }
+    const match = String(id).match(/^(\d+)[pme](\d+)$/);
+    return match ? { level: parseInt(match[1]), index: parseInt(match[2]) } : null;
+};
+
+const formatId = (id, kind) => {
+    const parsed = parseElementId(id);
+    return parsed ? `${parsed.level}${kind}${parsed.index}` : String(id);
+};
+
+/**
+ * Create an MS-05-02 device model: the root block with the mandatory DeviceManager
+ * and ClassManager, and the standard classes and datatypes.
+ *
+ * Methods are invoked with invoke(oid, methodId, args), which resolves to an
+ * NcMethodResult ({status, value} or {status, errorMessage}).
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.deviceManager] - NcDeviceManager values by property name
+ *   (manufacturer, product, serialNumber, deviceName...)
+ * @param {Function} [options.onPropertyChanged] - (object, eventData) => void after every
+ *   property change; eventData is an NcPropertyChangedEventData
+ * @param {Function} [options.beforeSet] - (object, descriptor, value) => null to apply a
+ *   controller's Set or sequence item change, or an NcMethodResult refusing it (or a promise
+ *   of either); value is the whole property value after the change, called once it has
+ *   passed the type and constraint checks
+ */
+const createControlModel = (options = {}) => {
+    const onPropertyChanged = options.onPropertyChanged || (() => {});
+    const beforeSet = options.beforeSet || (() => null);
+    const classes = new Map();
+    const datatypes = new Map();
+    const objects = new Map();
+    let nextOid = 1;
+
+    const getClass = (classId) => classes.get(classKey(classId));
+
+    // The class and its ancestors, most derived first
+    const classChain = (classId) => {
+        const chain = [];
+        for (let id = classId; id.length > 0; id = parentClassId(id)) {
+            const descriptor = getClass(id);
+            if (descriptor) chain.push(descriptor);
+        }
+        return chain;
+    };
+
+    const className = (object) => getClass(object.classId).name;
+
+    // { element, owner } for a property / method / event id, searching up the class chain
+    const findElement = (object, kind, id) => {
+        for (const descriptor of classChain(object.classId)) {
+            const element = descriptor[kind].find(item => sameId(item.id, id));
+            if (element) return { element, owner: descriptor };
+        }
+        return null;
+    };
+
+    const structFields = (datatype) => {
+        const parent = datatype.parentType ? datatypes.get(datatype.parentType) : null;
+        return [...(parent ? structFields(parent) : []), ...datatype.fields];
+    };
+
+    /**
+     * Check a value against a datatype (typeName null means any type).
+     *
+     * @returns {string|null} the problem, or null when the value is acceptable
+     */
+    const checkValue = (typeName, value, shape, path) => {
+        if (value === null || value === undefined) {
+            return shape.isNullable ? null : `${path} must not be null`;
+        }
+        if (shape.isSequence) {
+            if (!Array.isArray(value)) return `${path} must be a sequence`;
+            for (let i = 0; i < value.length; i++) {
+                const problem = checkValue(typeName, value[i], {}, `${path}[${i}]`);
+                if (problem) return problem;
+            }
+            return null;
+        }
+        if (typeName === null) return null;
+
+        const datatype = datatypes.get(typeName);
+        if (!datatype) return `${path}: unknown datatype ${typeName}`;
+
+        switch (datatype.type) {
+            case 0:
+                return checkPrimitive(typeName, value) ? null : `${path} must be ${typeName}`;
+            case 1:
+                return checkValue(datatype.parentType, value, { isSequence: datatype.isSequence }, path);
+            case 2: {
+                if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be a ${typeName} object`;
+                for (const item of structFields(datatype)) {
+                    const fieldPath = `${path}.${item.name}`;
+                    const problem = checkValue(item.typeName, value[item.name], item, fieldPath) ||
+                        checkConstraints(item.constraints || datatypeConstraints(item.typeName), value[item.name], fieldPath);
+                    if (problem) return problem;
+                }
+                return null;
+            }
+            default:
+                return datatype.items.some(item => item.value === value)
+                    ? null
+                    : `${path} must be one of ${typeName} (${datatype.items.map(item => item.value).join(', ')})`;
+        }
+    };
+
+    // NcParameterConstraintsNumber / NcParameterConstraintsString (and their property forms)
+    const checkConstraints = (constraints, value, path) => {
+        if (!constraints || value === null || value === undefined) return null;
+
+        if (typeof value === 'number') {
+            if (typeof constraints.minimum === 'number' && value < constraints.minimum) {
+                return `${path} must be at least ${constraints.minimum}`;
+            }
+            if (typeof constraints.maximum === 'number' && value > constraints.maximum) {
+                return `${path} must be at most ${constraints.maximum}`;
+            }
+            if (typeof constraints.step === 'number' && constraints.step > 0) {
+                const base = typeof constraints.minimum === 'number' ? constraints.minimum : 0;
+                const steps = (value - base) / constraints.step;
+                if (Math.abs(steps - Math.round(steps)) > 1e-9 * Math.max(1, Math.abs(steps))) {
+                    return `${path} must be ${base} plus a multiple of ${constraints.step}`;
+                }
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (typeof constraints.maxCharacters === 'number' && [...value].length > constraints.maxCharacters) {
+                return `${path} must be at most ${constraints.maxCharacters} characters`;
+            }
+            if (typeof constraints.pattern === 'string' && !matchesPattern(constraints.pattern, value)) {
+                return `${path} must match ${constraints.pattern}`;
+            }
+        }
+        return null;
+    };
+
+    // Constraints declared on a datatype or, for a typedef, on the nearest type it derives from
+    const datatypeConstraints = (typeName) => {
+        const datatype = typeName ? datatypes.get(typeName) : null;
+        if (!datatype) return null;
+        if (datatype.constraints) return datatype.constraints;
+        return datatype.type === 1 ? datatypeConstraints(datatype.parentType) : null;
+    };
+
+    /**
+     * Check a property, parameter or field value: its type, then the constraints that apply
+     * to it (to every item of a sequence). With itemIndex the value is one item of a sequence.
+     *
+     * @returns {string|null} the problem, or null when the value is acceptable
+     */
+    const checkElement = (element, constraints, value, itemIndex = null) => {
+        const path = itemIndex === null ? element.name : `${element.name}[${itemIndex}]`;
+        const problem = checkValue(element.typeName, value, itemIndex === null ? element : {}, path);
+        if (problem) return problem;
+
+        if (itemIndex === null && element.isSequence && Array.isArray(value)) {
+            for (let i = 0; i < value.length; i++) {
+                const itemProblem = checkConstraints(constraints, value[i], `${path}[${i}]`);
+                if (itemProblem) return itemProblem;
+            }
+            return null;
+        }
+        return checkConstraints(constraints, value, path);
+    };
+
+    // Runtime constraints (1p8) override property constraints, which override datatype constraints
+    const constraintsFor = (object, descriptor) => {
+        const runtime = (object.values.get('1.8') || []).find(item => item && item.propertyId && sameId(item.propertyId, descriptor.id));
+        return runtime || descriptor.constraints || datatypeConstraints(descriptor.typeName);
+    };
+
+    const datatypeDefault = (typeName) => {
+        const datatype = typeName ? datatypes.get(typeName) : null;
+        if (!datatype) return null;
+        switch (datatype.type) {
+            case 0:
+                return typeName === 'NcBoolean' ? false : typeName === 'NcString' ? '' : 0;
+            case 1:
+                return datatype.isSequence ? [] : datatypeDefault(datatype.parentType);
+            case 2:
+                return Object.fromEntries(structFields(datatype).map(item => [item.name, defaultValue(item)]));
+            default:
+                return datatype.items.length > 0 ? datatype.items[0].value : 0;
+        }
+    };
+
+    const defaultValue = (descriptor) => {
+        if (descriptor.constraints && descriptor.constraints.defaultValue !== undefined && descriptor.constraints.defaultValue !== null) {
+            return clone(descriptor.constraints.defaultValue);
+        }
+        if (descriptor.isNullable) return null;
+        if (descriptor.isSequence) return [];
+        return datatypeDefault(descriptor.typeName);
+    };
+
+    const registerDatatype = (descriptor) => {
+        if (!descriptor || typeof descriptor.name !== 'string' || ![0, 1, 2, 3].includes(descriptor.type)) {
+            throw new Error('Invalid datatype descriptor');
+        }
+        if (datatypes.has(descriptor.name)) {
+            throw new Error(`Datatype ${descriptor.name} is already defined`);
+        }
+        datatypes.set(descriptor.name, { description: null, constraints: null, ...descriptor });
+    };
+
+    const registerClass = (descriptor) => {
+        const classId = descriptor.identity;
+        if (!Array.isArray(classId) || classId.length === 0 || !classId.every(Number.isInteger)) {
+            throw new Error(`Invalid class id for ${descriptor.name}`);
+        }
+        if (getClass(classId)) {
+            throw new Error(`Class ${classKey(classId)} is already defined`);
+        }
+        const parent = parentClassId(classId);
+        if (parent.length > 0 && !getClass(parent)) {
+            throw new Error(`${descriptor.name} (${classKey(classId)}): parent class ${classKey(parent)} is not defined`);
+        }
+
+        const level = classLevel(classId);
+        const normalized = { description: null, fixedRole: null, properties: [], methods: [], events: [], ...descriptor };
+        for (const kind of ['properties', 'methods', 'events']) {
+            for (const element of normalized[kind]) {
+                if (!element.id || element.id.level !== level) {
+                    throw new Error(`${descriptor.name}.${element.name}: element ids of class ${classKey(classId)} must have level ${level}`);
+                }
+            }
+        }
+        for (const element of [...normalized.properties, ...normalized.methods.flatMap(item => item.parameters)]) {
+            if (element.typeName !== null && !datatypes.has(element.typeName)) {
+                throw new Error(`${descriptor.name}.${element.name}: unknown datatype ${element.typeName}`);
+            }
+        }
+        classes.set(classKey(classId), normalized);
+    };
+
+    const members = (block) => block.members.map(oid => objects.get(oid));
+
+    const descendants = (block, recurse) => members(block).flatMap(member =>
+        recurse && member.members ? [member, ...descendants(member, true)] : [member]);
+
+    const memberDescriptor = (object) => ({
+        description: object.description,
+        role: object.role,
+        oid: object.oid,
+        constantOid: object.constantOid,
+        classId: [...object.classId],
+        userLabel: object.values.get('1.6'),
+        owner: object.owner
+    });
+
+    const createObject = (classId, role, owner, settings = {}) => {
+        const descriptor = getClass(classId);
+        if (!descriptor) {
+            throw new Error(`Unknown class ${classKey(classId)}`);
+        }
+        if (typeof role !== 'string' || !role || role.includes('/')) {
+            throw new Error(`Invalid role "${role}" (a non-empty string without "/")`);
+        }
+        if (owner && members(owner).some(member => member.role === role)) {
+            throw new Error(`Role "${role}" is already used in block "${owner.role}"`);
+        }
+        const oid = settings.oid || nextOid;
+        if (objects.has(oid)) {
+            throw new Error(`OID ${oid} is already used`);
+        }
+
+        const object = {
+            oid,
+            classId: [...classId],
+            role,
+            owner: owner ? owner.oid : null,
+            constantOid: true,
+            description: settings.description || null,
+            values: new Map(),
+            getters: new Map(),
+            handlers: new Map(),
+            members: isDerivedFrom(classId, CLASS_IDS.block) ? [] : null
+        };
+
+        const initial = settings.values || {};
+        for (const cls of classChain(classId)) {
+            for (const item of cls.properties) {
+                const value = initial[item.name];
+                if (value !== undefined) {
+                    const problem = checkElement(item, item.constraints || datatypeConstraints(item.typeName), value);
+                    if (problem) throw new Error(`${role}: ${problem}`);
+                }
+                object.values.set(elementKey(item.id), value !== undefined ? clone(value) : defaultValue(item));
+            }
+        }
+        object.values.set('1.1', [...classId]);
+        object.values.set('1.2', oid);
+        object.values.set('1.3', true);
+        object.values.set('1.4', object.owner);
+        object.values.set('1.5', role);
+        object.values.set('1.6', settings.userLabel !== undefined ? settings.userLabel : null);
+        if (object.members) {
+            object.values.set('2.1', true);
+            object.getters.set('2.2', () => members(object).map(memberDescriptor));
+        } else if (isDerivedFrom(classId, CLASS_IDS.worker) && initial.enabled === undefined) {
+            object.values.set('2.1', true);
+        }
+
+        objects.set(oid, object);
+        nextOid = Math.max(nextOid, oid + 1);
+        if (owner) {
+            owner.members.push(oid);
+        }
+        return object;
+    };
+
+    const resolveProperty = (object, id) => {
+        const parsed = parseElementId(id);
+        let descriptor = null;
+        if (parsed) {
+            const found = findElement(object, 'properties', parsed);
+            descriptor = found ? found.element : null;
+        } else {
+            for (const cls of classChain(object.classId)) {
+                descriptor = descriptor || cls.properties.find(item => item.name === id) || null;
+            }
+        }
+        if (!descriptor) {
+            throw methodError(STATUS.propertyNotImplemented, `Property ${formatId(id, 'p')} is not implemented by ${className(object)}`);
+        }
+        return descriptor;
+    };
+
+    const readProperty = (object, descriptor) => {
+        const key = elementKey(descriptor.id);
+        return object.getters.has(key) ? object.getters.get(key)() : object.values.get(key);
+    };
+
+    const changed = (object, descriptor, changeType, value, sequenceItemIndex = null) => {
+        onPropertyChanged(object, {
+            propertyId: { ...descriptor.id },
+            changeType,
+            value: clone(value),
+            sequenceItemIndex
+        });
+    };
+
+    // Read-only applies to controllers; local updates (e.g. meters) may write them
+    const writableProperty = (object, id, local) => {
+        const descriptor = resolveProperty(object, id);
+        if ((descriptor.isReadOnly && !local) || object.getters.has(elementKey(descriptor.id))) {
+            throw methodError(STATUS.readonly, `Property ${descriptor.name} is read only`);
+        }
+        return descriptor;
+    };
+
+    const checkWrite = (object, id, value, local) => {
+        const descriptor = writableProperty(object, id, local);
+        const problem = checkElement(descriptor, constraintsFor(object, descriptor), value);
+        if (problem) {
+            throw methodError(STATUS.parameterError, problem);
+        }
+        return descriptor;
+    };
+
+    const writeProperty = (object, id, value, local = false) => {
+        const descriptor = checkWrite(object, id, value, local);
+        const key = elementKey(descriptor.id);
+        if (JSON.stringify(object.values.get(key)) === JSON.stringify(value)) {
+            return;
+        }
+        object.values.set(key, clone(value));
+        changed(object, descriptor, CHANGE_TYPE.valueChanged, value);
+    };
+
+    const sequenceProperty = (object, id, write) => {
+        const descriptor = write ? writableProperty(object, id, false) : resolveProperty(object, id);
+        if (!descriptor.isSequence) {
+            throw methodError(STATUS.invalidRequest, `Property ${descriptor.name} is not a sequence`);
+        }
+        return descriptor;
+    };
+
+    const checkIndex = (descriptor, sequence, index) => {
+        if (!Array.isArray(sequence) || index < 0 || index >= sequence.length) {
+            throw methodError(STATUS.indexOutOfBounds, `Index ${index} is outside ${descriptor.name} (length ${Array.isArray(sequence) ? sequence.length : 0})`);
+        }
+    };
+
+    const checkItem = (object, descriptor, value, index) => {
+        const problem = checkElement(descriptor, constraintsFor(object, descriptor), value, index);
+        if (problem) {
+            throw methodError(STATUS.parameterError, problem);
+        }
+    };
+
+    const inheritedClass = (descriptor) => {
+        const chain = classChain(descriptor.identity);
+        return {
+            ...clone(descriptor),
+            properties: clone(chain.flatMap(cls => cls.properties)),
+            methods: clone(chain.flatMap(cls => cls.methods)),
+            events: clone(chain.flatMap(cls => cls.events))
+        };
+    };
+
+    // Controller changes go through beforeSet with the property's resulting value; changes that need
+    // no confirmation are applied right away, in command order
+    const confirmChange = (object, descriptor, value, apply) => {
+        const refusal = beforeSet(object, descriptor, clone(value));
+        if (refusal && typeof refusal.then === 'function') {
+            return refusal.then(result => result || apply());
+        }
+        return refusal || apply();
+    };
+
+    // Standard method implementations, by declaring class and method key
+    const STANDARD_METHODS = {
+        NcObject: {
+            '1.1': (object, args) => ({ status: STATUS.ok, value: clone(readProperty(object, resolveProperty(object, args.id))) }),
+            '1.2': (object, args) => confirmChange(object, checkWrite(object, args.id, args.value, false), args.value, () => {
+                writeProperty(object, args.id, args.value);
+                return { status: STATUS.ok };
+            }),
+            '1.3': (object, args) => {
+                const descriptor = sequenceProperty(object, args.id, false);
+                const sequence = readProperty(object, descriptor);
+                checkIndex(descriptor, sequence, args.index);
+                return { status: STATUS.ok, value: clone(sequence[args.index]) };
+            },
+            '1.4': (object, args) => {
+                const prepare = () => {
+                    const descriptor = sequenceProperty(object, args.id, true);
+                    const sequence = object.values.get(elementKey(descriptor.id));
+                    checkIndex(descriptor, sequence, args.index);
+                    checkItem(object, descriptor, args.value, args.index);
+                    return { descriptor, sequence };
+                };
+                const { descriptor, sequence } = prepare();
+                const value = [...sequence];
+                value[args.index] = args.value;
+                return confirmChange(object, descriptor, value, () => {
+                    // Checked again: the sequence may have changed while waiting for confirmation
+                    prepare().sequence[args.index] = clone(args.value);
+                    changed(object, descriptor, CHANGE_TYPE.sequenceItemChanged, args.value, args.index);
+                    return { status: STATUS.ok };
+                });
+            },
+            '1.5': (object, args) => {
+                const prepare = () => {
+                    const descriptor = sequenceProperty(object, args.id, true);
+                    const sequence = object.values.get(elementKey(descriptor.id)) || [];
+                    checkItem(object, descriptor, args.value, sequence.length);
+                    return { descriptor, sequence };
+                };
+                const { descriptor, sequence } = prepare();
+                return confirmChange(object, descriptor, [...sequence, args.value], () => {
+                    const current = prepare().sequence;
+                    current.push(clone(args.value));
+                    object.values.set(elementKey(descriptor.id), current);
+                    changed(object, descriptor, CHANGE_TYPE.sequenceItemAdded, args.value, current.length - 1);
+                    return { status: STATUS.ok, value: current.length - 1 };
+                });
+            },
+            '1.6': (object, args) => {
+                const prepare = () => {
+                    const descriptor = sequenceProperty(object, args.id, true);
+                    const sequence = object.values.get(elementKey(descriptor.id));
+                    checkIndex(descriptor, sequence, args.index);
+                    return { descriptor, sequence };
+                };
+                const { descriptor, sequence } = prepare();
+                return confirmChange(object, descriptor, sequence.filter((item, i) => i !== args.index), () => {
+                    prepare().sequence.splice(args.index, 1);
+                    changed(object, descriptor, CHANGE_TYPE.sequenceItemRemoved, null, args.index);
+                    return { status: STATUS.ok };
+                });
+            },
+            '1.7': (object, args) => {
+                const sequence = readProperty(object, sequenceProperty(object, args.id, false));
+                return { status: STATUS.ok, value: Array.isArray(sequence) ? sequence.length : null };
+            }
+        },
+        NcBlock: {
+            '2.1': (block, args) => ({ status: STATUS.ok, value: descendants(block, args.recurse).map(memberDescriptor) }),
+            '2.2': (block, args) => {
+                if (args.path.length === 0) {
+                    throw methodError(STATUS.parameterError, 'path must not be empty');
+                }
+                let current = block;
+                for (const role of args.path) {
+                    current = current.members ? members(current).find(member => member.role === role) : null;
+                    if (!current) {
+                        throw methodError(STATUS.parameterError, `No member at path ${args.path.join('/')} in block ${block.role}`);
+                    }
+                }
+                return { status: STATUS.ok, value: [memberDescriptor(current)] };
+            },
+            '2.3': (block, args) => {
+                const normalize = (text) => args.caseSensitive ? text : text.toLowerCase();
+                const wanted = normalize(args.role);
+                const matches = descendants(block, args.recurse).filter(member => args.matchWholeString
+                    ? normalize(member.role) === wanted
+                    : normalize(member.role).includes(wanted));
+                return { status: STATUS.ok, value: matches.map(memberDescriptor) };
+            },
+            '2.4': (block, args) => {
+                const matches = descendants(block, args.recurse).filter(member => args.includeDerived
+                    ? isDerivedFrom(member.classId, args.classId)
+                    : classKey(member.classId) === classKey(args.classId));
+                return { status: STATUS.ok, value: matches.map(memberDescriptor) };
+            }
+        },
+        NcClassManager: {
+            '3.1': (manager, args) => {
+                const descriptor = getClass(args.classId);
+                if (!descriptor) {
+                    throw methodError(STATUS.parameterError, `Class ${classKey(args.classId)} is not defined`);
+                }
+                return { status: STATUS.ok, value: args.includeInherited ? inheritedClass(descriptor) : clone(descriptor) };
+            },
+            '3.2': (manager, args) => {
+                const datatype = datatypes.get(args.name);
+                if (!datatype) {
+                    throw methodError(STATUS.parameterError, `Datatype ${args.name} is not defined`);
+                }
+                const value = clone(datatype);
+                if (args.includeInherited && datatype.type === 2) {
+                    value.fields = clone(structFields(datatype));
+                }
+                return { status: STATUS.ok, value };
+            }
+        }
+    };
+
+    /**
+     * Invoke a method on an object.
+     *
+     * @param {number} oid
+     * @param {Object|string} methodId - { level, index } or "2m1"
+     * @param {Object} [args]
+     * @returns {Promise<Object>} NcMethodResult
+     */
+    const invoke = async (oid, methodId, args) => {
+        try {
+            const object = objects.get(oid);
+            if (!object) {
+                throw methodError(STATUS.badOid, `No object with oid ${oid}`);
+            }
+            const id = parseElementId(methodId);
+            const found = id ? findElement(object, 'methods', id) : null;
+            if (!found) {
+                throw methodError(STATUS.methodNotImplemented, `Method ${formatId(methodId, 'm')} is not implemented by ${className(object)}`);
+            }
+
+            const values = args || {};
+            for (const item of found.element.parameters) {
+                const problem = checkElement(item, item.constraints || datatypeConstraints(item.typeName), values[item.name]);
+                if (problem) {
+                    throw methodError(STATUS.parameterError, `${found.element.name}: ${problem}`);
+                }
+            }
+
+            const key = elementKey(found.element.id);
+            const handler = object.handlers.get(key) || (STANDARD_METHODS[found.owner.name] || {})[key];
+            if (!handler) {
+                throw methodError(STATUS.methodNotImplemented, `Method ${found.element.name} has no implementation`);
+            }
+            const result = await handler(object, values);
+            return result && typeof result.status === 'number' ? result : { status: STATUS.ok, value: result === undefined ? null : result };
+        } catch (error) {
+            return { status: error.status || STATUS.deviceError, errorMessage: error.message };
+        }
+    };
+
+    STANDARD_DATATYPES.forEach(registerDatatype);
+    STANDARD_CLASSES.forEach(registerClass);
+
+    const root = createObject(CLASS_IDS.block, 'root', null, { description: 'Root block' });
+    const deviceManager = createObject(CLASS_IDS.deviceManager, 'DeviceManager', root, {
+        description: 'Device manager',
+        values: {
+            ncVersion: NC_VERSION,
+            operationalState: { generic: 1, deviceSpecificDetails: null },
+            resetCause: 1,
+            ...(options.deviceManager || {})
+        }
+    });
+    const classManager = createObject(CLASS_IDS.classManager, 'ClassManager', root, { description: 'Class manager' });
+    classManager.getters.set('3.1', () => clone([...classes.values()]));
+    classManager.getters.set('3.2', () => clone([...datatypes.values()]));
+
+    const rolePath = (object) => {
+        const path = [];
+        for (let current = object; current; current = objects.get(current.owner)) {
+            path.unshift(current.role);
+        }
+        return path;
+    };
+
+    /**
+     * Find an object by role path from the root, e.g. "root/channels/ch1/gain".
+     */
+    const findByRolePath = (path) => {
+        const roles = Array.isArray(path) ? path : String(path).split('/').filter(Boolean);
+        if (roles[0] !== root.role) return null;
+        let current = root;
+        for (const role of roles.slice(1)) {
+            current = current.members ? members(current).find(member => member.role === role) : null;
+            if (!current) return null;
+        }
+        return current;
+    };
+
+    // Object tree with property values by name (NcObject bookkeeping properties left out)
+    const describe = (object = root) => {
+        const properties = {};
+        for (const cls of classChain(object.classId).reverse()) {
+            for (const item of cls.properties) {
+                if (item.id.level > 1 && !(object.members && item.name === 'members')) {
+                    properties[item.name] = clone(readProperty(object, item));
+                }
+            }
+        }
+        return {
+            oid: object.oid,
+            role: object.role,
+            classId: [...object.classId],
+            className: className(object),
+            userLabel: object.values.get('1.6'),
+            description: object.description,
+            properties,
+            ...(object.members ? { members: members(object).map(member => describe(member)) } : {})
+        };
+    };
+
+    return {
+        root,
+        deviceManager,
+        classManager,
+        registerClass,
+        registerDatatype,
+        getClass,
+        getDatatype: (name) => datatypes.get(name) || null,
+
+        addBlock: (owner, settings) => {
+            const classId = settings.classId || CLASS_IDS.block;
+            if (!owner.members) throw new Error(`${owner.role} is not a block`);
+            if (!isDerivedFrom(classId, CLASS_IDS.block)) throw new Error(`Class ${classKey(classId)} is not an NcBlock`);
+            return createObject(classId, settings.role, owner, settings);
+        },
+
+        addWorker: (owner, settings) => {
+            if (!owner.members) throw new Error(`${owner.role} is not a block`);
+            if (!Array.isArray(settings.classId) || !isDerivedFrom(settings.classId, CLASS_IDS.worker)) {
+                throw new Error(`Worker "${settings.role}": class ${settings.classId} is not an NcWorker`);
+            }
+            return createObject(settings.classId, settings.role, owner, settings);
+        },
+
+        getObject: (oid) => objects.get(oid) || null,
+        getObjects: () => [...objects.values()],
+        rolePath,
+        findByRolePath,
+        className,
+
+        getProperty: (object, id) => clone(readProperty(object, resolveProperty(object, id))),
+
+        /**
+         * Set a property from the device side. Read-only properties can be written;
+         * types are still checked. Throws an Error with an NcMethodStatus `status`.
+         */
+        setProperty: (object, id, value) => writeProperty(object, id, value, true),
+
+        getPropertyDescriptor: (object, id) => resolveProperty(object, id),
+
+        /**
+         * Implement a method of an object: handler(object, args) returns (or resolves to)
+         * an NcMethodResult or a plain value.
+         */
+        setMethodHandler: (object, methodId, handler) => {
+            const id = parseElementId(methodId);
+            if (!id || !findElement(object, 'methods', id)) {
+                throw new Error(`Method ${formatId(methodId, 'm')} is not declared by ${className(object)}`);
+            }
+            object.handlers.set(elementKey(id), handler);
+        },
+
+        checkValue,
+        invoke,
+        describe
+    };
+};
+
+module.exports = {
+    NC_VERSION,
+    STATUS,
+    CHANGE_TYPE,
+    CLASS_IDS,
+    createControlModel,
+    parseElementId,
+    isDerivedFrom,
+    classLevel,
+    typedef,
+    field,
+    struct,
+    enumeration,
+    property,
+    method,
+    parameter,
+    event
+};
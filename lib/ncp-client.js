@@ -0,0 +1,476 @@
+/**
+ * lib/ncp-client.js
+ * IS-12 controller session: WebSocket to a device's NCP endpoint, commands correlated by
+ * handle with timeouts, MS-05-02 browsing (role paths, class descriptors) and subscriptions
+ * restored after reconnects
+ */
+
+const WebSocket = require('ws');
+const { STATUS, CLASS_IDS, parseElementId, classLevel } = require('./ms05-model');
+
+// Reconnect backoff: 1s, 2s, 4s... up to a minute, each randomised to 50-100%
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60000;
+
+const MESSAGE_TYPE = {
+    command: 0,
+    commandResponse: 1,
+    notification: 2,
+    subscription: 3,
+    subscriptionResponse: 4,
+    error: 5
+};
+
+const MAX_HANDLE = 65535;
+
+const ncpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const classKey = (classId) => classId.join('.');
+
+const isSuccess = (result) => result && result.status >= 200 && result.status < 300;
+
+/**
+ * Create an IS-12 controller session. Nothing happens until start().
+ *
+ * @param {Object} options
+ * @param {Function} options.getUrl - async () => NCP WebSocket URL, resolved on every connection attempt
+ * @param {Function} [options.getWsOptions] - () => ws client options (TLS, Authorization header)
+ * @param {number} [options.timeout=5000] - Command timeout in ms
+ * @param {Function} [options.onNotification] - (notification) => void; the notification carries
+ *   `object` ({oid, role, rolePath, classId}) and `property` (its descriptor) when known
+ * @param {Function} [options.onConnectionChange] - ({state, url, reason, retryIn, objects}) => void;
+ *   state is 'connected', 'disconnected' or 'reconnecting'
+ * @param {Function} [options.onError] - (error) => void for connection failures and Error messages
+ * @param {Function} [options.log]
+ */
+const createNcpClient = (options) => {
+    const timeout = options.timeout || 5000;
+    const onNotification = options.onNotification || (() => {});
+    const onConnectionChange = options.onConnectionChange || (() => {});
+    const onError = options.onError || (() => {});
+    const log = options.log || (() => {});
+
+    let ws = null;
+    let url = null;
+    let connected = false;
+    let ready = false;
+    let stopped = true;
+    let attempt = 0;
+    let reconnectTimer = null;
+    let lastHandle = 0;
+    const pending = new Map();
+
+    // Browsed model: objects by role path and by oid, class descriptors (with inherited elements)
+    let objectsByPath = new Map();
+    let objectsByOid = new Map();
+    const classes = new Map();
+    let classManagerOid = null;
+
+    // Subscribed role paths ('*' for every object); oids follow the browsed model
+    const subscribedPaths = new Set();
+    let subscribedOids = [];
+
+    const isOpen = () => ws !== null && connected && ws.readyState === WebSocket.OPEN;
+
+    const allocateHandle = () => {
+        do {
+            lastHandle = lastHandle >= MAX_HANDLE ? 1 : lastHandle + 1;
+        } while (pending.has(lastHandle));
+        return lastHandle;
+    };
+
+    const rejectPending = (error) => {
+        pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        pending.clear();
+    };
+
+    /**
+     * Send one command.
+     *
+     * @returns {Promise<Object>} the NcMethodResult, whatever its status
+     */
+    const command = (oid, methodId, args) => new Promise((resolve, reject) => {
+        if (!isOpen()) {
+            reject(ncpError(STATUS.notReady, 'Not connected to the device'));
+            return;
+        }
+        if (pending.size >= MAX_HANDLE) {
+            reject(ncpError(STATUS.bufferOverflow, 'Too many commands waiting for a response'));
+            return;
+        }
+
+        const handle = allocateHandle();
+        const timer = setTimeout(() => {
+            pending.delete(handle);
+            reject(ncpError(STATUS.timeout, `No response within ${timeout} ms`));
+        }, timeout);
+        pending.set(handle, { resolve, reject, timer });
+
+        ws.send(JSON.stringify({
+            messageType: MESSAGE_TYPE.command,
+            commands: [{ handle, oid, methodId, arguments: args || {} }]
+        }));
+    });
+
+    // Command whose failure status becomes an Error; resolves to the result value
+    const call = async (oid, methodId, args) => {
+        const result = await command(oid, methodId, args);
+        if (!isSuccess(result)) {
+            throw ncpError(result ? result.status : STATUS.deviceError, (result && result.errorMessage) || `Status ${result ? result.status : 'unknown'}`);
+        }
+        return result.value;
+    };
+
+    const loadClass = async (classId) => {
+        const key = classKey(classId);
+        if (!classes.has(key)) {
+            if (classManagerOid === null) {
+                throw ncpError(STATUS.invalidRequest, 'The device has no ClassManager');
+            }
+            classes.set(key, await call(classManagerOid, { level: 3, index: 1 }, { classId, includeInherited: true }));
+        }
+        return classes.get(key);
+    };
+
+    /**
+     * Walk the block tree from the root and fetch the class descriptor of every class in use.
+     */
+    const browse = async () => {
+        const rootRole = await call(1, { level: 1, index: 1 }, { id: { level: 1, index: 5 } });
+        const members = await call(1, { level: 2, index: 1 }, { recurse: true });
+
+        const byOid = new Map([[1, { oid: 1, role: rootRole, classId: [1, 1], owner: null, userLabel: null }]]);
+        members.forEach(member => byOid.set(member.oid, { ...member }));
+
+        const rolePath = (object) => {
+            if (object.rolePath) return object.rolePath;
+            const owner = object.owner !== null ? byOid.get(object.owner) : null;
+            object.rolePath = owner ? `${rolePath(owner)}/${object.role}` : object.role;
+            return object.rolePath;
+        };
+
+        const byPath = new Map();
+        byOid.forEach(object => byPath.set(rolePath(object), object));
+        objectsByOid = byOid;
+        objectsByPath = byPath;
+
+        const classManager = members.find(member => classKey(member.classId) === classKey(CLASS_IDS.classManager));
+        classManagerOid = classManager ? classManager.oid : null;
+        classes.clear();
+
+        if (classManagerOid !== null) {
+            const classIds = new Map();
+            byOid.forEach(object => classIds.set(classKey(object.classId), object.classId));
+            for (const classId of classIds.values()) {
+                await loadClass(classId);
+            }
+        }
+        log(`Browsed ${byOid.size} objects and ${classes.size} classes`);
+    };
+
+    const sendSubscriptions = () => {
+        if (!isOpen() || !ready) return;
+
+        const oids = new Set();
+        subscribedPaths.forEach(path => {
+            if (path === '*') {
+                objectsByOid.forEach((object, oid) => oids.add(oid));
+                return;
+            }
+            const object = objectsByPath.get(path);
+            if (object) {
+                oids.add(object.oid);
+            } else {
+                onError(ncpError(STATUS.badOid, `Cannot subscribe to ${path}: no such object`));
+            }
+        });
+        subscribedOids = [...oids];
+
+        ws.send(JSON.stringify({
+            messageType: MESSAGE_TYPE.subscription,
+            subscriptions: subscribedOids
+        }));
+    };
+
+    const findPropertyDescriptor = (object, propertyId) => {
+        const descriptor = classes.get(classKey(object.classId));
+        return descriptor
+            ? descriptor.properties.find(item => item.id.level === propertyId.level && item.id.index === propertyId.index) || null
+            : null;
+    };
+
+    const handleMessage = (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            onError(ncpError(STATUS.badCommandFormat, `Device sent invalid JSON: ${error.message}`));
+            return;
+        }
+
+        switch (message.messageType) {
+            case MESSAGE_TYPE.commandResponse:
+                (message.responses || []).forEach(response => {
+                    const entry = pending.get(response.handle);
+                    if (!entry) return;
+                    clearTimeout(entry.timer);
+                    pending.delete(response.handle);
+                    entry.resolve(response.result);
+                });
+                break;
+
+            case MESSAGE_TYPE.notification:
+                (message.notifications || []).forEach(notification => {
+                    const object = objectsByOid.get(notification.oid) || null;
+                    const propertyId = notification.eventData && notification.eventData.propertyId;
+                    onNotification({
+                        ...notification,
+                        object,
+                        property: object && propertyId ? findPropertyDescriptor(object, propertyId) : null
+                    });
+                });
+                break;
+
+            case MESSAGE_TYPE.subscriptionResponse: {
+                const confirmed = new Set(message.subscriptions || []);
+                const refused = subscribedOids.filter(oid => !confirmed.has(oid));
+                if (refused.length > 0) {
+                    onError(ncpError(STATUS.badOid, `Device refused subscriptions to oid ${refused.join(', ')}`));
+                }
+                break;
+            }
+
+            case MESSAGE_TYPE.error:
+                onError(ncpError(message.status, `Device reported an error: ${message.errorMessage}`));
+                break;
+
+            default:
+                break;
+        }
+    };
+
+    const scheduleReconnect = (reason) => {
+        if (reconnectTimer || stopped) return;
+
+        const ceiling = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, attempt));
+        const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+        attempt++;
+
+        onConnectionChange({ state: 'reconnecting', url, reason, retryIn: delay, objects: 0 });
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect().catch(onError);
+        }, delay);
+    };
+
+    const connect = async () => {
+        if (stopped) return;
+
+        // An unusable href or TLS configuration fails here, before any socket event can
+        let socket;
+        try {
+            url = await options.getUrl();
+            if (stopped) return;
+
+            log(`Connecting to ${url}`);
+            socket = new WebSocket(url, options.getWsOptions ? options.getWsOptions() : {});
+        } catch (error) {
+            onError(error);
+            scheduleReconnect(error.message);
+            return;
+        }
+        ws = socket;
+
+        socket.on('open', async () => {
+            if (ws !== socket) return;
+            connected = true;
+            attempt = 0;
+            try {
+                await browse();
+                ready = true;
+                sendSubscriptions();
+                onConnectionChange({ state: 'connected', url, reason: null, retryIn: null, objects: objectsByOid.size });
+            } catch (error) {
+                if (ws !== socket) return;
+                onError(ncpError(error.status, `Browsing ${url} failed: ${error.message}`));
+                socket.close(1011, 'Browsing failed');
+            }
+        });
+
+        socket.on('message', (data) => {
+            if (ws === socket) handleMessage(data);
+        });
+
+        socket.on('error', (error) => {
+            if (ws === socket && !stopped) onError(error);
+        });
+
+        socket.on('close', (code, reason) => {
+            if (ws !== socket) return;
+            const wasReady = ready;
+            ws = null;
+            connected = false;
+            ready = false;
+            rejectPending(ncpError(STATUS.notReady, 'Connection to the device closed'));
+
+            if (stopped) return;
+            const description = `${code}${reason && reason.length ? ` ${reason}` : ''}`;
+            if (wasReady) {
+                onConnectionChange({ state: 'disconnected', url, reason: description, retryIn: null, objects: 0 });
+            }
+            scheduleReconnect(`closed: ${description}`);
+        });
+    };
+
+    /**
+     * Object by role path (e.g. "root/channels/ch1/gain") or oid.
+     */
+    const resolveObject = (path) => {
+        if (!ready) {
+            throw ncpError(STATUS.notReady, 'Not connected to the device');
+        }
+        const object = typeof path === 'number' ? objectsByOid.get(path) : objectsByPath.get(path);
+        if (!object) {
+            throw ncpError(STATUS.badOid, `No object at ${path}`);
+        }
+        return object;
+    };
+
+    // Property or method descriptor by name or id ("3p1" / "3m1"); by default the first
+    // property the object's own class declares
+    const resolveElement = (object, kind, nameOrId) => {
+        const descriptor = classes.get(classKey(object.classId));
+        const elements = descriptor ? descriptor[kind] : [];
+        const level = classLevel(object.classId);
+        const id = nameOrId === undefined || nameOrId === null ? null : parseElementId(nameOrId);
+
+        let element = null;
+        if (nameOrId === undefined || nameOrId === null) {
+            element = kind === 'properties' ? elements.find(item => item.id.level === level) : null;
+        } else if (id) {
+            element = elements.find(item => item.id.level === id.level && item.id.index === id.index) || { id, name: null };
+        } else {
+            element = elements.find(item => item.name === nameOrId);
+        }
+        if (!element) {
+            const what = kind === 'properties' ? 'property' : 'method';
+            throw ncpError(kind === 'properties' ? STATUS.propertyNotImplemented : STATUS.methodNotImplemented,
+                nameOrId === undefined || nameOrId === null
+                    ? `${object.rolePath} has no ${what} of its own; name one`
+                    : `${object.rolePath} has no ${what} ${nameOrId}`);
+        }
+        return element;
+    };
+
+    const describeObject = (object) => {
+        const descriptor = classes.get(classKey(object.classId));
+        return {
+            oid: object.oid,
+            role: object.role,
+            rolePath: object.rolePath,
+            classId: object.classId,
+            className: descriptor ? descriptor.name : null,
+            userLabel: object.userLabel
+        };
+    };
+
+    return {
+        start: () => {
+            if (!stopped) return;
+            stopped = false;
+            attempt = 0;
+            connect().catch(onError);
+        },
+
+        stop: () => {
+            stopped = true;
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+            const socket = ws;
+            ws = null;
+            connected = false;
+            ready = false;
+            rejectPending(ncpError(STATUS.notReady, 'Client stopped'));
+            if (socket) {
+                try {
+                    socket.close();
+                } catch (error) {
+                    // Ignore close errors
+                }
+            }
+        },
+
+        /**
+         * Read a property.
+         *
+         * @returns {Promise<{object: Object, property: Object, value: *}>}
+         */
+        get: async (path, property) => {
+            const object = resolveObject(path);
+            const descriptor = resolveElement(object, 'properties', property);
+            const value = await call(object.oid, { level: 1, index: 1 }, { id: descriptor.id });
+            return { object: describeObject(object), property: descriptor, value };
+        },
+
+        set: async (path, property, value) => {
+            const object = resolveObject(path);
+            const descriptor = resolveElement(object, 'properties', property);
+            await call(object.oid, { level: 1, index: 2 }, { id: descriptor.id, value });
+            return { object: describeObject(object), property: descriptor, value };
+        },
+
+        invoke: async (path, methodName, args) => {
+            const object = resolveObject(path);
+            const descriptor = resolveElement(object, 'methods', methodName);
+            const value = await call(object.oid, descriptor.id, args);
+            return { object: describeObject(object), method: descriptor, value };
+        },
+
+        /**
+         * Add role paths ('*' for every object) to the subscriptions; kept across reconnects.
+         */
+        subscribe: (paths) => {
+            paths.forEach(path => subscribedPaths.add(path));
+            sendSubscriptions();
+        },
+
+        unsubscribe: (paths) => {
+            paths.forEach(path => subscribedPaths.delete(path));
+            sendSubscriptions();
+        },
+
+        // Browse again (e.g. after the device changed its model)
+        refresh: async () => {
+            if (!isOpen()) {
+                throw ncpError(STATUS.notReady, 'Not connected to the device');
+            }
+            await browse();
+            sendSubscriptions();
+            return [...objectsByOid.values()].map(describeObject);
+        },
+
+        getObjects: () => [...objectsByOid.values()].map(describeObject),
+
+        getState: () => ({
+            url,
+            connected: ready,
+            objects: objectsByOid.size,
+            subscriptions: [...subscribedPaths],
+            subscribedOids: ready ? [...subscribedOids] : [],
+            pendingCommands: pending.size,
+            retryAttempt: attempt
+        })
+    };
+};
+
+module.exports = {
+    createNcpClient,
+    MESSAGE_TYPE
+};
@@ -0,0 +1,321 @@
+/**
+ * lib/registration.js
+ * IS-04 Registration API client for device nodes: registration in parent-first order,
+ * heartbeats, registry failover by priority and peer-to-peer fallback, as a state machine
+ *
+ *   registering -> registered -> (heartbeat 404) registering
+ *                             -> (registry unavailable) registering with the next registry
+ *   registering -> (every registry unavailable) peer_to_peer | backoff -> (retry) registering
+ *   registering -> (request rejected, 4xx) backoff -> (retry) registering
+ *   any -> stopped
+ */
+
+// Retry backoff: 1s, 2s, 4s... up to a minute, each randomised to 50-100%
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 60000;
+
+const registrationError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// No response at all, or a server error: worth trying another registry
+const isUnavailable = (error) => !error.status || error.status >= 500;
+
+const describeResponse = (response) => {
+    const body = response.data || {};
+    return body.error ? `${response.status} ${body.error}` : `${response.status}`;
+};
+
+/**
+ * Create a registration client.
+ *
+ * @param {Object} options
+ * @param {Object} options.http - axios instance
+ * @param {string} options.nodeId - Node UUID (heartbeat path)
+ * @param {Function} options.getRegistries - () => Registration API URLs, best first
+ * @param {Function} options.getResources - () => [[type, data], ...] with the node first, parents before children
+ * @param {Function} [options.getHeaders] - Headers added to every request
+ * @param {number} [options.heartbeatInterval=5000] - Heartbeat period in ms
+ * @param {number} [options.timeout=5000] - Request timeout in ms
+ * @param {boolean} [options.peerToPeer=true] - Enter 'peer_to_peer' rather than 'backoff'
+ *   when no registry can be reached
+ * @param {Function} [options.onTransition] - ({state, previous, registry, reason, retryIn}) => void
+ *   whenever the state or the registry in use changes
+ * @param {Function} [options.log]
+ * @param {Function} [options.warn]
+ */
+const createRegistrationClient = (options) => {
+    const http = options.http;
+    const getHeaders = options.getHeaders || (() => ({}));
+    const heartbeatInterval = options.heartbeatInterval || 5000;
+    const timeout = options.timeout || 5000;
+    const peerToPeer = options.peerToPeer !== false;
+    const onTransition = options.onTransition || (() => {});
+    const log = options.log || (() => {});
+    const warn = options.warn || (() => {});
+
+    let state = 'idle';
+    let registryUrl = null;
+    // Registry of the last reported transition
+    let reportedUrl = null;
+    let lastHeartbeat = null;
+    let lastError = null;
+    let retryAt = null;
+    let attempt = 0;
+    let timer = null;
+    let heartbeatPending = false;
+    // Bumped on every new cycle so that stale async work gives up
+    let generation = 0;
+
+    const transition = (next, details = {}) => {
+        const previous = state;
+        const previousUrl = reportedUrl;
+        state = next;
+        reportedUrl = registryUrl;
+        if (previous === next && previousUrl === registryUrl) {
+            return;
+        }
+        onTransition({
+            state: next,
+            previous: previous,
+            registry: registryUrl,
+            reason: details.reason || null,
+            retryIn: details.retryIn !== undefined ? details.retryIn : null
+        });
+    };
+
+    const clearTimer = () => {
+        clearTimeout(timer);
+        clearInterval(timer);
+        timer = null;
+        retryAt = null;
+    };
+
+    const request = (method, url, data) => http.request({
+        method,
+        url,
+        data,
+        headers: { ...getHeaders(), 'Content-Type': 'application/json' },
+        timeout,
+        validateStatus: () => true
+    });
+
+    const resourcePath = (url, type, id) => `${url}/resource/${type}s/${id}`;
+
+    /**
+     * POST one resource. A 409 (registered through another API version, or a stale
+     * registration) is resolved by deleting the existing resource and posting again.
+     *
+     * @returns {Promise<number>} 200 (updated) or 201 (created)
+     */
+    const postResource = async (url, type, data) => {
+        let response = await request('post', `${url}/resource`, { type, data });
+
+        if (response.status === 409) {
+            const location = response.headers && response.headers.location;
+            const existing = location ? new URL(location, url).href : resourcePath(url, type, data.id);
+            warn(`Registry reported a conflict for ${type} ${data.id}; deleting ${existing} and registering again`);
+            await request('delete', existing);
+            response = await request('post', `${url}/resource`, { type, data });
+        }
+
+        if (response.status !== 200 && response.status !== 201) {
+            throw registrationError(response.status, `${type} ${data.id} registration failed: ${describeResponse(response)}`);
+        }
+        return response.status;
+    };
+
+    const registerAll = async (url) => {
+        const [[nodeType, nodeData], ...children] = options.getResources();
+
+        // 200 means the registry still holds a Node from an earlier run: start from a clean slate
+        if (await postResource(url, nodeType, nodeData) === 200) {
+            log(`Node ${nodeData.id} was already registered with ${url}; deleting it before registering again`);
+            await request('delete', resourcePath(url, nodeType, nodeData.id));
+            await postResource(url, nodeType, nodeData);
+        }
+
+        for (const [type, data] of children) {
+            await postResource(url, type, data);
+        }
+    };
+
+    const deleteAll = async (url) => {
+        for (const [type, data] of options.getResources().reverse()) {
+            await request('delete', resourcePath(url, type, data.id)).catch(() => {});
+        }
+    };
+
+    const scheduleRetry = (gen, next, reason) => {
+        const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, attempt));
+        const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+        attempt++;
+
+        registryUrl = null;
+        transition(next, { reason, retryIn: delay });
+        retryAt = Date.now() + delay;
+        timer = setTimeout(() => {
+            timer = null;
+            if (gen === generation) {
+                register('retry');
+            }
+        }, delay);
+    };
+
+    const heartbeat = async (gen) => {
+        if (heartbeatPending) return;
+        heartbeatPending = true;
+        try {
+            const response = await request('post', `${registryUrl}/health/nodes/${options.nodeId}`, {});
+            if (gen !== generation) return;
+
+            if (response.status === 200) {
+                lastHeartbeat = Date.now();
+            } else if (response.status === 404) {
+                // The registry garbage-collected this Node (missed heartbeats or a registry restart)
+                warn(`Heartbeat returned 404 from ${registryUrl}; registering again`);
+                register('heartbeat 404: registry no longer holds this node');
+            } else if (response.status >= 500) {
+                throw registrationError(response.status, `heartbeat returned ${describeResponse(response)}`);
+            } else {
+                warn(`Heartbeat returned ${describeResponse(response)} from ${registryUrl}`);
+            }
+        } catch (error) {
+            if (gen !== generation) return;
+            lastError = error.message;
+            warn(`Heartbeat to ${registryUrl} failed: ${error.message}`);
+            register(`registry unavailable: ${error.message}`, registryUrl);
+        } finally {
+            heartbeatPending = false;
+        }
+    };
+
+    /**
+     * Run a registration cycle over the available registries, best first. The registry
+     * to fail over from (if any) is tried last.
+     */
+    const register = async (reason, failedUrl = null) => {
+        const gen = ++generation;
+        clearTimer();
+
+        const urls = options.getRegistries();
+        const ordered = [...urls.filter(url => url !== failedUrl), ...urls.filter(url => url === failedUrl)];
+        if (ordered.length === 0) {
+            lastError = 'No Registration API available';
+            scheduleRetry(gen, peerToPeer ? 'peer_to_peer' : 'backoff', lastError);
+            return false;
+        }
+
+        for (const url of ordered) {
+            registryUrl = url;
+            transition('registering', { reason });
+            try {
+                await registerAll(url);
+            } catch (error) {
+                if (gen !== generation) return false;
+                lastError = error.message;
+                warn(`Registration with ${url} failed: ${error.message}`);
+                if (isUnavailable(error)) {
+                    reason = `failover: ${error.message}`;
+                    continue;
+                }
+                // Rejected by a reachable registry: another one would not do better
+                scheduleRetry(gen, 'backoff', error.message);
+                return false;
+            }
+            if (gen !== generation) return false;
+
+            attempt = 0;
+            lastError = null;
+            lastHeartbeat = Date.now();
+            transition('registered', { reason });
+            log(`Registered with ${url}`);
+            timer = setInterval(() => heartbeat(gen), heartbeatInterval);
+            return true;
+        }
+
+        scheduleRetry(gen, peerToPeer ? 'peer_to_peer' : 'backoff', 'No registry reachable');
+        return false;
+    };
+
+    return {
+        /**
+         * Start registering (or register again, e.g. on request).
+         *
+         * @returns {Promise<boolean>} whether registration succeeded
+         */
+        start: (reason = 'start') => register(reason),
+
+        /**
+         * Re-check the available registries: move to a better one while registered,
+         * or retry at once while waiting.
+         */
+        reselect: () => {
+            const urls = options.getRegistries();
+            if (state === 'registered' && urls.length > 0 && urls[0] !== registryUrl) {
+                const previousUrl = registryUrl;
+                return register(`higher priority registry: ${urls[0]}`).then(success => {
+                    if (success && registryUrl !== previousUrl) {
+                        deleteAll(previousUrl);
+                    }
+                    return success;
+                });
+            }
+            if ((state === 'backoff' || state === 'peer_to_peer') && urls.length > 0) {
+                return register('registry available');
+            }
+            return Promise.resolve(state === 'registered');
+        },
+
+        /**
+         * Register a changed resource with the registry in use. A registry that has gone
+         * away triggers failover; while not registered the change is picked up by the
+         * next registration.
+         *
+         * @returns {Promise<boolean>} whether the registry accepted it
+         */
+        update: async (type, data) => {
+            if (state !== 'registered') return false;
+            const gen = generation;
+            try {
+                await postResource(registryUrl, type, data);
+                return true;
+            } catch (error) {
+                if (gen !== generation) return false;
+                warn(`Update of ${type} ${data.id} failed: ${error.message}`);
+                if (isUnavailable(error)) {
+                    register(`registry unavailable: ${error.message}`, registryUrl);
+                }
+                return false;
+            }
+        },
+
+        /**
+         * Stop heartbeats and retries, deleting the registration (children first).
+         */
+        stop: async () => {
+            generation++;
+            clearTimer();
+            const url = state === 'registered' ? registryUrl : null;
+            registryUrl = null;
+            transition('stopped', { reason: 'stopped' });
+            if (url) {
+                await deleteAll(url);
+            }
+        },
+
+        getState: () => ({
+            state,
+            registry: registryUrl,
+            lastHeartbeat,
+            lastError,
+            retryIn: retryAt ? Math.max(0, retryAt - Date.now()) : null
+        })
+    };
+};
+
+module.exports = {
+    createRegistrationClient
+};
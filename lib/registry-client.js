@@ -0,0 +1,226 @@
+/**
+ * lib/registry-client.js
+ * Shared IS-04 Query API client with keep-alive pooling, retries and registry failover
+ */
+
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+
+const normalizeUrl = (url) => {
+    let normalized = String(url || '').trim();
+    while (normalized.endsWith('/')) {
+        normalized = normalized.slice(0, -1);
+    }
+    return normalized;
+};
+
+/**
+ * Parse a list of registry URLs from a string (comma, space or newline separated)
+ * or an array, dropping empty entries and duplicates.
+ */
+const parseRegistryUrls = (value) => {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    const urls = [];
+    for (const entry of list) {
+        const url = normalizeUrl(entry);
+        if (url && !urls.includes(url)) {
+            urls.push(url);
+        }
+    }
+    return urls;
+};
+
+/**
+ * Errors worth retrying: no response at all (refused, reset, timeout)
+ * or a 5xx from the registry.
+ */
+const isRetryableError = (error) => {
+    if (axios.isCancel(error) || error.retryable === false) return false;
+    if (!error.response) return true;
+    return error.response.status >= 500;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a Query API client.
+ *
+ * Requests are made against the active registry. When it stops responding the
+ * client moves on to the next URL in `registryUrls` and keeps using whichever
+ * one answered. If every registry fails, the whole list is retried with
+ * exponential backoff (retryDelay, 2 x retryDelay, 4 x retryDelay...).
+ *
+ * @param {Object} options
+ * @param {string[]} options.registryUrls - Ordered registry base URLs (primary first)
+ * @param {string} options.queryApiVersion - Query API version, e.g. 'v1.3'
+ * @param {number} [options.timeout=10000] - Default request timeout in ms
+ * @param {number} [options.retryAttempts=2] - Retries after the first round fails
+ * @param {number} [options.retryDelay=1000] - Base backoff delay in ms
+ * @param {boolean} [options.keepAlive=true] - Reuse sockets between requests
+ * @param {number} [options.maxSockets=16] - Max concurrent sockets per host
+ * @param {Object} [options.tls] - TLS options for https requests (see lib/tls-options.js)
+ * @param {Function} [options.getHeaders] - Returns headers added to every request
+ * @param {Function} [options.onFailover] - Called with (fromUrl, toUrl, error)
+ * @param {Function} [options.onUnauthorized] - Async; called on HTTP 401, resolves to a
+ *   fresh Authorization header value (or null). The request is then retried once.
+ */
+const createRegistryClient = (options) => {
+    let registryUrls = parseRegistryUrls(options.registryUrls);
+    const queryApiVersion = options.queryApiVersion || 'v1.3';
+    const defaultTimeout = parseInt(options.timeout) || 10000;
+    const retryAttempts = options.retryAttempts !== undefined ? Math.max(0, parseInt(options.retryAttempts) || 0) : 2;
+    const retryDelay = options.retryDelay !== undefined ? Math.max(0, parseInt(options.retryDelay) || 0) : 1000;
+    const getHeaders = options.getHeaders || (() => ({}));
+    const onFailover = options.onFailover || (() => {});
+
+    if (registryUrls.length === 0) {
+        throw new Error('At least one registry URL is required');
+    }
+
+    const agentOptions = {
+        keepAlive: options.keepAlive !== false,
+        maxSockets: parseInt(options.maxSockets) || 16
+    };
+    const httpAgent = new http.Agent(agentOptions);
+    const httpsAgent = new https.Agent({ ...agentOptions, ...(options.tls || {}) });
+
+    // Pooled axios instance, also used by nodes for device-level calls (IS-05 etc.)
+    const httpClient = axios.create({
+        httpAgent,
+        httpsAgent,
+        timeout: defaultTimeout
+    });
+
+    // Retry once with fresh credentials on 401, whether the caller's validateStatus
+    // accepted the response or rejected it
+    const retryUnauthorized = async (config, original) => {
+        if (!options.onUnauthorized || !config || config.skipAuthRetry || config._authRetried) {
+            return original();
+        }
+
+        const authorization = await options.onUnauthorized().catch(() => null);
+        if (!authorization) {
+            return original();
+        }
+
+        config._authRetried = true;
+        config.headers['Authorization'] = authorization;
+        return httpClient.request(config);
+    };
+
+    httpClient.interceptors.response.use(
+        (response) => {
+            if (response.status !== 401) return response;
+            return retryUnauthorized(response.config, () => response);
+        },
+        (error) => {
+            if (!error.response || error.response.status !== 401) throw error;
+            return retryUnauthorized(error.config, () => { throw error; });
+        }
+    );
+
+    let activeIndex = 0;
+
+    const getActiveRegistryUrl = () => registryUrls[activeIndex];
+
+    const getQueryApiUrl = (registryUrl = getActiveRegistryUrl()) => {
+        return `${registryUrl}/x-nmos/query/${queryApiVersion}`;
+    };
+
+    /**
+     * Perform a Query API request.
+     *
+     * @param {Object} config - axios request config plus:
+     *   path    - path below the Query API root, e.g. '/senders'
+     *   url     - absolute URL (e.g. a paging link); disables failover
+     *   retries - override the configured retry count
+     * @returns {Promise<Object>} axios response with `registryUrl` set to the
+     *   registry that answered (null for absolute URLs)
+     */
+    const request = async (config) => {
+        const { path = '', url, retries = retryAttempts, ...axiosConfig } = config;
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                await sleep(retryDelay * Math.pow(2, attempt - 1));
+            }
+
+            // Try the active registry first, then the others in configured order
+            const order = url
+                ? [null]
+                : registryUrls.map((_, i) => (activeIndex + i) % registryUrls.length);
+
+            for (const index of order) {
+                const registryUrl = index === null ? null : registryUrls[index];
+
+                try {
+                    const response = await httpClient.request({
+                        method: 'get',
+                        ...axiosConfig,
+                        url: url || `${getQueryApiUrl(registryUrl)}${path}`,
+                        headers: {
+                            ...getHeaders(),
+                            ...(axiosConfig.headers || {})
+                        },
+                        timeout: axiosConfig.timeout || defaultTimeout
+                    });
+
+                    if (index !== null && index !== activeIndex) {
+                        const previous = getActiveRegistryUrl();
+                        activeIndex = index;
+                        onFailover(previous, registryUrl, lastError);
+                    }
+
+                    response.registryUrl = registryUrl;
+                    return response;
+                } catch (error) {
+                    if (!isRetryableError(error)) {
+                        throw error;
+                    }
+                    lastError = error;
+                }
+            }
+        }
+
+        throw lastError;
+    };
+
+    /**
+     * Replace the ordered registry list (e.g. after DNS-SD discovery changed).
+     * Selection restarts from the first, best ranked, entry.
+     */
+    const setRegistryUrls = (urls) => {
+        const parsed = parseRegistryUrls(urls);
+        if (parsed.length === 0) {
+            throw new Error('At least one registry URL is required');
+        }
+        registryUrls = parsed;
+        activeIndex = 0;
+    };
+
+    const destroy = () => {
+        httpAgent.destroy();
+        httpsAgent.destroy();
+    };
+
+    return {
+        request,
+        get: (path, config = {}) => request({ ...config, method: 'get', path }),
+        post: (path, data, config = {}) => request({ ...config, method: 'post', path, data }),
+        delete: (path, config = {}) => request({ ...config, method: 'delete', path }),
+        getActiveRegistryUrl,
+        getRegistryUrls: () => registryUrls.slice(),
+        setRegistryUrls,
+        getQueryApiUrl,
+        http: httpClient,
+        destroy
+    };
+};
+
+module.exports = {
+    createRegistryClient,
+    parseRegistryUrls,
+    isRetryableError
+};
@@ -0,0 +1,168 @@
+/**
+ * lib/registry-discovery.js
+ * DNS-SD discovery of NMOS registries (_nmos-query._tcp / _nmos-register._tcp) and
+ * IS-10 Authorization Servers (_nmos-auth._tcp), ranked by the 'pri' TXT record
+ * as described in IS-04 "Discovery: Registered Operation"
+ */
+
+const Bonjour = require('bonjour');
+
+const SERVICE_TYPES = {
+    query: 'nmos-query',
+    register: 'nmos-register',
+    auth: 'nmos-auth'
+};
+
+// IS-10 has its own versioning, so api_ver is only matched for the IS-04 services
+const VERSIONED_KINDS = ['query', 'register'];
+
+// Services without a usable 'pri' sort after every advertised priority
+const DEFAULT_PRIORITY = Number.MAX_SAFE_INTEGER;
+
+const parseVersions = (value) => {
+    if (!value) return [];
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+};
+
+/**
+ * Build a registry entry from a bonjour service record.
+ * Honours api_proto, api_ver and api_auth from the TXT record.
+ */
+const serviceToEntry = (service) => {
+    const txt = service.txt || {};
+    const protocol = txt.api_proto === 'https' ? 'https' : 'http';
+
+    // Prefer an IPv4 address; fall back to the advertised host name
+    const addresses = service.addresses || [];
+    const ipv4 = addresses.find(a => /^\d+\.\d+\.\d+\.\d+$/.test(a));
+    let host = ipv4 || service.host || addresses[0];
+    if (host && host.includes(':') && !host.startsWith('[')) {
+        host = `[${host}]`;
+    }
+
+    const priority = parseInt(txt.pri, 10);
+
+    return {
+        name: service.name,
+        fqdn: service.fqdn || `${service.name}.${service.type}`,
+        host: host,
+        port: service.port,
+        protocol: protocol,
+        versions: parseVersions(txt.api_ver),
+        priority: isNaN(priority) ? DEFAULT_PRIORITY : priority,
+        auth: String(txt.api_auth) === 'true',
+        baseUrl: `${protocol}://${host}:${service.port}`,
+        // Random tie-breaker so equal-priority registries share load between clients
+        weight: Math.random()
+    };
+};
+
+const compareEntries = (a, b) => (a.priority - b.priority) || (a.weight - b.weight);
+
+/**
+ * Create a DNS-SD registry browser.
+ *
+ * @param {Object} options
+ * @param {string} options.apiVersion - Required API version; services whose api_ver
+ *   does not list it are ignored (services without api_ver are accepted)
+ * @param {string} [options.protocol] - Required api_proto ('http' or 'https') for
+ *   query and register services; any protocol is accepted when omitted
+ * @param {Function} [options.onChange] - Called with (kind, services) whenever the
+ *   ranked list of 'query', 'register' or 'auth' services changes
+ * @param {Function} [options.log] - Logger for discovery events
+ */
+const createRegistryDiscovery = (options) => {
+    const apiVersion = options.apiVersion;
+    const protocol = options.protocol || null;
+    const onChange = options.onChange || (() => {});
+    const log = options.log || (() => {});
+
+    const services = {
+        query: new Map(),
+        register: new Map(),
+        auth: new Map()
+    };
+    const browsers = [];
+    let bonjour = null;
+
+    const getServices = (kind) => {
+        return Array.from(services[kind].values()).sort(compareEntries);
+    };
+
+    const handleUp = (kind, service) => {
+        const entry = serviceToEntry(service);
+
+        if (!entry.host || !entry.port) {
+            return;
+        }
+
+        if (VERSIONED_KINDS.includes(kind) && entry.versions.length > 0 && !entry.versions.includes(apiVersion)) {
+            log(`Ignoring ${kind} service ${entry.name}: api_ver ${entry.versions.join(',')} does not include ${apiVersion}`);
+            return;
+        }
+
+        if (protocol && VERSIONED_KINDS.includes(kind) && entry.protocol !== protocol) {
+            log(`Ignoring ${kind} service ${entry.name}: api_proto ${entry.protocol} does not match ${protocol}`);
+            return;
+        }
+
+        const existing = services[kind].get(entry.fqdn);
+        if (existing) {
+            entry.weight = existing.weight;
+            if (existing.baseUrl === entry.baseUrl && existing.priority === entry.priority && existing.auth === entry.auth) {
+                return;
+            }
+        }
+
+        services[kind].set(entry.fqdn, entry);
+        log(`Discovered ${kind} service ${entry.name} at ${entry.baseUrl} (pri ${entry.priority === DEFAULT_PRIORITY ? 'n/a' : entry.priority})`);
+        onChange(kind, getServices(kind));
+    };
+
+    const handleDown = (kind, service) => {
+        const fqdn = service.fqdn || `${service.name}.${service.type}`;
+        if (services[kind].delete(fqdn)) {
+            log(`Lost ${kind} service ${service.name}`);
+            onChange(kind, getServices(kind));
+        }
+    };
+
+    const start = () => {
+        if (bonjour) return;
+        bonjour = Bonjour();
+
+        for (const kind of Object.keys(SERVICE_TYPES)) {
+            const browser = bonjour.find({ type: SERVICE_TYPES[kind] });
+            browser.on('up', service => handleUp(kind, service));
+            browser.on('down', service => handleDown(kind, service));
+            browsers.push(browser);
+        }
+    };
+
+    const stop = () => {
+        for (const browser of browsers) {
+            try {
+                browser.stop();
+            } catch (e) {
+                // Ignore browser stop errors
+            }
+        }
+        browsers.length = 0;
+
+        if (bonjour) {
+            bonjour.destroy();
+            bonjour = null;
+        }
+    };
+
+    return {
+        start,
+        stop,
+        getServices
+    };
+};
+
+module.exports = {
+    createRegistryDiscovery,
+    serviceToEntry
+};
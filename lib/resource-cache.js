@@ -0,0 +1,186 @@
+/**
+ * lib/resource-cache.js
+ * Decoding of IS-04 Query API WebSocket grains into typed changes
+ * (sync / added / modified / removed), a live cache of the resources they describe,
+ * and resync of missed changes after a reconnect
+ */
+
+const CHANGE_TYPES = ['sync', 'added', 'modified', 'removed'];
+
+// '/senders/' -> 'senders'
+const topicToResourceType = (topic) => String(topic || '').replace(/^\/+|\/+$/g, '');
+
+const isPresent = (value) => value !== undefined && value !== null;
+
+// Sync entries carry identical pre and post; anything else with both is a modification
+const isUnchanged = (pre, post) => {
+    if (pre.version !== undefined && post.version !== undefined) {
+        return pre.version === post.version;
+    }
+    return JSON.stringify(pre) === JSON.stringify(post);
+};
+
+/**
+ * Classify one grain data entry from its pre/post presence.
+ *
+ * @returns {string|null} 'sync', 'added', 'modified', 'removed', or null for an empty entry
+ */
+const classifyEntry = (entry) => {
+    const hasPre = isPresent(entry.pre);
+    const hasPost = isPresent(entry.post);
+
+    if (hasPre && hasPost) return isUnchanged(entry.pre, entry.post) ? 'sync' : 'modified';
+    if (hasPost) return 'added';
+    if (hasPre) return 'removed';
+    return null;
+};
+
+/**
+ * Unpack a Query API WebSocket message into one change per grain data entry.
+ *
+ * @param {Object} message - Parsed WebSocket message (grain_type 'event')
+ * @param {string} [defaultResourceType] - Used when the grain has no topic
+ * @returns {Object[]} changes: { type, resourceType, id, pre, post, resource }
+ */
+const decodeGrain = (message, defaultResourceType) => {
+    const grain = (message && message.grain) || {};
+    const resourceType = topicToResourceType(grain.topic) || defaultResourceType || '';
+    const changes = [];
+
+    for (const entry of grain.data || []) {
+        const type = classifyEntry(entry);
+        if (!type) continue;
+
+        const resource = type === 'removed' ? entry.pre : entry.post;
+        changes.push({
+            type: type,
+            resourceType: resourceType,
+            id: entry.path || (resource && resource.id),
+            pre: isPresent(entry.pre) ? entry.pre : null,
+            post: isPresent(entry.post) ? entry.post : null,
+            resource: resource
+        });
+    }
+
+    return changes;
+};
+
+/**
+ * Compare the sync grain received after a reconnect with the state known before
+ * the outage, and describe what was missed as ordinary changes.
+ *
+ * @param {Map<string, Object>} known - Resources by id before the outage
+ * @param {Object[]} changes - Decoded changes from the new sync grain(s)
+ * @param {string} resourceType - Resource type of the subscription
+ * @returns {Object[]} added / modified / removed changes; unchanged resources are left out
+ */
+const diffSync = (known, changes, resourceType) => {
+    const missed = [];
+    const seen = new Set();
+
+    for (const change of changes) {
+        if (change.type === 'removed') continue;
+        seen.add(change.id);
+
+        const previous = known.get(change.id);
+        if (!previous) {
+            missed.push({ ...change, type: 'added', pre: null, post: change.resource });
+        } else if (!isUnchanged(previous, change.resource)) {
+            missed.push({ ...change, type: 'modified', pre: previous, post: change.resource });
+        }
+    }
+
+    for (const [id, previous] of known) {
+        if (seen.has(id)) continue;
+        missed.push({
+            type: 'removed',
+            resourceType: resourceType,
+            id: id,
+            pre: previous,
+            post: null,
+            resource: previous
+        });
+    }
+
+    return missed;
+};
+
+/**
+ * Create an in-memory cache of resources, grouped by resource type and keyed by id.
+ */
+const createResourceCache = () => {
+    const types = new Map();
+
+    const getType = (resourceType) => {
+        if (!types.has(resourceType)) {
+            types.set(resourceType, new Map());
+        }
+        return types.get(resourceType);
+    };
+
+    /**
+     * Apply one decoded change.
+     */
+    const apply = (change) => {
+        const resources = getType(change.resourceType);
+        if (change.type === 'removed') {
+            resources.delete(change.id);
+        } else {
+            resources.set(change.id, change.resource);
+        }
+    };
+
+    const get = (resourceType, id) => {
+        const resources = types.get(resourceType);
+        return resources ? resources.get(id) || null : null;
+    };
+
+    const list = (resourceType) => {
+        const resources = types.get(resourceType);
+        return resources ? Array.from(resources.values()) : [];
+    };
+
+    const clear = (resourceType) => {
+        if (resourceType === undefined) {
+            types.clear();
+        } else {
+            types.delete(resourceType);
+        }
+    };
+
+    // Plain object copy ({ senders: { id: resource } }) for context storage and output
+    const snapshot = () => {
+        const result = {};
+        for (const [resourceType, resources] of types) {
+            result[resourceType] = Object.fromEntries(resources);
+        }
+        return result;
+    };
+
+    const size = (resourceType) => {
+        if (resourceType !== undefined) {
+            return types.has(resourceType) ? types.get(resourceType).size : 0;
+        }
+        let total = 0;
+        for (const resources of types.values()) total += resources.size;
+        return total;
+    };
+
+    return {
+        apply,
+        get,
+        list,
+        clear,
+        snapshot,
+        size,
+        getResourceTypes: () => Array.from(types.keys())
+    };
+};
+
+module.exports = {
+    CHANGE_TYPES,
+    classifyEntry,
+    decodeGrain,
+    diffSync,
+    createResourceCache
+};
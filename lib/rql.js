@@ -0,0 +1,328 @@
+/**
+ * lib/rql.js
+ * Resource Query Language (RQL) builder and validator for the IS-04 Query API
+ * (query.rql), plus the query.downgrade / query.ancestry_* parameters
+ */
+
+// Operators accepted by the Query API, with their [min, max] argument counts
+const OPERATORS = {
+    and: [1, Infinity],
+    or: [1, Infinity],
+    not: [1, 1],
+    eq: [2, 2],
+    ne: [2, 2],
+    lt: [2, 2],
+    le: [2, 2],
+    gt: [2, 2],
+    ge: [2, 2],
+    in: [2, Infinity],
+    out: [2, Infinity],
+    contains: [2, 2],
+    excludes: [2, 2],
+    matches: [2, 3],
+    sort: [1, Infinity],
+    limit: [1, 2]
+};
+
+// Structured filter operators ({ key: { $op: value } }) and the RQL they map to
+const COMPARISONS = {
+    $eq: 'eq',
+    $ne: 'ne',
+    $lt: 'lt',
+    $le: 'le',
+    $gt: 'gt',
+    $ge: 'ge',
+    $contains: 'contains',
+    $excludes: 'excludes'
+};
+
+const ANCESTRY_TYPES = ['children', 'parents'];
+
+// Characters allowed in an RQL value or property once encoded ('+' would decode to a space)
+const VALUE_PATTERN = /^[A-Za-z0-9%._~:\-*$@!']+$/;
+
+// RQL encoding functions (from nmos-js)
+const encodeRQLNameChars = (str) => {
+    return encodeURIComponent(str.toString()).replace(/[!'()]/g, c => {
+        return '%' + c.charCodeAt(0).toString(16);
+    });
+};
+
+// Dotted paths reach into nested properties, e.g. 'tags.location' or 'caps.media_types'
+const encodePath = (path) => {
+    const segments = String(path).split('.');
+    if (segments.some(segment => segment.length === 0)) {
+        throw new Error(`Invalid property path: ${path}`);
+    }
+    return segments.map(encodeRQLNameChars).join('.');
+};
+
+const encodeValue = (value) => {
+    if (value === null) return 'null';
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') {
+        if (isNaN(value)) throw new Error('NaN is not a valid RQL value');
+        return String(value);
+    }
+    if (typeof value === 'string') return `string:${encodeRQLNameChars(value)}`;
+    throw new Error(`Unsupported RQL value: ${JSON.stringify(value)}`);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const joinTerms = (operator, terms) => {
+    if (terms.length === 0) return null;
+    if (terms.length === 1) return terms[0];
+    return `${operator}(${terms.join(',')})`;
+};
+
+/**
+ * Default term for a bare value: case-insensitive match for strings, equality otherwise.
+ * Empty strings are ignored, as in the original filter handling.
+ */
+const buildValueTerm = (path, value) => {
+    if (typeof value === 'string') {
+        if (value.length === 0) return null;
+        return `matches(${path},string:${encodeRQLNameChars(value)},i)`;
+    }
+    if (typeof value === 'number' && isNaN(value)) return null;
+    return `eq(${path},${encodeValue(value)})`;
+};
+
+const buildOperatorTerms = (path, operators) => {
+    const terms = [];
+
+    for (const [operator, operand] of Object.entries(operators)) {
+        if (COMPARISONS[operator]) {
+            terms.push(`${COMPARISONS[operator]}(${path},${encodeValue(operand)})`);
+        } else if (operator === '$in' || operator === '$out') {
+            if (!Array.isArray(operand) || operand.length === 0) {
+                throw new Error(`${operator} on ${path} needs a non-empty array`);
+            }
+            terms.push(`${operator.slice(1)}(${path},${operand.map(encodeValue).join(',')})`);
+        } else if (operator === '$matches') {
+            // { $matches: 'regex' } or { $matches: ['regex', 'flags'] }
+            const [pattern, flags] = Array.isArray(operand) ? operand : [operand, 'i'];
+            const args = [path, `string:${encodeRQLNameChars(pattern)}`];
+            if (flags) args.push(encodeRQLNameChars(flags));
+            terms.push(`matches(${args.join(',')})`);
+        } else if (operator === '$not') {
+            const inner = buildPropertyTerm(path, operand);
+            if (inner) terms.push(`not(${inner})`);
+        } else {
+            throw new Error(`Unknown operator ${operator} on ${path}`);
+        }
+    }
+
+    return joinTerms('and', terms);
+};
+
+const buildPropertyTerm = (path, value) => {
+    if (Array.isArray(value)) {
+        return joinTerms('or', value.map(v => buildPropertyTerm(path, v)).filter(Boolean));
+    }
+    if (isPlainObject(value)) {
+        return buildOperatorTerms(path, value);
+    }
+    return buildValueTerm(path, value);
+};
+
+const buildExpression = (filter) => {
+    if (!isPlainObject(filter)) {
+        throw new Error('RQL filter must be an object');
+    }
+
+    const terms = [];
+
+    for (const [key, value] of Object.entries(filter)) {
+        if (key === '$and' || key === '$or') {
+            if (!Array.isArray(value)) {
+                throw new Error(`${key} needs an array of filters`);
+            }
+            const term = joinTerms(key.slice(1), value.map(buildExpression).filter(Boolean));
+            if (term) terms.push(term);
+        } else if (key === '$not') {
+            const inner = buildExpression(value);
+            if (inner) terms.push(`not(${inner})`);
+        } else if (key === '$sort' || key === '$limit') {
+            // Only meaningful at the top level; handled by buildRql
+            throw new Error(`${key} is only allowed at the top level of a filter`);
+        } else if (key.startsWith('$')) {
+            throw new Error(`Unknown operator ${key}`);
+        } else {
+            const term = buildPropertyTerm(encodePath(key), value);
+            if (term) terms.push(term);
+        }
+    }
+
+    return joinTerms('and', terms);
+};
+
+/**
+ * Build an RQL expression from a structured filter.
+ *
+ * Keys are property paths (dotted for nested properties). Values are either a
+ * bare value (strings match case-insensitively, other types compare equal), an
+ * array of alternatives (or), or an object of operators: $eq, $ne, $lt, $le,
+ * $gt, $ge, $in, $out, $contains, $excludes, $matches and $not. $and, $or and
+ * $not combine whole filters; $sort (e.g. ['-version', '+label']) and $limit
+ * (n or [n, start]) are accepted at the top level.
+ *
+ * @param {Object} filter
+ * @returns {string|null} RQL expression, or null if the filter is empty
+ */
+const buildRql = (filter) => {
+    const { $sort, $limit, ...rest } = filter || {};
+    const terms = [];
+
+    const expression = buildExpression(rest);
+    if (expression) terms.push(expression);
+
+    if ($sort !== undefined) {
+        const keys = Array.isArray($sort) ? $sort : [$sort];
+        terms.push(`sort(${keys.map(key => {
+            const match = String(key).match(/^([+-]?)(.+)$/);
+            return `${match[1] === '-' ? '-' : '%2B'}${encodePath(match[2])}`;
+        }).join(',')})`);
+    }
+
+    if ($limit !== undefined) {
+        const [count, start] = Array.isArray($limit) ? $limit : [$limit];
+        if (!Number.isInteger(count) || count < 0 || (start !== undefined && (!Number.isInteger(start) || start < 0))) {
+            throw new Error('$limit needs a non-negative integer count (and start)');
+        }
+        terms.push(start !== undefined ? `limit(${count},${start})` : `limit(${count})`);
+    }
+
+    const rql = joinTerms('and', terms);
+    if (rql) validateRql(rql);
+    return rql;
+};
+
+/**
+ * Check an RQL string is well formed: known operators, argument counts,
+ * balanced parentheses and URL-safe values.
+ *
+ * @param {string} rql
+ * @throws {Error} describing the first problem found
+ */
+const validateRql = (rql) => {
+    const text = String(rql || '');
+    let position = 0;
+
+    const fail = (message) => {
+        throw new Error(`Invalid RQL at position ${position}: ${message}`);
+    };
+
+    const parseArgument = () => {
+        const match = text.slice(position).match(/^[^(),]*/);
+        const token = match[0];
+
+        if (text[position + token.length] === '(') {
+            parseCall();
+            return;
+        }
+        if (token.length === 0) {
+            fail('empty argument');
+        }
+        if (!VALUE_PATTERN.test(token)) {
+            fail(`'${token}' contains characters that must be percent-encoded`);
+        }
+        position += token.length;
+    };
+
+    const parseCall = () => {
+        const match = text.slice(position).match(/^([a-z]+)\(/);
+        if (!match) {
+            fail('expected an operator call');
+        }
+
+        const name = match[1];
+        const arity = OPERATORS[name];
+        if (!arity) {
+            fail(`unknown operator '${name}'`);
+        }
+        position += match[0].length;
+
+        let count = 0;
+        if (text[position] !== ')') {
+            for (;;) {
+                parseArgument();
+                count++;
+                if (text[position] === ',') {
+                    position++;
+                    continue;
+                }
+                break;
+            }
+        }
+
+        if (text[position] !== ')') {
+            fail(`expected ')' to close ${name}(`);
+        }
+        position++;
+
+        if (count < arity[0] || count > arity[1]) {
+            fail(`${name}() takes ${arity[0] === arity[1] ? arity[0] : `${arity[0]}+`} argument(s), got ${count}`);
+        }
+    };
+
+    if (text.length === 0) {
+        fail('expression is empty');
+    }
+    parseCall();
+    if (position !== text.length) {
+        fail('unexpected characters after the expression');
+    }
+};
+
+/**
+ * Build the non-RQL advanced query parameters.
+ *
+ * @param {Object} options
+ * @param {string} [options.downgrade] - Lowest API version to downgrade results to, e.g. 'v1.2'
+ * @param {string} [options.ancestry_id] - Resource id to start an ancestry query from
+ * @param {string} [options.ancestry_type] - 'children' or 'parents'
+ * @param {number|string} [options.ancestry_generations] - Number of generations, or 'all'
+ * @returns {string[]} encoded `query.*=value` parameters
+ */
+const buildQueryOptions = (options) => {
+    const params = [];
+    if (!options) return params;
+
+    if (options.downgrade) {
+        if (!/^v\d+\.\d+$/.test(options.downgrade)) {
+            throw new Error(`Invalid query.downgrade version: ${options.downgrade}`);
+        }
+        params.push(`query.downgrade=${options.downgrade}`);
+    }
+
+    const ancestry = ['ancestry_id', 'ancestry_type', 'ancestry_generations'].filter(key => options[key] !== undefined);
+    if (ancestry.length > 0) {
+        if (!options.ancestry_id || !options.ancestry_type) {
+            throw new Error('Ancestry queries need both ancestry_id and ancestry_type');
+        }
+        if (!ANCESTRY_TYPES.includes(options.ancestry_type)) {
+            throw new Error(`ancestry_type must be one of: ${ANCESTRY_TYPES.join(', ')}`);
+        }
+        const generations = options.ancestry_generations;
+        if (generations !== undefined && generations !== 'all' && !(parseInt(generations) > 0)) {
+            throw new Error('ancestry_generations must be a positive number or "all"');
+        }
+
+        params.push(`query.ancestry_id=${encodeURIComponent(options.ancestry_id)}`);
+        params.push(`query.ancestry_type=${options.ancestry_type}`);
+        if (generations !== undefined) {
+            params.push(`query.ancestry_generations=${generations}`);
+        }
+    }
+
+    return params;
+};
+
+module.exports = {
+    buildRql,
+    validateRql,
+    buildQueryOptions,
+    encodeRQLNameChars
+};
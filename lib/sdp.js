@@ -0,0 +1,385 @@
+/**
+ * lib/sdp.js
+ * SDP (RFC 4566) parsing and generation for RTP senders and receivers:
+ * ST 2110-20/-30/-40 and ST 2022-6 media, ST 2022-7 (a=group:DUP), RFC 7273 clocks
+ */
+
+const MULTICAST_V4 = /^(22[4-9]|23\d)\./;
+
+const isMulticast = (address) => typeof address === 'string' && (MULTICAST_V4.test(address) || /^ff/i.test(address));
+
+// "k=v; flag; k2=v2" -> { k: 'v', flag: true, k2: 'v2' }
+const parseFmtp = (text) => {
+    const params = {};
+    for (const part of text.split(';')) {
+        const item = part.trim();
+        if (!item) continue;
+        const index = item.indexOf('=');
+        if (index === -1) {
+            params[item] = true;
+        } else {
+            params[item.slice(0, index).trim()] = item.slice(index + 1).trim();
+        }
+    }
+    return params;
+};
+
+// "IN IP4 239.1.1.1/32" -> { netType, addressType, address, ttl }
+const parseConnection = (value) => {
+    const [netType, addressType, spec] = value.split(/\s+/);
+    if (!spec) {
+        throw new Error(`Invalid connection line "c=${value}"`);
+    }
+    const [address, ttl] = spec.split('/');
+    return {
+        netType,
+        addressType,
+        address,
+        ttl: ttl !== undefined ? parseInt(ttl) : null
+    };
+};
+
+// "incl IN IP4 239.1.1.1 192.168.1.10" -> { mode, destination, sources }
+const parseSourceFilter = (value) => {
+    const [mode, , , destination, ...sources] = value.trim().split(/\s+/);
+    return { mode, destination, sources };
+};
+
+const applyAttribute = (target, name, value) => {
+    switch (name) {
+        case 'rtpmap': {
+            const match = value.match(/^(\d+)\s+([^/\s]+)\/(\d+)(?:\/(\d+))?/);
+            if (!match) throw new Error(`Invalid rtpmap "${value}"`);
+            target.rtpmap = {
+                payloadType: parseInt(match[1]),
+                encoding: match[2],
+                clockRate: parseInt(match[3]),
+                channels: match[4] !== undefined ? parseInt(match[4]) : null
+            };
+            break;
+        }
+        case 'fmtp': {
+            const match = value.match(/^(\d+)\s*(.*)$/);
+            if (!match) throw new Error(`Invalid fmtp "${value}"`);
+            target.fmtp = parseFmtp(match[2]);
+            break;
+        }
+        case 'source-filter':
+            target.sourceFilter = parseSourceFilter(value);
+            break;
+        case 'ts-refclk':
+            target.tsRefclk = value;
+            break;
+        case 'mediaclk':
+            target.mediaclk = value;
+            break;
+        case 'mid':
+            target.mid = value;
+            break;
+        case 'ptime':
+            target.ptime = parseFloat(value);
+            break;
+        case 'group': {
+            const [semantics, ...mids] = value.split(/\s+/);
+            target.groups.push({ semantics, mids });
+            break;
+        }
+        default:
+            target.attributes[name] = value === undefined ? true : value;
+    }
+};
+
+/**
+ * Parse an SDP file.
+ *
+ * Session-level connection, source-filter, ts-refclk and mediaclk are inherited by
+ * each media description that does not set its own.
+ *
+ * @param {string} text
+ * @returns {Object} { origin, name, groups, tsRefclk, mediaclk, media: [...] }
+ * @throws {Error} when the SDP is malformed
+ */
+const parseSdp = (text) => {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('SDP is empty');
+    }
+
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines[0] !== 'v=0') {
+        throw new Error('SDP must start with v=0');
+    }
+
+    const session = {
+        origin: null,
+        name: null,
+        connection: null,
+        sourceFilter: null,
+        tsRefclk: null,
+        mediaclk: null,
+        groups: [],
+        attributes: {},
+        media: []
+    };
+    let current = session;
+
+    for (const line of lines) {
+        const match = line.match(/^([a-z])=(.*)$/);
+        if (!match) {
+            throw new Error(`Invalid SDP line "${line}"`);
+        }
+        const [, type, value] = match;
+
+        switch (type) {
+            case 'o': {
+                const parts = value.split(/\s+/);
+                if (parts.length < 6) throw new Error(`Invalid origin line "o=${value}"`);
+                session.origin = {
+                    username: parts[0],
+                    sessionId: parts[1],
+                    sessionVersion: parts[2],
+                    netType: parts[3],
+                    addressType: parts[4],
+                    address: parts[5]
+                };
+                break;
+            }
+            case 's':
+                session.name = value;
+                break;
+            case 'c':
+                current.connection = parseConnection(value);
+                break;
+            case 'm': {
+                const [media, port, protocol, ...formats] = value.split(/\s+/);
+                if (!protocol || isNaN(parseInt(port))) {
+                    throw new Error(`Invalid media line "m=${value}"`);
+                }
+                current = {
+                    media,
+                    port: parseInt(port),
+                    protocol,
+                    formats,
+                    connection: null,
+                    sourceFilter: null,
+                    rtpmap: null,
+                    fmtp: {},
+                    mid: null,
+                    tsRefclk: null,
+                    mediaclk: null,
+                    ptime: null,
+                    groups: [],
+                    attributes: {}
+                };
+                session.media.push(current);
+                break;
+            }
+            case 'a': {
+                const index = value.indexOf(':');
+                const name = index === -1 ? value : value.slice(0, index);
+                applyAttribute(current, name, index === -1 ? undefined : value.slice(index + 1).trim());
+                break;
+            }
+            default:
+                // v, t, b, i, u, e, p, r, z, k: nothing a receiver needs
+                break;
+        }
+    }
+
+    if (session.media.length === 0) {
+        throw new Error('SDP has no media description (m=)');
+    }
+
+    for (const media of session.media) {
+        media.connection = media.connection || session.connection;
+        media.sourceFilter = media.sourceFilter || session.sourceFilter;
+        media.tsRefclk = media.tsRefclk || session.tsRefclk;
+        media.mediaclk = media.mediaclk || session.mediaclk;
+        if (!media.connection) {
+            throw new Error(`No connection address (c=) for m=${media.media} ${media.port}`);
+        }
+    }
+
+    delete session.connection;
+    delete session.sourceFilter;
+    return session;
+};
+
+/**
+ * The RTP media descriptions in leg order: the a=group:DUP order when present
+ * (SMPTE ST 2022-7), otherwise file order.
+ */
+const rtpLegs = (parsed) => {
+    const rtp = parsed.media.filter(media => /RTP/.test(media.protocol));
+    const dup = parsed.groups.find(group => group.semantics === 'DUP');
+    if (!dup) {
+        return rtp;
+    }
+    return dup.mids.map(mid => rtp.find(media => media.mid === mid)).filter(Boolean);
+};
+
+/**
+ * Receiver transport_params from a parsed SDP.
+ *
+ * Only parameters present in the receiver's legs are set. Legs without a matching
+ * media description are disabled (rtp_enabled: false).
+ *
+ * @param {Object} parsed - parseSdp() result
+ * @param {Object[]} legs - The receiver's current transport_params (one per leg)
+ * @returns {Object[]} transport_params, one per leg
+ */
+const sdpToTransportParams = (parsed, legs) => {
+    const media = rtpLegs(parsed);
+    return legs.map((leg, index) => {
+        const description = media[index];
+        const params = description
+            ? {
+                destination_port: description.port,
+                multicast_ip: isMulticast(description.connection.address) ? description.connection.address : null,
+                source_ip: description.sourceFilter && description.sourceFilter.sources.length > 0
+                    ? description.sourceFilter.sources[0]
+                    : null,
+                rtp_enabled: true
+            }
+            : { rtp_enabled: false };
+        return Object.fromEntries(Object.entries(params).filter(([field]) => field in leg));
+    });
+};
+
+/**
+ * Summary of each RTP media description, in leg order (for output messages).
+ */
+const describeMedia = (parsed) => rtpLegs(parsed).map(media => ({
+    media: media.media,
+    mid: media.mid,
+    address: media.connection.address,
+    port: media.port,
+    sourceIp: media.sourceFilter && media.sourceFilter.sources.length > 0 ? media.sourceFilter.sources[0] : null,
+    payloadType: media.rtpmap ? media.rtpmap.payloadType : parseInt(media.formats[0]),
+    encoding: media.rtpmap ? media.rtpmap.encoding : null,
+    clockRate: media.rtpmap ? media.rtpmap.clockRate : null,
+    channels: media.rtpmap ? media.rtpmap.channels : null,
+    fmtp: media.fmtp,
+    ptime: media.ptime,
+    tsRefclk: media.tsRefclk,
+    mediaclk: media.mediaclk
+}));
+
+const formatRate = (rate) => rate.denominator === 1 ? `${rate.numerator}` : `${rate.numerator}/${rate.denominator}`;
+
+// ST 2110-30 channel-order for a channel count
+const channelOrder = (channels) => {
+    if (channels === 1) return 'SMPTE2110.(M)';
+    if (channels === 2) return 'SMPTE2110.(ST)';
+    return `SMPTE2110.(U${String(channels).padStart(2, '0')})`;
+};
+
+const DEFAULT_PAYLOAD_TYPES = { video: 96, audio: 97, mux: 98, data: 100 };
+
+/**
+ * Media-level rtpmap and fmtp for a stream description.
+ */
+const describeEncoding = (stream) => {
+    const encoding = stream.mediaType.split('/')[1];
+    const rate = formatRate(stream.grainRate || { numerator: 25, denominator: 1 });
+
+    if (stream.format === 'audio') {
+        return {
+            media: 'audio',
+            rtpmap: `${encoding}/${stream.sampleRate || 48000}/${stream.channels || 2}`,
+            fmtp: `channel-order=${channelOrder(stream.channels || 2)}`,
+            ptime: 1
+        };
+    }
+    if (stream.mediaType === 'video/raw') {
+        return {
+            media: 'video',
+            rtpmap: `${encoding}/90000`,
+            fmtp: [
+                'sampling=YCbCr-4:2:2',
+                `width=${stream.frameWidth || 1920}`,
+                `height=${stream.frameHeight || 1080}`,
+                `exactframerate=${rate}`,
+                `depth=${stream.bitDepth || 10}`,
+                'TCS=SDR',
+                'colorimetry=BT709',
+                'PM=2110GPM',
+                'SSN=ST2110-20:2017',
+                'TP=2110TPN',
+                ...(stream.interlaced ? ['interlace'] : [])
+            ].join('; ') + ';'
+        };
+    }
+    if (stream.mediaType === 'video/smpte291') {
+        return { media: 'video', rtpmap: `${encoding}/90000`, fmtp: `exactframerate=${rate}` };
+    }
+    if (stream.mediaType === 'video/SMPTE2022-6') {
+        return { media: 'video', rtpmap: `${encoding}/27000000`, fmtp: null };
+    }
+    return { media: stream.format === 'audio' ? 'audio' : 'video', rtpmap: `${encoding}/90000`, fmtp: null };
+};
+
+/**
+ * Generate an SDP file for an RTP stream.
+ *
+ * @param {Object} stream
+ * @param {string} stream.name - Session name (s=)
+ * @param {string} stream.originAddress - IPv4 address for o=
+ * @param {string} stream.format - 'video', 'audio', 'data' or 'mux'
+ * @param {string} stream.mediaType - e.g. 'video/raw', 'audio/L24'
+ * @param {Object[]} stream.legs - { destination_ip, destination_port, source_ip, rtp_enabled } per leg
+ * @param {Object} [stream.grainRate] - { numerator, denominator }
+ * @param {string} [stream.tsRefclk] - a=ts-refclk value, e.g. 'localmac=00-11-22-33-44-55'
+ * @param {number|string} [stream.sessionId]
+ * @returns {string}
+ */
+const generateSdp = (stream) => {
+    const encoding = describeEncoding(stream);
+    const payloadType = stream.payloadType || DEFAULT_PAYLOAD_TYPES[stream.format] || 96;
+    const legs = stream.legs.filter(leg => leg.rtp_enabled !== false);
+    const mids = legs.length === 2 ? ['primary', 'secondary'] : [];
+    const sessionId = stream.sessionId || Math.floor(Date.now() / 1000);
+
+    const lines = [
+        'v=0',
+        `o=- ${sessionId} ${Math.floor(Date.now() / 1000)} IN IP4 ${stream.originAddress}`,
+        `s=${stream.name}`,
+        't=0 0'
+    ];
+    if (mids.length > 0) {
+        lines.push(`a=group:DUP ${mids.join(' ')}`);
+    }
+
+    legs.forEach((leg, index) => {
+        const multicast = isMulticast(leg.destination_ip);
+        lines.push(
+            `m=${encoding.media} ${leg.destination_port} RTP/AVP ${payloadType}`,
+            `c=IN IP4 ${leg.destination_ip}${multicast ? '/64' : ''}`
+        );
+        if (multicast && leg.source_ip) {
+            lines.push(`a=source-filter: incl IN IP4 ${leg.destination_ip} ${leg.source_ip}`);
+        }
+        if (stream.tsRefclk) {
+            lines.push(`a=ts-refclk:${stream.tsRefclk}`);
+        }
+        lines.push('a=mediaclk:direct=0', `a=rtpmap:${payloadType} ${encoding.rtpmap}`);
+        if (encoding.fmtp) {
+            lines.push(`a=fmtp:${payloadType} ${encoding.fmtp}`);
+        }
+        if (encoding.ptime) {
+            lines.push(`a=ptime:${encoding.ptime}`);
+        }
+        if (mids.length > 0) {
+            lines.push(`a=mid:${mids[index]}`);
+        }
+    });
+
+    return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    parseSdp,
+    sdpToTransportParams,
+    describeMedia,
+    generateSdp,
+    isMulticast
+};
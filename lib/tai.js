@@ -0,0 +1,142 @@
+/**
+ * lib/tai.js
+ * TAI timestamps as used by NMOS ("seconds:nanoseconds" since 1970-01-01T00:00:00 TAI),
+ * with the leap second table, and parsing of IS-05 requested times
+ */
+
+// TAI - UTC in seconds, from each UTC date on (IERS Bulletin C). Extend when a leap second is announced.
+const LEAP_SECONDS = [
+    ['1972-01-01', 10], ['1972-07-01', 11], ['1973-01-01', 12], ['1974-01-01', 13],
+    ['1975-01-01', 14], ['1976-01-01', 15], ['1977-01-01', 16], ['1978-01-01', 17],
+    ['1979-01-01', 18], ['1980-01-01', 19], ['1981-07-01', 20], ['1982-07-01', 21],
+    ['1983-07-01', 22], ['1985-07-01', 23], ['1988-01-01', 24], ['1990-01-01', 25],
+    ['1991-01-01', 26], ['1992-07-01', 27], ['1993-07-01', 28], ['1994-07-01', 29],
+    ['1996-01-01', 30], ['1997-07-01', 31], ['1999-01-01', 32], ['2006-01-01', 33],
+    ['2009-01-01', 34], ['2012-07-01', 35], ['2015-07-01', 36], ['2017-01-01', 37]
+].map(([date, offset]) => ({ utcSeconds: Date.parse(`${date}T00:00:00Z`) / 1000, offset }));
+
+const TAI_PATTERN = /^(\d+):(\d+)$/;
+
+const SCHEDULED_MODES = ['activate_scheduled_absolute', 'activate_scheduled_relative'];
+
+/**
+ * TAI - UTC at a UTC instant (Unix seconds).
+ */
+const getLeapSeconds = (utcSeconds) => {
+    let offset = LEAP_SECONDS[0].offset;
+    for (const entry of LEAP_SECONDS) {
+        if (utcSeconds < entry.utcSeconds) break;
+        offset = entry.offset;
+    }
+    return offset;
+};
+
+const formatTai = (seconds, nanoseconds) => `${seconds}:${nanoseconds}`;
+
+/**
+ * Parse "seconds:nanoseconds".
+ *
+ * @returns {{seconds: number, nanoseconds: number}}
+ */
+const parseTai = (tai) => {
+    const match = String(tai).match(TAI_PATTERN);
+    if (!match) {
+        throw new Error(`Invalid TAI timestamp "${tai}" (expected seconds:nanoseconds)`);
+    }
+    const nanoseconds = parseInt(match[2]);
+    if (nanoseconds >= 1e9) {
+        throw new Error(`Invalid TAI timestamp "${tai}" (nanoseconds must be below 1000000000)`);
+    }
+    return { seconds: parseInt(match[1]), nanoseconds };
+};
+
+/**
+ * Unix time in ms (UTC) to a TAI timestamp.
+ */
+const unixMsToTai = (ms) => {
+    const utcSeconds = Math.floor(ms / 1000);
+    const nanoseconds = Math.round(ms - utcSeconds * 1000) * 1e6;
+    return formatTai(utcSeconds + getLeapSeconds(utcSeconds), nanoseconds);
+};
+
+/**
+ * TAI timestamp to Unix time in ms (UTC).
+ */
+const taiToUnixMs = (tai) => {
+    const { seconds, nanoseconds } = parseTai(tai);
+    // The offset depends on the UTC instant, so try the offset in force at the estimate
+    let utcSeconds = seconds - getLeapSeconds(seconds - LEAP_SECONDS[LEAP_SECONDS.length - 1].offset);
+    utcSeconds = seconds - getLeapSeconds(utcSeconds);
+    return utcSeconds * 1000 + Math.floor(nanoseconds / 1e6);
+};
+
+/**
+ * Current time as a TAI timestamp.
+ */
+const nowTai = () => unixMsToTai(Date.now());
+
+// Milliseconds to a TAI duration (relative activations)
+const msToDuration = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    return formatTai(seconds, Math.round(ms - seconds * 1000) * 1e6);
+};
+
+const toUnixMs = (value) => {
+    if (value instanceof Date) return value.getTime();
+    const ms = Date.parse(value);
+    if (isNaN(ms)) {
+        throw new Error(`Invalid requested time "${value}" (expected an ISO date, milliseconds or seconds:nanoseconds)`);
+    }
+    return ms;
+};
+
+/**
+ * Convert a requested time to what IS-05 expects for the activation mode.
+ *
+ * - TAI strings ("seconds:nanoseconds") are passed through
+ * - Numbers are milliseconds from now
+ * - ISO dates (or Date objects) are points in time
+ *
+ * For activate_scheduled_absolute the result is a TAI timestamp; for
+ * activate_scheduled_relative it is a TAI duration from now.
+ *
+ * @param {string|number|Date} value
+ * @param {string} mode - Activation mode
+ * @param {number} [now=Date.now()] - Reference time in Unix ms
+ * @returns {string} seconds:nanoseconds
+ */
+const toRequestedTime = (value, mode, now = Date.now()) => {
+    if (typeof value === 'string' && TAI_PATTERN.test(value.trim())) {
+        parseTai(value.trim());
+        return value.trim();
+    }
+
+    const relative = mode === 'activate_scheduled_relative';
+
+    if (typeof value === 'number' || (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.trim()))) {
+        const ms = Number(value);
+        if (ms < 0) {
+            throw new Error('Requested time in milliseconds must not be negative');
+        }
+        return relative ? msToDuration(ms) : unixMsToTai(now + ms);
+    }
+
+    const at = toUnixMs(value);
+    if (relative) {
+        if (at < now) {
+            throw new Error(`Requested time ${new Date(at).toISOString()} is in the past`);
+        }
+        return msToDuration(at - now);
+    }
+    return unixMsToTai(at);
+};
+
+module.exports = {
+    SCHEDULED_MODES,
+    getLeapSeconds,
+    parseTai,
+    unixMsToTai,
+    taiToUnixMs,
+    nowTai,
+    toRequestedTime
+};
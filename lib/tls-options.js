@@ -0,0 +1,103 @@
+/**
+ * lib/tls-options.js
+ * BCP-003-01 TLS settings shared by the axios, ws and mqtt clients, and
+ * secure WebSocket servers for the nodes that host their own ports
+ */
+
+const fs = require('fs');
+const https = require('https');
+const WebSocket = require('ws');
+
+const readPem = (file, description) => {
+    try {
+        return fs.readFileSync(file);
+    } catch (error) {
+        throw new Error(`Cannot read ${description} ${file}: ${error.message}`);
+    }
+};
+
+/**
+ * Build Node.js TLS options from file paths.
+ *
+ * The result can be passed as-is to https.Agent, `new WebSocket(url, options)`
+ * and `mqtt.connect(url, options)`.
+ *
+ * @param {Object} options
+ * @param {string} [options.ca] - Path to a PEM CA bundle (replaces the system CAs)
+ * @param {string} [options.cert] - Path to a PEM client certificate
+ * @param {string} [options.key] - Path to the PEM private key for `cert`
+ * @param {string} [options.passphrase] - Passphrase for `key`
+ * @param {boolean} [options.verifyHostname=true] - Check the server certificate matches the host name
+ * @returns {Object} TLS options
+ */
+const loadTlsOptions = (options) => {
+    const tls = {
+        rejectUnauthorized: true
+    };
+
+    if (options.ca) {
+        tls.ca = readPem(options.ca, 'CA bundle');
+    }
+    if (options.cert || options.key) {
+        if (!options.cert || !options.key) {
+            throw new Error('A client certificate needs both a certificate and a key file');
+        }
+        tls.cert = readPem(options.cert, 'certificate');
+        tls.key = readPem(options.key, 'private key');
+        if (options.passphrase) {
+            tls.passphrase = options.passphrase;
+        }
+    }
+
+    // The chain is still verified; only the host name check is skipped
+    if (options.verifyHostname === false) {
+        tls.checkServerIdentity = () => undefined;
+    }
+
+    return tls;
+};
+
+/**
+ * Create a WebSocket server on its own port, over TLS when a certificate is available.
+ *
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.path - Accepted request path
+ * @param {Object} [options.tls] - Options from loadTlsOptions; needs `cert` and `key` for wss
+ * @returns {{wss: WebSocket.Server, secure: boolean, close: Function}}
+ */
+const createWebSocketServer = (options) => {
+    const tls = options.tls || {};
+
+    if (!tls.cert || !tls.key) {
+        const wss = new WebSocket.Server({ port: options.port, path: options.path });
+        return {
+            wss,
+            secure: false,
+            close: (callback) => wss.close(callback)
+        };
+    }
+
+    const server = https.createServer({
+        cert: tls.cert,
+        key: tls.key,
+        ca: tls.ca,
+        passphrase: tls.passphrase
+    });
+    // 'listening' and 'error' on the https server are re-emitted by the WebSocket server
+    const wss = new WebSocket.Server({ server, path: options.path });
+    server.listen(options.port);
+
+    return {
+        wss,
+        secure: true,
+        close: (callback) => {
+            wss.close(() => server.close(() => callback && callback()));
+        }
+    };
+};
+
+module.exports = {
+    loadTlsOptions,
+    createWebSocketServer
+};
@@ -0,0 +1,323 @@
+/**
+ * lib/token-validator.js
+ * IS-10 resource server side: validates bearer tokens (JWTs) against the
+ * Authorization Server's JWKS and checks the x-nmos-* access claims
+ */
+
+const crypto = require('crypto');
+
+// Allowed clock skew between us and the Authorization Server
+const DEFAULT_LEEWAY_SECONDS = 5;
+// Keys are refetched after this long, or sooner when an unknown 'kid' is seen
+const JWKS_TTL_MS = 3600000;
+const JWKS_MIN_REFETCH_MS = 10000;
+
+const ALGORITHMS = {
+    RS256: { hash: 'sha256', kty: 'RSA' },
+    RS384: { hash: 'sha384', kty: 'RSA' },
+    RS512: { hash: 'sha512', kty: 'RSA' },
+    PS256: { hash: 'sha256', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+    PS384: { hash: 'sha384', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+    PS512: { hash: 'sha512', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+    ES256: { hash: 'sha256', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', kty: 'EC', dsaEncoding: 'ieee-p1363' }
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const normalizeUrl = (url) => {
+    let normalized = String(url || '').trim();
+    while (normalized.endsWith('/')) {
+        normalized = normalized.slice(0, -1);
+    }
+    return normalized;
+};
+
+/**
+ * Error carrying the HTTP status and OAuth error code to report (RFC 6750)
+ */
+const tokenError = (status, oauthError, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.oauthError = oauthError;
+    return error;
+};
+
+const decodeSegment = (segment) => {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (e) {
+        throw tokenError(401, 'invalid_token', 'Malformed token');
+    }
+};
+
+// '*' in audiences and x-nmos-* paths matches any run of characters
+const globToRegExp = (pattern) => {
+    const escaped = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`, 'i');
+};
+
+const matchesAny = (patterns, value) => {
+    return patterns.some(pattern => globToRegExp(pattern).test(value));
+};
+
+/**
+ * Split a request path into the NMOS API name and the path below the API version,
+ * e.g. '/x-nmos/connection/v1.1/single/receivers/abc/staged' -> { api: 'connection', path: 'single/receivers/abc/staged' }
+ */
+const parseNmosPath = (requestPath) => {
+    const match = String(requestPath || '').match(/\/x-nmos\/([^/]+)\/(?:v\d+\.\d+\/?)?(.*)$/);
+    if (!match) return null;
+    return { api: match[1], path: match[2].replace(/\/+$/, '') };
+};
+
+/**
+ * Create a token validator.
+ *
+ * The JWKS location is read from the Authorization Server metadata
+ * (`{authServerUrl}/.well-known/oauth-authorization-server`, `jwks_uri`).
+ *
+ * @param {Object} options
+ * @param {Function} options.getAuthServerUrl - Returns the Authorization Server base URL (or null)
+ * @param {Object} options.http - axios instance used to fetch metadata and keys
+ * @param {number} [options.leeway=5] - Allowed clock skew in seconds for exp/nbf
+ * @param {Function} [options.log] - Logger for normal events
+ * @param {Function} [options.warn] - Logger for failures
+ */
+const createTokenValidator = (options) => {
+    const httpClient = options.http;
+    const leeway = options.leeway !== undefined ? options.leeway : DEFAULT_LEEWAY_SECONDS;
+    const log = options.log || (() => {});
+    const warn = options.warn || (() => {});
+
+    let issuer = null;
+    let keys = [];
+    let keysUrl = null;
+    let fetchedAt = 0;
+    let pending = null;
+
+    const fetchKeys = async () => {
+        const baseUrl = normalizeUrl(options.getAuthServerUrl());
+        if (!baseUrl) {
+            throw new Error('No IS-10 Authorization Server available');
+        }
+
+        const metadataResponse = await httpClient.get(`${baseUrl}/.well-known/oauth-authorization-server`, {
+            headers: { 'Accept': 'application/json' },
+            skipAuthRetry: true
+        });
+        const metadata = metadataResponse.data || {};
+        if (!metadata.jwks_uri) {
+            throw new Error(`Authorization Server ${baseUrl} does not advertise a jwks_uri`);
+        }
+
+        const jwksResponse = await httpClient.get(metadata.jwks_uri, {
+            headers: { 'Accept': 'application/json' },
+            skipAuthRetry: true
+        });
+        const jwks = (jwksResponse.data && jwksResponse.data.keys) || [];
+
+        keys = [];
+        for (const jwk of jwks) {
+            if (jwk.use && jwk.use !== 'sig') continue;
+            try {
+                keys.push({ jwk, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) });
+            } catch (error) {
+                warn(`Ignoring unusable JWK ${jwk.kid || ''}: ${error.message}`);
+            }
+        }
+
+        issuer = metadata.issuer || null;
+        keysUrl = metadata.jwks_uri;
+        fetchedAt = Date.now();
+        log(`IS-10 token validation keys loaded from ${keysUrl} (${keys.length} key(s))`);
+    };
+
+    // Concurrent requests share a single fetch
+    const loadKeys = () => {
+        if (!pending) {
+            pending = fetchKeys().finally(() => {
+                pending = null;
+            });
+        }
+        return pending;
+    };
+
+    const findKeys = (header, algorithm) => {
+        return keys.filter(({ jwk }) => {
+            if (jwk.kty !== algorithm.kty) return false;
+            if (jwk.alg && jwk.alg !== header.alg) return false;
+            return !header.kid || jwk.kid === header.kid;
+        });
+    };
+
+    const getKeys = async (header, algorithm) => {
+        const age = Date.now() - fetchedAt;
+        if (fetchedAt === 0 || age > JWKS_TTL_MS) {
+            await loadKeys();
+        }
+
+        let candidates = findKeys(header, algorithm);
+        // A new 'kid' usually means the server rotated its keys
+        if (candidates.length === 0 && age > JWKS_MIN_REFETCH_MS) {
+            await loadKeys();
+            candidates = findKeys(header, algorithm);
+        }
+        return candidates;
+    };
+
+    const verifySignature = (parts, algorithm, key) => {
+        const verifyOptions = { key };
+        if (algorithm.padding) {
+            verifyOptions.padding = algorithm.padding;
+            verifyOptions.saltLength = algorithm.saltLength;
+        }
+        if (algorithm.dsaEncoding) {
+            verifyOptions.dsaEncoding = algorithm.dsaEncoding;
+        }
+        return crypto.verify(
+            algorithm.hash,
+            Buffer.from(`${parts[0]}.${parts[1]}`),
+            verifyOptions,
+            Buffer.from(parts[2], 'base64url')
+        );
+    };
+
+    /**
+     * Validate a token for one request.
+     *
+     * @param {string} token - Encoded JWT
+     * @param {Object} access
+     * @param {string} access.api - NMOS API name, e.g. 'connection'
+     * @param {string} access.path - Path below the API version root
+     * @param {boolean} access.write - Whether write access is needed
+     * @param {string} [access.host] - Host name the request was addressed to (checked against 'aud')
+     * @returns {Promise<Object>} the token claims
+     */
+    const validate = async (token, access) => {
+        const parts = String(token || '').split('.');
+        if (parts.length !== 3) {
+            throw tokenError(401, 'invalid_token', 'Malformed token');
+        }
+
+        const header = decodeSegment(parts[0]);
+        const claims = decodeSegment(parts[1]);
+
+        const algorithm = ALGORITHMS[header.alg];
+        if (!algorithm) {
+            throw tokenError(401, 'invalid_token', `Unsupported token algorithm: ${header.alg}`);
+        }
+
+        let candidates;
+        try {
+            candidates = await getKeys(header, algorithm);
+        } catch (error) {
+            warn(`IS-10 key retrieval failed: ${error.message}`);
+            throw tokenError(401, 'invalid_token', 'Unable to obtain token validation keys');
+        }
+
+        if (!candidates.some(({ key }) => verifySignature(parts, algorithm, key))) {
+            throw tokenError(401, 'invalid_token', 'Token signature is invalid');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (typeof claims.exp !== 'number' || claims.exp + leeway < now) {
+            throw tokenError(401, 'invalid_token', 'Token has expired');
+        }
+        if (typeof claims.nbf === 'number' && claims.nbf - leeway > now) {
+            throw tokenError(401, 'invalid_token', 'Token is not yet valid');
+        }
+        if (issuer && claims.iss !== issuer) {
+            throw tokenError(401, 'invalid_token', 'Token issuer does not match the Authorization Server');
+        }
+
+        if (access.host) {
+            const audiences = Array.isArray(claims.aud) ? claims.aud : (claims.aud ? [claims.aud] : []);
+            if (!matchesAny(audiences, access.host)) {
+                throw tokenError(401, 'invalid_token', `Token audience does not include ${access.host}`);
+            }
+        }
+
+        const scopes = String(claims.scope || '').split(' ').filter(Boolean);
+        if (claims.scope !== undefined && !scopes.includes(access.api)) {
+            throw tokenError(403, 'insufficient_scope', `Token scope does not include ${access.api}`);
+        }
+
+        const permissions = claims[`x-nmos-${access.api}`] || {};
+        const allowed = access.write ? permissions.write : permissions.read;
+        if (!Array.isArray(allowed) || !matchesAny(allowed, access.path)) {
+            throw tokenError(403, 'insufficient_scope',
+                `Token does not grant ${access.write ? 'write' : 'read'} access to ${access.api} ${access.path || '/'}`);
+        }
+
+        return claims;
+    };
+
+    /**
+     * Express middleware enforcing IS-10 on NMOS API routes. Responds with the
+     * NMOS error body and a WWW-Authenticate challenge on failure; on success the
+     * claims are available as `req.nmosToken`.
+     */
+    const middleware = (req, res, next) => {
+        // CORS preflight requests never carry credentials
+        if (req.method === 'OPTIONS') {
+            next();
+            return;
+        }
+
+        const host = String(req.hostname || (req.headers.host || '').replace(/:\d+$/, ''));
+        const route = parseNmosPath((req.originalUrl || req.url || '').split('?')[0]);
+
+        const reject = (status, oauthError, message) => {
+            const challenge = [`realm="${host}"`];
+            if (oauthError) {
+                challenge.push(`error="${oauthError}"`);
+                challenge.push(`error_description="${message.replace(/"/g, '\'')}"`);
+            }
+            res.setHeader('WWW-Authenticate', `Bearer ${challenge.join(', ')}`);
+            res.setHeader('Access-Control-Expose-Headers', 'WWW-Authenticate');
+            res.status(status).json({
+                code: status,
+                error: message,
+                debug: oauthError || null
+            });
+        };
+
+        if (!route) {
+            reject(403, 'insufficient_scope', 'Request path is not an NMOS API');
+            return;
+        }
+
+        const authorization = req.headers.authorization || '';
+        const match = authorization.match(/^Bearer\s+(\S+)$/i);
+        const token = match ? match[1] : (req.query && req.query.access_token);
+        if (!token) {
+            reject(401, null, 'Authorization required');
+            return;
+        }
+
+        validate(token, {
+            api: route.api,
+            path: route.path,
+            write: !READ_METHODS.includes(req.method),
+            host: host
+        }).then(claims => {
+            req.nmosToken = claims;
+            next();
+        }).catch(error => {
+            reject(error.status || 401, error.oauthError || 'invalid_token', error.message);
+        });
+    };
+
+    return {
+        validate,
+        middleware,
+        refreshKeys: loadKeys
+    };
+};
+
+module.exports = {
+    createTokenValidator,
+    parseNmosPath
+};
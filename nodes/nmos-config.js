@@ -1,33 +1,76 @@
+const { createRegistryClient, parseRegistryUrls } = require('../lib/registry-client');
+const { createRegistryDiscovery } = require('../lib/registry-discovery');
+const { createAuthClient } = require('../lib/auth-client');
+const { createTokenValidator } = require('../lib/token-validator');
+const { loadTlsOptions } = require('../lib/tls-options');
+
 module.exports = function(RED) {
     function NMOSConfigNode(config) {
         RED.nodes.createNode(this, config);
-        
+        const node = this;
+
         // Store configuration
         this.name = config.name;
+        this.discoveryMode = config.discoveryMode || 'static';
         this.registryUrl = config.registryUrl || 'http://localhost:8870';
+        this.fallbackUrls = config.fallbackUrls || '';
         this.queryApiVersion = config.queryApiVersion || 'v1.3';
         this.connectionApiVersion = config.connectionApiVersion || 'v1.1';
         this.useRql = config.useRql !== false;
         this.pagingLimit = parseInt(config.pagingLimit) || 10;
-        
+        this.requestTimeout = parseInt(config.requestTimeout) || 10000;
+        this.retryAttempts = config.retryAttempts !== undefined && config.retryAttempts !== ''
+            ? parseInt(config.retryAttempts) : 2;
+        this.keepAlive = config.keepAlive !== false;
+        this.authEnabled = config.authEnabled === true;
+        this.authServerUrl = config.authServerUrl || '';
+        this.authScopes = config.authScopes || '';
+        this.tlsEnabled = config.tlsEnabled === true;
+        this.tlsCa = config.tlsCa || '';
+        this.tlsCert = config.tlsCert || '';
+        this.tlsKey = config.tlsKey || '';
+        this.tlsVerifyHostname = config.tlsVerifyHostname !== false;
+
         // Normalize registry URL (remove trailing slash)
         if (this.registryUrl.endsWith('/')) {
             this.registryUrl = this.registryUrl.slice(0, -1);
         }
-        
-        // Helper: Get Query API base URL
-        this.getQueryApiUrl = function() {
-            return `${this.registryUrl}/x-nmos/query/${this.queryApiVersion}`;
-        };
-        
-        // Helper: Get auth headers
+
+        // BCP-003-01: CA bundle, client certificate and host name check for every client
+        let tlsOptions = {};
+        // Kept so that no client silently runs without the configured CA or certificate
+        let tlsError = null;
+        if (this.tlsEnabled) {
+            try {
+                tlsOptions = loadTlsOptions({
+                    ca: this.tlsCa,
+                    cert: this.tlsCert,
+                    key: this.tlsKey,
+                    passphrase: (this.credentials || {}).tlsPassphrase,
+                    verifyHostname: this.tlsVerifyHostname
+                });
+            } catch (error) {
+                tlsError = new Error(`TLS configuration error: ${error.message}`);
+                tlsError.retryable = false;
+                node.error(tlsError.message);
+            }
+        }
+
+        let discovery = null;
+        let authClient = null;
+        let tokenValidator = null;
+
+        // Helper: Get auth headers (IS-10 token when enabled, else static token or basic auth)
         this.getAuthHeaders = function() {
             const headers = {
                 'Accept': 'application/json',
                 'Content-Type': 'application/json'
             };
-            
-            if (this.credentials && this.credentials.token) {
+
+            const accessToken = authClient ? authClient.getAccessToken() : null;
+            if (accessToken) {
+                headers['Authorization'] = `Bearer ${accessToken}`;
+            } else if (this.credentials && this.credentials.token) {
                 headers['Authorization'] = `Bearer ${this.credentials.token}`;
             } else if (this.credentials && this.credentials.username && this.credentials.password) {
                 const auth = Buffer.from(
@@ -35,16 +78,209 @@ module.exports = function(RED) {
                 ).toString('base64');
                 headers['Authorization'] = `Basic ${auth}`;
             }
-            
+
             return headers;
         };
+
+        if (this.tlsEnabled && !this.registryUrl.startsWith('https://') && this.discoveryMode !== 'discover') {
+            node.warn(`TLS is enabled but the registry URL ${this.registryUrl} is not https`);
+        }
+
+        const staticRegistryUrls = [this.registryUrl, ...parseRegistryUrls(this.fallbackUrls)];
+
+        // Shared Query API client: primary registry first, then fallbacks in order
+        this.client = createRegistryClient({
+            registryUrls: staticRegistryUrls,
+            queryApiVersion: this.queryApiVersion,
+            timeout: this.requestTimeout,
+            retryAttempts: this.retryAttempts,
+            keepAlive: this.keepAlive,
+            tls: tlsOptions,
+            getHeaders: () => node.getAuthHeaders(),
+            onFailover: (from, to, error) => {
+                node.warn(`Registry failover: ${from} → ${to}${error ? ` (${error.message})` : ''}`);
+            },
+            onUnauthorized: async () => {
+                if (!authClient) return null;
+                const token = await authClient.refresh();
+                return `Bearer ${token.accessToken}`;
+            }
+        });
+
+        // Dependent nodes check this and stay idle instead of opening ws or mqtt transports
+        this.tlsError = tlsError;
+
+        // Pooled axios instance for calls that do not go to the registry (e.g. IS-05 devices)
+        this.http = this.client.http;
+        if (tlsError) {
+            this.http.interceptors.request.use(() => Promise.reject(tlsError));
+        }
+
+        // Helper: TLS options for ws and mqtt clients (empty unless TLS is enabled); throws
+        // when the configured CA, certificate or key could not be loaded
+        this.getTlsOptions = function() {
+            if (tlsError) {
+                throw tlsError;
+            }
+            return { ...tlsOptions };
+        };
+
+        // Helper: Scheme for URLs advertised by device nodes ('https' when TLS is enabled)
+        this.getApiProtocol = function() {
+            return this.tlsEnabled ? 'https' : 'http';
+        };
+
+        // Helper: Get base URL of the registry currently in use
+        this.getRegistryUrl = function() {
+            return this.client.getActiveRegistryUrl();
+        };
+
+        // Helper: Get Query API base URL (of the active registry unless one is given)
+        this.getQueryApiUrl = function(registryUrl) {
+            return this.client.getQueryApiUrl(registryUrl);
+        };
+
+        // Helper: Query API request with retries and failover (see lib/registry-client.js)
+        this.query = function(config) {
+            return this.client.request(config);
+        };
+
+        // Helper: Get Registration API base URL (best discovered registry in discover mode)
+        this.getRegistrationApiUrl = function() {
+            const registration = discovery ? discovery.getServices('register')[0] : null;
+            const baseUrl = registration ? registration.baseUrl : this.registryUrl;
+            return `${baseUrl}/x-nmos/registration/${this.queryApiVersion}`;
+        };
+
+        // Helper: Registration API URLs in failover order (discovered by priority, then configured)
+        this.getRegistrationApiUrls = function() {
+            const discovered = discovery ? discovery.getServices('register').map(s => s.baseUrl) : [];
+            const urls = [...discovered, ...staticRegistryUrls].map(baseUrl => `${baseUrl}/x-nmos/registration/${this.queryApiVersion}`);
+            return urls.filter((url, index) => urls.indexOf(url) === index);
+        };
+
+        // Helper: Ranked DNS-SD results ({query, register, auth}), empty in static mode
+        this.getDiscoveredRegistries = function() {
+            return {
+                query: discovery ? discovery.getServices('query') : [],
+                register: discovery ? discovery.getServices('register') : [],
+                auth: discovery ? discovery.getServices('auth') : []
+            };
+        };
+
+        // Helper: Get the IS-10 Authorization Server base URL (configured, else discovered)
+        this.getAuthServerUrl = function() {
+            if (this.authServerUrl) return this.authServerUrl;
+            const discovered = discovery ? discovery.getServices('auth')[0] : null;
+            return discovered ? discovered.baseUrl : null;
+        };
+
+        // Helper: Force a new IS-10 token (e.g. after a 401 on a WebSocket); resolves to null without IS-10
+        this.refreshAuthToken = function() {
+            if (!authClient) return Promise.resolve(null);
+            return authClient.refresh().then(token => token.accessToken);
+        };
+
+        // Helper: IS-10 client state for diagnostics
+        this.getAuthState = function() {
+            return authClient ? authClient.getState() : null;
+        };
+
+        // Helper: IS-10 validator for the APIs hosted by device nodes (created on first use)
+        this.getTokenValidator = function() {
+            if (!tokenValidator) {
+                tokenValidator = createTokenValidator({
+                    getAuthServerUrl: () => node.getAuthServerUrl(),
+                    http: node.http,
+                    log: (message) => node.log(message),
+                    warn: (message) => node.warn(message)
+                });
+            }
+            return tokenValidator;
+        };
+
+        if (this.discoveryMode === 'discover') {
+            discovery = createRegistryDiscovery({
+                apiVersion: this.queryApiVersion,
+                protocol: this.getApiProtocol(),
+                log: (message) => node.log(message),
+                onChange: (kind, services) => {
+                    if (kind === 'auth') {
+                        // A newly found Authorization Server is only used if none is configured
+                        if (authClient && !node.authServerUrl && services.length > 0 && !authClient.getAccessToken()) {
+                            authClient.refresh().catch(() => {});
+                        }
+                        return;
+                    }
+
+                    if (kind === 'query') {
+                        // Discovered registries first (by priority), configured URLs as last resort
+                        node.client.setRegistryUrls([...services.map(s => s.baseUrl), ...staticRegistryUrls]);
+                        node.log(`Query API registry selected: ${node.getRegistryUrl()}`);
+                    } else {
+                        node.log(`Registration API selected: ${node.getRegistrationApiUrl()}`);
+                    }
+
+                    const credentials = node.credentials || {};
+                    if (services.length > 0 && services[0].auth && !node.authEnabled && !credentials.token) {
+                        node.warn(`Registry ${services[0].baseUrl} advertises api_auth=true but no authorization is configured`);
+                    }
+
+                    node.emit('registry-changed', {
+                        kind: kind,
+                        registryUrl: node.getRegistryUrl(),
+                        registrationApiUrl: node.getRegistrationApiUrl()
+                    });
+                }
+            });
+
+            try {
+                discovery.start();
+                node.log('DNS-SD registry discovery started');
+            } catch (error) {
+                node.warn(`DNS-SD discovery unavailable, using configured registry: ${error.message}`);
+                discovery = null;
+            }
+        }
+
+        if (this.authEnabled) {
+            const credentials = this.credentials || {};
+            authClient = createAuthClient({
+                getAuthServerUrl: () => node.getAuthServerUrl(),
+                http: node.http,
+                clientId: credentials.clientId,
+                clientSecret: credentials.clientSecret,
+                clientName: `Node-RED ${this.name || 'nmos-client'}`,
+                scopes: this.authScopes,
+                log: (message) => node.log(message),
+                warn: (message) => node.warn(message),
+                onToken: (token) => node.log(`IS-10 token obtained (expires in ${token.expiresIn}s)`)
+            });
+            authClient.start();
+        }
+
+        this.on('close', function() {
+            if (authClient) {
+                authClient.stop();
+                authClient = null;
+            }
+            tokenValidator = null;
+            if (discovery) {
+                discovery.stop();
+                discovery = null;
+            }
+            node.client.destroy();
+        });
     }
-    
+
     RED.nodes.registerType("nmos-config", NMOSConfigNode, {
         credentials: {
             username: {type: "text"},
             password: {type: "password"},
-            token: {type: "password"}
+            token: {type: "password"},
+            clientId: {type: "text"},
+            clientSecret: {type: "password"},
+            tlsPassphrase: {type: "password"}
         }
     });
-};
\ No newline at end of file
+};
@@ -1,4 +1,8 @@
-const axios = require('axios');
+const { checkTransportParams } = require('../lib/is05-constraints');
+const { SCHEDULED_MODES, taiToUnixMs, unixMsToTai, parseTai, toRequestedTime } = require('../lib/tai');
+
+// Receiver constraints rarely change; refetched after this long or after a device rejects a PATCH
+const CONSTRAINTS_TTL_MS = 300000;
 
 module.exports = function(RED) {
     // API endpoint to get senders list
@@ -11,11 +15,8 @@ module.exports = function(RED) {
                 return res.status(400).json({error: 'Registry not found'});
             }
             
-            const url = `${registry.getQueryApiUrl()}/senders`;
-            
-            const response = await axios.get(url, {
-                headers: registry.getAuthHeaders(),
-                timeout: 10000,
+            const response = await registry.query({
+                path: '/senders',
                 params: { 'paging.limit': 100 }
             });
             
@@ -40,11 +41,8 @@ module.exports = function(RED) {
                 return res.status(400).json({error: 'Registry not found'});
             }
             
-            const url = `${registry.getQueryApiUrl()}/receivers`;
-            
-            const response = await axios.get(url, {
-                headers: registry.getAuthHeaders(),
-                timeout: 10000,
+            const response = await registry.query({
+                path: '/receivers',
                 params: { 'paging.limit': 100 }
             });
             
@@ -67,6 +65,9 @@ module.exports = function(RED) {
         this.operation = config.operation || 'activate';
         this.configuredReceiverId = config.receiverId;  // Store configured receiver
         this.configuredSenderId = config.senderId;      // Store configured sender
+        this.verify = config.verify === true;
+        this.verifyTimeout = parseInt(config.verifyTimeout) || 5000;
+        this.validateConstraints = config.validateConstraints !== false;
         
         if (!this.registry) {
             node.error("No NMOS registry configured");
@@ -74,27 +75,34 @@ module.exports = function(RED) {
             return;
         }
         
-        const getConnectionAPI = async (receiverId) => {
+        // Device lookups can be shared by all receivers of a salvo (device_id -> Promise)
+        const getConnectionAPI = async (receiverId, deviceCache, resourceType = 'receivers') => {
             try {
-                const receiverUrl = `${node.registry.getQueryApiUrl()}/receivers/${receiverId}`;
-                const receiverResp = await axios.get(receiverUrl, {
-                    headers: node.registry.getAuthHeaders(),
-                    timeout: 10000
+                const receiverResp = await node.registry.query({
+                    path: `/${resourceType}/${receiverId}`
                 });
                 
                 const receiver = receiverResp.data;
                 
                 if (!receiver.device_id) {
-                    throw new Error("Receiver has no device_id");
+                    throw new Error(`${resourceType === 'senders' ? 'Sender' : 'Receiver'} has no device_id`);
                 }
                 
-                const deviceUrl = `${node.registry.getQueryApiUrl()}/devices/${receiver.device_id}`;
-                const deviceResp = await axios.get(deviceUrl, {
-                    headers: node.registry.getAuthHeaders(),
-                    timeout: 10000
-                });
+                const fetchDevice = () => node.registry.query({
+                    path: `/devices/${receiver.device_id}`
+                }).then(deviceResp => deviceResp.data);
                 
-                const device = deviceResp.data;
+                let devicePromise;
+                if (deviceCache) {
+                    if (!deviceCache.has(receiver.device_id)) {
+                        deviceCache.set(receiver.device_id, fetchDevice());
+                    }
+                    devicePromise = deviceCache.get(receiver.device_id);
+                } else {
+                    devicePromise = fetchDevice();
+                }
+                
+                const device = await devicePromise;
                 
                 if (!device.controls || device.controls.length === 0) {
                     throw new Error("Device has no IS-05 controls");
@@ -131,7 +139,8 @@ module.exports = function(RED) {
                 }
                 
                 return {
-                    url: `${baseHref}/single/receivers/${receiverId}`,
+                    root: baseHref,
+                    url: `${baseHref}/single/${resourceType}/${receiverId}`,
                     version: apiVersion
                 };
                 
@@ -146,6 +155,7 @@ module.exports = function(RED) {
             switch (operation) {
                 case 'connect':
                 case 'activate':
+                case 'full_connect':
                     if (!senderId) {
                         throw new Error("senderId is required for connect/activate operation");
                     }
@@ -180,17 +190,28 @@ module.exports = function(RED) {
                     if (!senderId) {
                         throw new Error("senderId is required for scheduled operation");
                     }
-                    if (!options.requested_time) {
+                    if (options.requested_time === undefined || options.requested_time === null || options.requested_time === '') {
                         throw new Error("requested_time is required for scheduled operation");
                     }
                     payload.sender_id = senderId;
                     payload.master_enable = true;
                     payload.activation = {
-                        mode: options.activation_mode || 'activate_scheduled_absolute',
-                        requested_time: options.requested_time
+                        mode: options.activation_mode || 'activate_scheduled_absolute'
                     };
+                    if (!SCHEDULED_MODES.includes(payload.activation.mode)) {
+                        throw new Error(`activation_mode must be one of: ${SCHEDULED_MODES.join(', ')}`);
+                    }
+                    // ISO date, milliseconds from now, or TAI seconds:nanoseconds
+                    payload.activation.requested_time = toRequestedTime(options.requested_time, payload.activation.mode);
                     break;
                     
+                case 'cancel_scheduled':
+                    // IS-05: a null activation mode cancels a pending scheduled activation
+                    payload.activation = {
+                        mode: null
+                    };
+                    return payload;
+                    
                 default:
                     throw new Error(`Unknown operation: ${operation}`);
             }
@@ -211,35 +232,568 @@ module.exports = function(RED) {
             return payload;
         };
         
+        const connectionGet = async (url, extra = {}) => {
+            return node.registry.http.get(url, {
+                headers: node.registry.getAuthHeaders(),
+                timeout: 15000,
+                ...extra
+            });
+        };
+        
+        const isMulticast = (address) => {
+            if (typeof address !== 'string') return false;
+            if (address.includes(':')) return /^ff/i.test(address);
+            const first = parseInt(address.split('.')[0]);
+            return first >= 224 && first <= 239;
+        };
+        
+        // Sender parameters that have a different name on the receiver side; interface_ip is always local
+        const RTP_SENDER_ONLY = ['destination_ip', 'interface_ip'];
+        
+        /**
+         * Map the sender's active transport_params onto the receiver's legs: destination_ip becomes
+         * multicast_ip (for multicast), and parameters with the same name on both sides are copied.
+         * Only parameters the receiver already has are set, and extra sender legs are dropped.
+         */
+        const mapTransportParams = (senderLegs, receiverLegs) => {
+            return receiverLegs.map((receiverLeg, index) => {
+                const senderLeg = senderLegs[index];
+                const leg = {};
+                if (!senderLeg) {
+                    if ('rtp_enabled' in receiverLeg) leg.rtp_enabled = false;
+                    return leg;
+                }
+                
+                for (const key of Object.keys(receiverLeg)) {
+                    if (RTP_SENDER_ONLY.includes(key)) continue;
+                    if (key === 'multicast_ip' && 'destination_ip' in senderLeg) {
+                        leg.multicast_ip = isMulticast(senderLeg.destination_ip) ? senderLeg.destination_ip : null;
+                    } else if (key in senderLeg && senderLeg[key] !== 'auto') {
+                        leg[key] = senderLeg[key];
+                    }
+                }
+                return leg;
+            });
+        };
+        
+        /**
+         * Everything a controller does on the sender side before connecting a receiver:
+         * enable the sender if it is not active, then read its SDP and active transport params.
+         *
+         * @returns {Promise<Object>} { senderActivated, transportFile, transportParams, senderAPI }
+         */
+        const prepareSender = async (senderId, receiverInfo, deviceCache) => {
+            const senderInfo = await getConnectionAPI(senderId, deviceCache, 'senders');
+            
+            let active = (await connectionGet(`${senderInfo.url}/active`)).data || {};
+            let senderActivated = false;
+            
+            if (active.master_enable !== true) {
+                node.log(`Enabling sender ${senderId}`);
+                await node.registry.http.patch(`${senderInfo.url}/staged`, {
+                    master_enable: true,
+                    activation: { mode: 'activate_immediate' }
+                }, {
+                    headers: node.registry.getAuthHeaders(),
+                    timeout: 15000
+                });
+                senderActivated = true;
+                // Staged values may still say 'auto'; /active has what the sender resolved them to
+                active = (await connectionGet(`${senderInfo.url}/active`)).data || {};
+            }
+            
+            // Senders without an SDP (e.g. IS-07 MQTT/WebSocket) answer 404
+            let transportFile = null;
+            const fileResponse = await connectionGet(`${senderInfo.url}/transportfile`, {
+                responseType: 'text',
+                transformResponse: [data => data],
+                validateStatus: (status) => (status >= 200 && status < 300) || status === 404
+            });
+            if (fileResponse.status !== 404 && fileResponse.data) {
+                transportFile = String(fileResponse.data);
+            }
+            
+            const receiverStaged = (await connectionGet(`${receiverInfo.url}/staged`)).data || {};
+            const transportParams = mapTransportParams(active.transport_params || [], receiverStaged.transport_params || []);
+            
+            return {
+                senderActivated: senderActivated,
+                transportFile: transportFile,
+                transportParams: transportParams,
+                senderAPI: senderInfo.url
+            };
+        };
+        
+        // receiverId -> { constraints, fetchedAt }
+        const constraintsCache = new Map();
+        
+        const getConstraints = async (connectionInfo, receiverId) => {
+            const cached = constraintsCache.get(receiverId);
+            if (cached && Date.now() - cached.fetchedAt < CONSTRAINTS_TTL_MS) {
+                return cached.constraints;
+            }
+            
+            try {
+                const response = await connectionGet(`${connectionInfo.url}/constraints`);
+                const constraints = Array.isArray(response.data) ? response.data : null;
+                constraintsCache.set(receiverId, { constraints, fetchedAt: Date.now() });
+                return constraints;
+            } catch (error) {
+                // Without constraints the device gets to decide, as before
+                node.log(`No constraints for receiver ${receiverId}: ${describeError(error)}`);
+                return null;
+            }
+        };
+        
+        /**
+         * Reject transport_params the receiver's constraints do not allow, before the device sees them.
+         * The thrown error names every failing field and carries them as `problems`.
+         */
+        const validatePayload = async (connectionInfo, receiverId, payload) => {
+            if (!node.validateConstraints || !payload.transport_params) return;
+            
+            const constraints = await getConstraints(connectionInfo, receiverId);
+            if (!constraints) return;
+            
+            const problems = checkTransportParams(payload.transport_params, constraints);
+            if (problems.length > 0) {
+                const error = new Error(`Invalid transport_params for receiver ${receiverId}: ${problems.map(p => p.message).join('; ')}`);
+                error.problems = problems;
+                throw error;
+            }
+        };
+        
+        // Per-leg user overrides are applied on top of the parameters taken from the sender
+        const mergeTransportParams = (base, overrides) => {
+            if (!overrides) return base;
+            const legs = Array.isArray(overrides) ? overrides : [overrides];
+            return base.map((leg, index) => ({ ...leg, ...(legs[index] || {}) }));
+        };
+        
+        const applySenderToPayload = (payload, prepared, options) => {
+            payload.transport_params = mergeTransportParams(prepared.transportParams, options.transport_params);
+            // A transport file given by the flow wins over the sender's
+            if (prepared.transportFile && !options.transport_file) {
+                payload.transport_file = {
+                    data: prepared.transportFile,
+                    type: 'application/sdp'
+                };
+            }
+            return payload;
+        };
+        
+        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+        
+        const VERIFY_POLL_MS = 250;
+        // Scheduled activations further ahead than this are reported as unverified rather than waited for
+        const VERIFY_MAX_WAIT_MS = 600000;
+        
+        /**
+         * Check an activation really took effect: poll the receiver's /active until sender_id and
+         * master_enable match the request, then poll the Query API until the receiver's
+         * subscription reflects it. Each phase gets `timeout` ms; scheduled activations are
+         * checked from their activation_time.
+         *
+         * @returns {Promise<Object>} { verified, active, registry, activeMs, registryMs, totalMs, activationTime, actual, error }
+         */
+        const verifyActivation = async (connectionInfo, receiverId, payload, activationTime, timeout) => {
+            const started = Date.now();
+            const expectedSender = payload.sender_id;
+            const expectedEnable = payload.master_enable;
+            const result = {
+                verified: false,
+                active: false,
+                registry: false,
+                activeMs: null,
+                registryMs: null,
+                totalMs: 0,
+                activationTime: activationTime || null,
+                actual: null,
+                error: null
+            };
+            
+            let startAt = started;
+            if (activationTime) {
+                const activationAt = taiToUnixMs(activationTime);
+                if (activationAt - started > VERIFY_MAX_WAIT_MS) {
+                    result.verified = null;
+                    result.error = 'Activation is too far ahead to verify';
+                    return result;
+                }
+                startAt = Math.max(started, activationAt);
+            }
+            await sleep(startAt - Date.now());
+            
+            const senderMatches = (actual) => expectedSender === undefined || (actual || null) === expectedSender;
+            
+            let deadline = Date.now() + timeout;
+            for (;;) {
+                try {
+                    const active = (await connectionGet(`${connectionInfo.url}/active`)).data || {};
+                    result.actual = { sender_id: active.sender_id || null, master_enable: active.master_enable };
+                    if (senderMatches(active.sender_id) &&
+                        (expectedEnable === undefined || active.master_enable === expectedEnable)) {
+                        result.active = true;
+                        result.activeMs = Date.now() - started;
+                        break;
+                    }
+                } catch (error) {
+                    result.error = describeError(error);
+                }
+                if (Date.now() >= deadline) break;
+                await sleep(VERIFY_POLL_MS);
+            }
+            
+            if (!result.active) {
+                result.error = result.error || `Receiver /active did not change (sender_id ${result.actual && result.actual.sender_id}, master_enable ${result.actual && result.actual.master_enable})`;
+                result.totalMs = Date.now() - started;
+                return result;
+            }
+            result.error = null;
+            
+            // The device re-registers the receiver after activating; the registry lags behind /active
+            deadline = Date.now() + timeout;
+            for (;;) {
+                try {
+                    const response = await node.registry.query({
+                        path: `/receivers/${receiverId}`,
+                        retries: 0
+                    });
+                    const subscription = (response.data && response.data.subscription) || {};
+                    // 'active' only exists from IS-04 v1.2
+                    if (senderMatches(subscription.sender_id) &&
+                        (subscription.active === undefined || expectedEnable === undefined || subscription.active === expectedEnable)) {
+                        result.registry = true;
+                        result.registryMs = Date.now() - started;
+                        break;
+                    }
+                } catch (error) {
+                    result.error = describeError(error);
+                }
+                if (Date.now() >= deadline) break;
+                await sleep(VERIFY_POLL_MS);
+            }
+            
+            if (!result.registry) {
+                result.error = result.error || 'Registry receiver subscription did not update';
+            } else {
+                result.error = null;
+            }
+            result.verified = result.registry;
+            result.totalMs = Date.now() - started;
+            return result;
+        };
+        
+        // Activation time of a request when the response does not say (bulk responses only carry codes)
+        const expectedActivationTime = (payload) => {
+            const activation = payload.activation || {};
+            if (activation.mode === 'activate_scheduled_absolute') {
+                return activation.requested_time;
+            }
+            if (activation.mode === 'activate_scheduled_relative') {
+                const { seconds, nanoseconds } = parseTai(activation.requested_time);
+                return unixMsToTai(Date.now() + seconds * 1000 + Math.floor(nanoseconds / 1e6));
+            }
+            return null;
+        };
+        
+        // Staging and cancelling change nothing on /active
+        const shouldVerify = (msg, operation) => {
+            const enabled = msg.verify !== undefined ? msg.verify === true : node.verify;
+            return enabled && operation !== 'stage' && operation !== 'cancel_scheduled';
+        };
+        
+        const describeActivationTime = (tai) => {
+            if (!tai) return null;
+            try {
+                return new Date(taiToUnixMs(tai)).toISOString();
+            } catch (e) {
+                return null;
+            }
+        };
+        
+        /**
+         * Read /staged of each receiver and report the scheduled activations waiting there.
+         */
+        const listPending = async (msg, receiverIds) => {
+            node.status({fill: "blue", shape: "dot", text: "reading staged..."});
+            const deviceCache = new Map();
+            
+            const entries = await Promise.all(receiverIds.map(async (receiverId) => {
+                try {
+                    const connectionInfo = await getConnectionAPI(receiverId, deviceCache);
+                    const staged = (await connectionGet(`${connectionInfo.url}/staged`)).data || {};
+                    const activation = staged.activation || {};
+                    return {
+                        receiverId: receiverId,
+                        pending: SCHEDULED_MODES.includes(activation.mode),
+                        mode: activation.mode || null,
+                        requestedTime: activation.requested_time || null,
+                        activationTime: activation.activation_time || null,
+                        activationTimeIso: describeActivationTime(activation.activation_time),
+                        senderId: staged.sender_id !== undefined ? staged.sender_id : null,
+                        master_enable: staged.master_enable,
+                        connectionAPI: connectionInfo.url
+                    };
+                } catch (error) {
+                    return { receiverId: receiverId, pending: null, error: describeError(error) };
+                }
+            }));
+            
+            const pending = entries.filter(entry => entry.pending === true);
+            msg.payload = {
+                success: entries.every(entry => !entry.error),
+                operation: 'list_pending',
+                checked: entries.length,
+                pending: pending,
+                receivers: entries
+            };
+            
+            node.status({fill: "green", shape: "dot", text: `${pending.length} pending`});
+            node.send(msg);
+        };
+        
+        // Per-connection options accepted on msg, msg.payload or a salvo item
+        const readOptions = (source) => {
+            return {
+                master_enable: source.master_enable,
+                transport_params: source.transport_params || source.transportParams,
+                transport_file: source.transport_file || source.transportFile,
+                transport_file_type: source.transport_file_type,
+                requested_time: source.requested_time,
+                activation_mode: source.activation_mode
+            };
+        };
+        
+        const describeError = (error) => {
+            if (error.response) {
+                const errData = error.response.data || {};
+                return `HTTP ${error.response.status}: ${errData.error || errData.code || JSON.stringify(errData)}`;
+            }
+            return error.message;
+        };
+        
+        // Bulk is optional on some devices; these statuses mean "use /single instead"
+        const BULK_UNSUPPORTED = [404, 405, 501];
+        
+        // 200 for immediate and staged-only requests, 202 for scheduled activations
+        const isAccepted = (code) => code === 200 || code === 202;
+        
+        const patchSingle = async (connectionInfo, item) => {
+            const response = await node.registry.http.patch(`${connectionInfo.url}/staged`, item.payload, {
+                headers: node.registry.getAuthHeaders(),
+                timeout: 15000,
+                validateStatus: (status) => status >= 200 && status < 500
+            });
+            
+            if (!isAccepted(response.status)) {
+                const errData = response.data || {};
+                return { code: response.status, error: errData.error || JSON.stringify(errData), debug: errData.debug || null };
+            }
+            return {
+                code: response.status,
+                staged: response.data,
+                activation: (response.data && response.data.activation) || null
+            };
+        };
+        
+        /**
+         * Stage one device's share of a salvo with POST /bulk/receivers,
+         * falling back to one PATCH per receiver if bulk is not implemented.
+         *
+         * @returns {Promise<Object[]>} {code, error, debug, activation} per item, in item order
+         */
+        const stageDevice = async (connectionInfo, items) => {
+            const bulkUrl = `${connectionInfo.root}/bulk/receivers`;
+            node.log(`POST ${bulkUrl} (${items.length} receivers)`);
+            
+            const response = await node.registry.http.post(bulkUrl, items.map(item => ({
+                id: item.receiverId,
+                params: item.payload
+            })), {
+                headers: node.registry.getAuthHeaders(),
+                timeout: 15000,
+                validateStatus: (status) => status >= 200 && status < 600
+            });
+            
+            if (BULK_UNSUPPORTED.includes(response.status)) {
+                node.warn(`Bulk API not available at ${bulkUrl} (HTTP ${response.status}), using single requests`);
+                const results = [];
+                for (const item of items) {
+                    try {
+                        results.push(await patchSingle(item.connectionInfo, item));
+                    } catch (error) {
+                        results.push({ code: null, error: describeError(error) });
+                    }
+                }
+                return results;
+            }
+            
+            if (response.status < 200 || response.status >= 300 || !Array.isArray(response.data)) {
+                const errData = response.data || {};
+                const error = `Bulk request failed with HTTP ${response.status}: ${errData.error || JSON.stringify(errData)}`;
+                return items.map(() => ({ code: response.status, error: error }));
+            }
+            
+            // Results carry the receiver id; match on it rather than relying on order
+            return items.map(item => {
+                const result = response.data.find(r => r.id === item.receiverId);
+                if (!result) {
+                    return { code: null, error: 'Receiver missing from bulk response' };
+                }
+                return { code: result.code, error: result.error || null, debug: result.debug || null };
+            });
+        };
+        
+        /**
+         * Route a salvo: an array of {receiverId, senderId, operation?, transport_params?, ...}.
+         * Receivers are grouped by device Connection API so each device gets a single bulk request.
+         */
+        const runSalvo = async (msg, entries) => {
+            const deviceCache = new Map();
+            const defaultOperation = msg.operation || node.operation;
+            
+            node.status({fill: "blue", shape: "dot", text: `salvo (${entries.length})...`});
+            
+            const items = await Promise.all(entries.map(async (entry, index) => {
+                const item = {
+                    index: index,
+                    receiverId: entry && (entry.receiverId || entry.receiver_id),
+                    senderId: entry && (entry.senderId !== undefined ? entry.senderId : entry.sender_id),
+                    operation: (entry && entry.operation) || defaultOperation
+                };
+                try {
+                    if (!item.receiverId) {
+                        throw new Error("receiverId is required");
+                    }
+                    const options = readOptions(entry);
+                    item.payload = buildPatchPayload(item.operation, item.senderId, options, null);
+                    item.connectionInfo = await getConnectionAPI(item.receiverId, deviceCache);
+                    if (item.operation === 'full_connect') {
+                        const prepared = await prepareSender(item.senderId, item.connectionInfo, deviceCache);
+                        applySenderToPayload(item.payload, prepared, options);
+                    }
+                    await validatePayload(item.connectionInfo, item.receiverId, item.payload);
+                } catch (error) {
+                    item.result = { code: null, error: error.message, problems: error.problems };
+                }
+                return item;
+            }));
+            
+            const groups = new Map();
+            for (const item of items) {
+                if (item.result) continue;
+                const root = item.connectionInfo.root;
+                if (!groups.has(root)) {
+                    groups.set(root, []);
+                }
+                groups.get(root).push(item);
+            }
+            
+            node.status({fill: "blue", shape: "dot", text: `sending to ${groups.size} device(s)...`});
+            
+            await Promise.all(Array.from(groups.values()).map(async (group) => {
+                let results;
+                try {
+                    results = await stageDevice(group[0].connectionInfo, group);
+                } catch (error) {
+                    const message = describeError(error);
+                    results = group.map(() => ({ code: error.response ? error.response.status : null, error: message }));
+                }
+                group.forEach((item, i) => {
+                    item.result = results[i];
+                    if (item.result.code === 400) {
+                        constraintsCache.delete(item.receiverId);
+                    }
+                });
+            }));
+            
+            const verifying = items.filter(item => isAccepted(item.result.code) && shouldVerify(msg, item.operation));
+            if (verifying.length > 0) {
+                node.status({fill: "blue", shape: "dot", text: `verifying ${verifying.length}...`});
+                await Promise.all(verifying.map(async (item) => {
+                    // Bulk results carry no body, so the activation time is only known from single PATCH fallbacks
+                    const activation = item.result.activation || {};
+                    item.verification = await verifyActivation(item.connectionInfo, item.receiverId, item.payload,
+                        activation.activation_time || expectedActivationTime(item.payload), node.verifyTimeout);
+                }));
+            }
+            
+            const results = items.map(item => ({
+                receiverId: item.receiverId,
+                senderId: item.senderId,
+                operation: item.operation,
+                success: isAccepted(item.result.code),
+                code: item.result.code,
+                activation: item.result.activation || null,
+                error: item.result.error || null,
+                debug: item.result.debug || null,
+                problems: item.result.problems || null,
+                apiVersion: item.connectionInfo ? item.connectionInfo.version : null,
+                connectionAPI: item.connectionInfo ? item.connectionInfo.root : null,
+                verified: item.verification ? item.verification.verified : null,
+                verification: item.verification || null
+            }));
+            const succeeded = results.filter(result => result.success).length;
+            const unverified = results.filter(result => result.verified === false).length;
+            
+            msg.payload = {
+                success: succeeded === results.length,
+                operation: 'salvo',
+                total: results.length,
+                succeeded: succeeded,
+                failed: results.length - succeeded,
+                devices: groups.size,
+                verified: verifying.length > 0 ? unverified === 0 && verifying.every(item => item.verification.verified === true) : null,
+                results: results
+            };
+            
+            node.status({
+                fill: succeeded === results.length && unverified === 0 ? "green" : (succeeded > 0 ? "yellow" : "red"),
+                shape: "dot",
+                text: `salvo ${succeeded}/${results.length} OK${unverified > 0 ? `, ${unverified} not verified` : ''}`
+            });
+            
+            if (succeeded < results.length) {
+                node.warn(`Salvo: ${results.length - succeeded} of ${results.length} connections failed`);
+            }
+            if (unverified > 0) {
+                node.warn(`Salvo: ${unverified} connection(s) accepted but not verified as active`);
+            }
+            
+            node.send(msg);
+        };
+        
         node.on('input', async function(msg) {
             try {
                 let receiverId, senderId, operation, options = {};
                 
+                if (Array.isArray(msg.receiverIds) && (msg.operation || node.operation) === 'list_pending') {
+                    await listPending(msg, msg.receiverIds);
+                    return;
+                }
+                
+                // Salvo: msg.salvo or an array payload
+                const salvo = Array.isArray(msg.salvo) ? msg.salvo : (Array.isArray(msg.payload) ? msg.payload : null);
+                if (salvo) {
+                    if (salvo.length === 0) {
+                        throw new Error("Salvo is empty");
+                    }
+                    await runSalvo(msg, salvo);
+                    return;
+                }
+                
                 if (msg.receiverId) {
                     receiverId = msg.receiverId;
                     senderId = msg.senderId;
                     operation = msg.operation || node.operation;
-                    options = {
-                        master_enable: msg.master_enable,
-                        transport_params: msg.transport_params || msg.transportParams,
-                        transport_file: msg.transport_file || msg.transportFile,
-                        transport_file_type: msg.transport_file_type,
-                        requested_time: msg.requested_time,
-                        activation_mode: msg.activation_mode
-                    };
+                    options = readOptions(msg);
                 }
                 else if (msg.payload && typeof msg.payload === 'object') {
                     receiverId = msg.payload.receiverId || msg.payload.receiver_id;
                     senderId = msg.payload.senderId || msg.payload.sender_id;
                     operation = msg.payload.operation || node.operation;
-                    options = {
-                        master_enable: msg.payload.master_enable,
-                        transport_params: msg.payload.transport_params || msg.payload.transportParams,
-                        transport_file: msg.payload.transport_file || msg.payload.transportFile,
-                        transport_file_type: msg.payload.transport_file_type,
-                        requested_time: msg.payload.requested_time,
-                        activation_mode: msg.payload.activation_mode
-                    };
+                    options = readOptions(msg.payload);
                 }
                 else {
                     // Use configured IDs if no message IDs provided
@@ -254,6 +808,11 @@ module.exports = function(RED) {
                     throw new Error("receiverId is required");
                 }
                 
+                if (operation === 'list_pending') {
+                    await listPending(msg, [receiverId]);
+                    return;
+                }
+                
                 node.status({fill: "blue", shape: "dot", text: `${operation}...`});
                 
                 // Get connection API and version
@@ -265,15 +824,26 @@ module.exports = function(RED) {
                 
                 const patchPayload = buildPatchPayload(operation, senderId, options, connectionInfo.version);
                 
+                let prepared = null;
+                if (operation === 'full_connect') {
+                    node.status({fill: "blue", shape: "dot", text: "preparing sender..."});
+                    prepared = await prepareSender(senderId, connectionInfo);
+                    applySenderToPayload(patchPayload, prepared, options);
+                }
+                
+                await validatePayload(connectionInfo, receiverId, patchPayload);
+                
                 node.status({fill: "blue", shape: "dot", text: "sending..."});
                 
-                const response = await axios.patch(stagedUrl, patchPayload, {
+                const response = await node.registry.http.patch(stagedUrl, patchPayload, {
                     headers: node.registry.getAuthHeaders(),
                     timeout: 15000,
                     validateStatus: (status) => status >= 200 && status < 500
                 });
                 
-                if (response.status !== 200) {
+                if (!isAccepted(response.status)) {
+                    // The device may have changed what it accepts
+                    constraintsCache.delete(receiverId);
                     throw new Error(`PATCH failed with HTTP ${response.status}: ${JSON.stringify(response.data)}`);
                 }
                 
@@ -286,13 +856,39 @@ module.exports = function(RED) {
                     staged: response.data,
                     connectionAPI: connectionInfo.url
                 };
+                
+                if (shouldVerify(msg, operation)) {
+                    node.status({fill: "blue", shape: "dot", text: "verifying..."});
+                    const activation = (response.data && response.data.activation) || {};
+                    const verification = await verifyActivation(connectionInfo, receiverId, patchPayload,
+                        activation.activation_time || expectedActivationTime(patchPayload), node.verifyTimeout);
+                    msg.payload.verified = verification.verified;
+                    msg.payload.verification = verification;
+                    
+                    if (verification.verified === false) {
+                        node.warn(`${operation} accepted by ${receiverId} but not verified: ${verification.error}`);
+                    }
+                }
+                if (prepared) {
+                    msg.payload.sender = {
+                        activated: prepared.senderActivated,
+                        connectionAPI: prepared.senderAPI,
+                        transportFile: prepared.transportFile
+                    };
+                }
                 msg.statusCode = response.status;
                 
-                node.status({
-                    fill: "green", 
-                    shape: "dot", 
-                    text: `${operation} OK`
-                });
+                if (msg.payload.verified === false) {
+                    node.status({fill: "yellow", shape: "dot", text: `${operation}: not verified`});
+                } else if (msg.payload.verified === true) {
+                    node.status({fill: "green", shape: "dot", text: `${operation} OK (verified ${msg.payload.verification.totalMs}ms)`});
+                } else {
+                    node.status({
+                        fill: "green", 
+                        shape: "dot", 
+                        text: `${operation} OK`
+                    });
+                }
                 
                 node.send(msg);
                 
@@ -318,7 +914,7 @@ module.exports = function(RED) {
                     };
                     msg.statusCode = error.response.status;
                 } else if (error.code === 'ECONNREFUSED') {
-                    errorMsg = `Cannot connect to registry: ${node.registry.registryUrl}`;
+                    errorMsg = `Cannot connect to registry: ${node.registry.getRegistryUrl()}`;
                     msg.payload = {
                         success: false,
                         error: errorMsg
@@ -328,6 +924,9 @@ module.exports = function(RED) {
                         success: false,
                         error: error.message
                     };
+                    if (error.problems) {
+                        msg.payload.problems = error.problems;
+                    }
                 }
                 
                 node.error(errorMsg, msg);
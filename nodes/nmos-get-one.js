@@ -1,5 +1,3 @@
-const axios = require('axios');
-
 module.exports = function(RED) {
     function NMOSGetOneNode(config) {
         RED.nodes.createNode(this, config);
@@ -17,10 +15,8 @@ module.exports = function(RED) {
         // Get IS-05 connection endpoints for sender/receiver
         const getConnectionEndpoints = async (deviceId, resourceId, resourceType) => {
             try {
-                const deviceUrl = `${node.registry.getQueryApiUrl()}/devices/${deviceId}`;
-                const deviceResponse = await axios.get(deviceUrl, {
-                    headers: node.registry.getAuthHeaders(),
-                    timeout: 10000
+                const deviceResponse = await node.registry.query({
+                    path: `/devices/${deviceId}`
                 });
                 
                 const device = deviceResponse.data;
@@ -49,7 +45,7 @@ module.exports = function(RED) {
                 for (const endpoint of endpoints) {
                     try {
                         const url = `${baseHref}/single/${resourceType}/${resourceId}/${endpoint}`;
-                        const response = await axios.get(url, {
+                        const response = await node.registry.http.get(url, {
                             headers: headers,
                             timeout: 5000,
                             validateStatus: (status) => status < 500
@@ -91,9 +87,8 @@ module.exports = function(RED) {
                 
                 node.status({fill: "blue", shape: "dot", text: "fetching..."});
                 
-                const url = `${node.registry.getQueryApiUrl()}/${resourceType}/${resourceId}`;
-                const response = await axios.get(url, {
-                    headers: node.registry.getAuthHeaders(),
+                const response = await node.registry.query({
+                    path: `/${resourceType}/${resourceId}`,
                     timeout: 15000,
                     validateStatus: function (status) {
                         return status >= 200 && status < 500;
@@ -146,7 +141,7 @@ module.exports = function(RED) {
                         statusCode: error.response.status
                     };
                 } else if (error.code === 'ECONNREFUSED') {
-                    errorMsg = `Connection refused: ${node.registry.registryUrl}`;
+                    errorMsg = `Connection refused: ${node.registry.getRegistryUrl()}`;
                     msg.payload = { error: errorMsg };
                 } else {
                     msg.payload = { error: error.message };
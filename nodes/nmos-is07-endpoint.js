@@ -5,7 +5,6 @@
  */
 
 const mqtt = require('mqtt');
-const axios = require('axios');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 
@@ -53,6 +52,12 @@ module.exports = function(RED) {
             return;
         }
 
+        if (node.registry.tlsError) {
+            node.error(node.registry.tlsError.message);
+            node.status({ fill: 'red', shape: 'ring', text: 'TLS error' });
+            return;
+        }
+
         if (!node.mqttBroker) {
             node.error('No MQTT broker configured');
             node.status({ fill: 'red', shape: 'ring', text: 'no mqtt' });
@@ -98,7 +103,7 @@ module.exports = function(RED) {
         };
 
         const getRegistrationApiUrl = () => {
-            return `${node.registry.registryUrl}/x-nmos/registration/${node.registry.queryApiVersion}`;
+            return node.registry.getRegistrationApiUrl();
         };
 
         /**
@@ -218,7 +223,7 @@ module.exports = function(RED) {
                 version: getTAITimestamp(),
                 label: `${node.deviceLabel} Node`,
                 description: node.deviceDescription,
-                href: `http://${localIP}:${node.registry.httpPort || 1880}/`,
+                href: `${node.registry.getApiProtocol()}://${localIP}:${node.registry.httpPort || 1880}/`,
                 hostname: os.hostname(),
                 caps: {},
                 tags: {
@@ -229,7 +234,7 @@ module.exports = function(RED) {
                     endpoints: [{
                         host: localIP,
                         port: node.registry.httpPort || 1880,
-                        protocol: 'http'
+                        protocol: node.registry.getApiProtocol()
                     }]
                 },
                 clocks: [{
@@ -318,7 +323,7 @@ module.exports = function(RED) {
             try {
                 node.log(`Registering ${type}: ${data.id}`);
                 
-                const res = await axios.post(`${registrationApiUrl}/resource`, payload, {
+                const res = await node.registry.http.post(`${registrationApiUrl}/resource`, payload, {
                     headers,
                     timeout: 10000,
                     validateStatus: s => s < 500
@@ -384,7 +389,7 @@ module.exports = function(RED) {
             try {
                 const url = `${getRegistrationApiUrl()}/health/nodes/${node.nodeId}`;
                 const headers = node.registry.getAuthHeaders();
-                const res = await axios.post(url, {}, { 
+                const res = await node.registry.http.post(url, {}, { 
                     headers, 
                     timeout: 5000, 
                     validateStatus: s => s < 500 
@@ -646,6 +651,7 @@ module.exports = function(RED) {
             node.log(`Subscribe pattern: ${subscribeTopic}`);
 
             mqttClient = mqtt.connect(node.mqttBroker, {
+                ...node.registry.getTlsOptions(),
                 clientId: `nmos-is07-endpoint-${node.receiverId}`,
                 clean: true,
                 reconnectPeriod: 5000
@@ -946,9 +952,9 @@ module.exports = function(RED) {
                 const registrationApiUrl = getRegistrationApiUrl();
                 const headers = node.registry.getAuthHeaders();
                 try {
-                    await axios.delete(`${registrationApiUrl}/resource/receivers/${node.receiverId}`, { headers }).catch(() => {});
-                    await axios.delete(`${registrationApiUrl}/resource/devices/${node.deviceId}`, { headers }).catch(() => {});
-                    await axios.delete(`${registrationApiUrl}/resource/nodes/${node.nodeId}`, { headers }).catch(() => {});
+                    await node.registry.http.delete(`${registrationApiUrl}/resource/receivers/${node.receiverId}`, { headers }).catch(() => {});
+                    await node.registry.http.delete(`${registrationApiUrl}/resource/devices/${node.deviceId}`, { headers }).catch(() => {});
+                    await node.registry.http.delete(`${registrationApiUrl}/resource/nodes/${node.nodeId}`, { headers }).catch(() => {});
                     node.log('✓ Unregistered from IS-04');
                 } catch (e) {
                     node.warn('Unregister error (normal on shutdown)');
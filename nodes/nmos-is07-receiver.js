@@ -6,11 +6,11 @@
 
 const mqtt = require('mqtt');
 const WebSocket = require('ws');
-const axios = require('axios');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const http = require('http');
 const url = require('url');
+const { getConnectionApi } = require('../lib/is05-server');
 
 module.exports = function(RED) {
     function NMOSIS07ReceiverNode(config) {
@@ -34,37 +34,13 @@ module.exports = function(RED) {
         node.nodeId = config.nodeId || uuidv4();
         node.deviceId = config.deviceId || uuidv4();
         node.receiverId = config.receiverId || uuidv4();
+        node.requireAuth = config.requireAuth === true;
 
         let mqttClient = null;
         let wsClients = new Map(); // Map of WebSocket connections
         let registrationComplete = false;
         let heartbeatInterval = null;
         let httpServer = null;
-        let connectionApiRoutes = [];
-
-        // Connection state for IS-05
-        const connectionState = {
-            staged: {
-                sender_id: null,
-                master_enable: true,
-                activation: {
-                    mode: null,
-                    requested_time: null,
-                    activation_time: null
-                },
-                transport_params: []
-            },
-            active: {
-                sender_id: null,
-                master_enable: true,
-                activation: {
-                    mode: null,
-                    requested_time: null,
-                    activation_time: null
-                },
-                transport_params: []
-            }
-        };
 
         // Validation
         if (!node.registry) {
@@ -73,6 +49,17 @@ module.exports = function(RED) {
             return;
         }
 
+        if (node.registry.tlsError) {
+            node.error(node.registry.tlsError.message);
+            node.status({ fill: 'red', shape: 'ring', text: 'TLS error' });
+            return;
+        }
+
+        // IS-10: validate bearer tokens on the hosted Connection API when enabled
+        const authorize = node.requireAuth
+            ? node.registry.getTokenValidator().middleware
+            : (req, res, next) => next();
+
         if ((node.transportType === 'mqtt' || node.transportType === 'both') && !node.mqttBroker) {
             node.error('No MQTT broker configured');
             node.status({ fill: 'red', shape: 'ring', text: 'no mqtt broker' });
@@ -118,7 +105,7 @@ module.exports = function(RED) {
         };
 
         const getRegistrationApiUrl = () => {
-            return `${node.registry.registryUrl}/x-nmos/registration/${node.registry.queryApiVersion}`;
+            return node.registry.getRegistrationApiUrl();
         };
 
         /**
@@ -145,7 +132,7 @@ module.exports = function(RED) {
                 version: getTAITimestamp(),
                 label: `${node.deviceLabel} Node`,
                 description: node.deviceDescription,
-                href: `http://${localIP}:${node.httpPort}/`,
+                href: `${node.registry.getApiProtocol()}://${localIP}:${node.httpPort}/`,
                 hostname: os.hostname(),
                 caps: {},
                 tags: {
@@ -156,7 +143,7 @@ module.exports = function(RED) {
                     endpoints: [{
                         host: localIP,
                         port: node.httpPort,
-                        protocol: 'http'
+                        protocol: node.registry.getApiProtocol()
                     }]
                 },
                 clocks: [{
@@ -201,10 +188,14 @@ module.exports = function(RED) {
             if (node.registry.queryApiVersion >= 'v1.1') {
                 resource.controls = [{
                     type: 'urn:x-nmos:control:sr-ctrl/v1.1',
-                    href: `http://${localIP}:${node.httpPort}/x-nmos/connection/v1.1/`
+                    href: `${node.registry.getApiProtocol()}://${localIP}:${node.httpPort}/x-nmos/connection/v1.1/`
                 }];
             }
 
+            if (node.requireAuth && node.registry.queryApiVersion >= 'v1.3') {
+                resource.controls[0].authorization = true;
+            }
+
             return resource;
         };
 
@@ -256,7 +247,7 @@ module.exports = function(RED) {
             try {
                 node.log(`Registering ${type}: ${data.id}`);
                 
-                const res = await axios.post(`${registrationApiUrl}/resource`, payload, {
+                const res = await node.registry.http.post(`${registrationApiUrl}/resource`, payload, {
                     headers,
                     timeout: 10000,
                     validateStatus: s => s < 500
@@ -331,7 +322,7 @@ module.exports = function(RED) {
                     'Content-Type': 'application/json' 
                 };
 
-                await axios.post(`${registrationApiUrl}/health/nodes/${node.nodeId}`, {}, {
+                await node.registry.http.post(`${registrationApiUrl}/health/nodes/${node.nodeId}`, {}, {
                     headers,
                     timeout: 5000
                 });
@@ -488,6 +479,7 @@ module.exports = function(RED) {
             node.log(`Subscribe pattern: ${subscribeTopic}`);
 
             mqttClient = mqtt.connect(node.mqttBroker, {
+                ...node.registry.getTlsOptions(),
                 clientId: `nmos-is07-receiver-${node.receiverId}`,
                 clean: true,
                 reconnectPeriod: 5000
@@ -529,14 +521,23 @@ module.exports = function(RED) {
         // WebSocket Transport
         // ============================================================================
 
-        function setupWebSocketClient(connectionUri) {
+        function setupWebSocketClient(connectionUri, connectionAuthorization) {
             if (node.transportType !== 'websocket' && node.transportType !== 'both') {
                 return;
             }
 
             node.log(`Connecting WebSocket: ${connectionUri}`);
 
-            const ws = new WebSocket(connectionUri);
+            // IS-10: senders advertising connection_authorization expect our bearer token
+            const wsOptions = { ...node.registry.getTlsOptions(), headers: {} };
+            if (connectionAuthorization) {
+                const authorization = node.registry.getAuthHeaders()['Authorization'];
+                if (authorization) {
+                    wsOptions.headers['Authorization'] = authorization;
+                }
+            }
+
+            const ws = new WebSocket(connectionUri, wsOptions);
             const wsKey = connectionUri;
 
             ws.on('open', () => {
@@ -551,6 +552,9 @@ module.exports = function(RED) {
 
             ws.on('error', (err) => {
                 node.error(`WebSocket error: ${err.message}`);
+                if (connectionAuthorization && /\b401\b/.test(err.message)) {
+                    node.registry.refreshAuthToken().catch(() => {});
+                }
                 updateStatus();
             });
 
@@ -563,7 +567,7 @@ module.exports = function(RED) {
                 if (connectionState.active.master_enable) {
                     setTimeout(() => {
                         if (connectionState.active.master_enable) {
-                            setupWebSocketClient(connectionUri);
+                            setupWebSocketClient(connectionUri, connectionAuthorization);
                         }
                     }, 5000);
                 }
@@ -574,118 +578,38 @@ module.exports = function(RED) {
         // IS-05 Connection API
         // ============================================================================
 
-        function setupConnectionAPI() {
-            const app = RED.httpNode || RED.httpAdmin;
-            
-            if (!app) {
-                node.warn('HTTP server not available for Connection API');
-                return;
-            }
-
-            const basePath = '/x-nmos/connection/v1.1';
-
-            // GET /
-            const route1 = app.get(`${basePath}/`, (req, res) => {
-                res.json(['single/']);
-            });
-            connectionApiRoutes.push({ method: 'get', path: `${basePath}/` });
-
-            // GET /single/
-            const route2 = app.get(`${basePath}/single/`, (req, res) => {
-                res.json(['receivers/']);
-            });
-            connectionApiRoutes.push({ method: 'get', path: `${basePath}/single/` });
-
-            // GET /single/receivers/
-            const route3 = app.get(`${basePath}/single/receivers/`, (req, res) => {
-                res.json([`${node.receiverId}/`]);
-            });
-            connectionApiRoutes.push({ method: 'get', path: `${basePath}/single/receivers/` });
-
-            // GET /single/receivers/{receiverId}/
-            const route4 = app.get(`${basePath}/single/receivers/${node.receiverId}/`, (req, res) => {
-                res.json(['constraints/', 'staged/', 'active/', 'transporttype/']);
-            });
-            connectionApiRoutes.push({ method: 'get', path: `${basePath}/single/receivers/${node.receiverId}/` });
-
-            // GET /single/receivers/{receiverId}/constraints
-            const route5 = app.get(`${basePath}/single/receivers/${node.receiverId}/constraints/`, (req, res) => {
-                res.json([]);
-            });
-            connectionApiRoutes.push({ method: 'get', path: `${basePath}/single/receivers/${node.receiverId}/constraints/` });
+        const usesMqtt = node.transportType === 'mqtt' || node.transportType === 'both';
 
-            // GET /single/receivers/{receiverId}/staged
-            const route6 = app.get(`${basePath}/single/receivers/${node.receiverId}/staged/`, (req, res) => {
-                res.json(connectionState.staged);
-            });
-            connectionApiRoutes.push({ method: 'get', path: `${basePath}/single/receivers/${node.receiverId}/staged/` });
-
-            // PATCH /single/receivers/{receiverId}/staged
-            const route7 = app.patch(`${basePath}/single/receivers/${node.receiverId}/staged/`, (req, res) => {
-                try {
-                    const patch = req.body;
-                    
-                    // Merge patch into staged
-                    if (patch.sender_id !== undefined) {
-                        connectionState.staged.sender_id = patch.sender_id;
-                    }
-                    if (patch.master_enable !== undefined) {
-                        connectionState.staged.master_enable = patch.master_enable;
-                    }
-                    if (patch.activation) {
-                        connectionState.staged.activation = {
-                            ...connectionState.staged.activation,
-                            ...patch.activation
-                        };
-                    }
-                    if (patch.transport_params) {
-                        connectionState.staged.transport_params = patch.transport_params;
-                    }
-
-                    // Handle activation
-                    const activationMode = connectionState.staged.activation.mode;
-                    
-                    if (activationMode === 'activate_immediate') {
-                        applyStaged();
-                        connectionState.staged.activation.activation_time = getTAITimestamp();
-                    } else if (activationMode === 'activate_scheduled_absolute' || 
-                               activationMode === 'activate_scheduled_relative') {
-                        // For scheduled, would need to implement timer
-                        // For now, treat as immediate
-                        applyStaged();
-                        connectionState.staged.activation.activation_time = getTAITimestamp();
-                    }
-
-                    res.status(200).json(connectionState.staged);
-                } catch (err) {
-                    node.error(`PATCH staged error: ${err.message}`);
-                    res.status(400).json({ error: err.message });
-                }
-            });
-            connectionApiRoutes.push({ method: 'patch', path: `${basePath}/single/receivers/${node.receiverId}/staged/` });
+        // One leg: the sender's connection_uri (MQTT broker or WebSocket), plus the topic for MQTT
+        const initialLeg = {
+            connection_uri: null,
+            connection_authorization: false
+        };
+        if (usesMqtt) {
+            initialLeg.broker_topic = null;
+        }
 
-            // GET /single/receivers/{receiverId}/active
-            const route8 = app.get(`${basePath}/single/receivers/${node.receiverId}/active/`, (req, res) => {
-                res.json(connectionState.active);
-            });
-            connectionApiRoutes.push({ method: 'get', path: `${basePath}/single/receivers/${node.receiverId}/active/` });
+        const receiver = getConnectionApi(RED.httpNode || RED.httpAdmin, '/x-nmos/connection/v1.1').register({
+            type: 'receivers',
+            id: node.receiverId,
+            transportType: getTransportUrn(),
+            transportParams: [initialLeg],
+            masterEnable: true,
+            interfaceIp: localIP,
+            authorize: authorize,
+            onActivate: () => applyStaged(),
+            onError: (error) => node.error(`Scheduled activation failed: ${error.message}`)
+        });
 
-            // GET /single/receivers/{receiverId}/transporttype
-            const route9 = app.get(`${basePath}/single/receivers/${node.receiverId}/transporttype/`, (req, res) => {
-                res.json(getTransportUrn());
-            });
-            connectionApiRoutes.push({ method: 'get', path: `${basePath}/single/receivers/${node.receiverId}/transporttype/` });
+        // Live { staged, active, constraints, transporttype } of the receiver
+        const connectionState = receiver.state;
 
-            node.log('✓ IS-05 Connection API endpoints registered');
-        }
+        node.log('✓ IS-05 Connection API endpoints registered');
 
         /**
-         * Apply staged configuration to active and subscribe
+         * Subscribe to the active configuration (called by the Connection API after each activation)
          */
         function applyStaged() {
-            // Copy staged to active
-            connectionState.active = JSON.parse(JSON.stringify(connectionState.staged));
-            
             // Unsubscribe from previous connections
             unsubscribeFromSource();
             
@@ -728,7 +652,7 @@ module.exports = function(RED) {
                     }
                 } else if (connUri.startsWith('ws://') || connUri.startsWith('wss://')) {
                     // WebSocket connection
-                    setupWebSocketClient(connUri);
+                    setupWebSocketClient(connUri, tp.connection_authorization === true);
                 }
             }
         }
@@ -795,20 +719,23 @@ module.exports = function(RED) {
                             throw new Error('subscribe requires sender_id and connection_uri');
                         }
                         
-                        connectionState.staged.sender_id = senderId;
-                        connectionState.staged.master_enable = true;
-                        connectionState.staged.activation.mode = 'activate_immediate';
-                        connectionState.staged.transport_params = [{
+                        const leg = {
                             connection_uri: connectionUri,
                             connection_authorization: false
-                        }];
+                        };
                         
                         if (connectionUri.startsWith('mqtt://')) {
-                            connectionState.staged.transport_params[0].broker_topic = 
-                                msg.payload.broker_topic || node.subscriptionFilter;
+                            if (!usesMqtt) {
+                                throw new Error('This receiver is not configured for MQTT');
+                            }
+                            leg.broker_topic = msg.payload.broker_topic || node.subscriptionFilter;
                         }
                         
-                        applyStaged();
+                        receiver.activate({
+                            sender_id: senderId,
+                            master_enable: true,
+                            transport_params: [leg]
+                        });
                         
                         msg.payload = { 
                             success: true, 
@@ -819,9 +746,10 @@ module.exports = function(RED) {
                         break;
 
                     case 'unsubscribe':
-                        connectionState.staged.sender_id = null;
-                        connectionState.staged.master_enable = false;
-                        applyStaged();
+                        receiver.activate({
+                            sender_id: null,
+                            master_enable: false
+                        });
                         
                         msg.payload = { success: true, action: 'unsubscribe' };
                         node.send(msg);
@@ -871,9 +799,6 @@ module.exports = function(RED) {
         // Lifecycle
         // ============================================================================
 
-        // Setup Connection API first
-        setupConnectionAPI();
-
         // Setup transports
         if (node.transportType === 'mqtt' || node.transportType === 'both') {
             setupMQTTClient();
@@ -898,14 +823,13 @@ module.exports = function(RED) {
             }
             
             // Unsubscribe
+            receiver.close();
             unsubscribeFromSource();
             
             if (mqttClient) {
                 mqttClient.end(true);
             }
             
-            // Note: HTTP routes are managed by Node-RED, cleanup handled automatically
-            
             node.log('✓ Shutdown complete');
             done();
         });
@@ -5,9 +5,10 @@
 
 const mqtt = require('mqtt');
 const WebSocket = require('ws');
-const axios = require('axios');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
+const { createWebSocketServer } = require('../lib/tls-options');
+const { getConnectionApi } = require('../lib/is05-server');
 
 module.exports = function(RED) {
     function NMOSIS07SenderNode(config) {
@@ -35,13 +36,14 @@ module.exports = function(RED) {
         node.sourceId = config.sourceId || uuidv4();
         node.flowId = config.flowId || uuidv4();
         node.senderId = config.senderId || uuidv4();
+        node.requireAuth = config.requireAuth === true;
 
         let mqttClient = null;
         let wss = null;
+        let wsServer = null;
         let wsConnections = new Set();
         let registrationComplete = false;
         let heartbeatInterval = null;
-        let httpEndpoints = [];
 
         // Validate configuration
         if (!node.registry) {
@@ -50,6 +52,22 @@ module.exports = function(RED) {
             return;
         }
 
+        if (node.registry.tlsError) {
+            node.error(node.registry.tlsError.message);
+            node.status({ fill: 'red', shape: 'ring', text: 'TLS error' });
+            return;
+        }
+
+        // BCP-003-01: URLs advertised over TLS; the WebSocket transport also needs the config node's certificate
+        const apiProtocol = node.registry.getApiProtocol();
+        const wsTls = node.registry.getTlsOptions();
+        const wsProtocol = wsTls.cert && wsTls.key ? 'wss' : 'ws';
+
+        // IS-10: validate bearer tokens on the hosted Connection API when enabled
+        const authorize = node.requireAuth
+            ? node.registry.getTokenValidator().middleware
+            : (req, res, next) => next();
+
         if ((node.transportType === 'mqtt' || node.transportType === 'both') && !node.mqttBroker) {
             node.error('No MQTT broker configured for MQTT transport');
             node.status({ fill: 'red', shape: 'ring', text: 'no mqtt broker' });
@@ -99,7 +117,7 @@ module.exports = function(RED) {
         };
 
         const getRegistrationApiUrl = () => {
-            return `${node.registry.registryUrl}/x-nmos/registration/${node.registry.queryApiVersion}`;
+            return node.registry.getRegistrationApiUrl();
         };
 
         /**
@@ -147,7 +165,7 @@ module.exports = function(RED) {
                 version: getTAITimestamp(),
                 label: `${node.deviceLabel} Node`,
                 description: node.deviceDescription,
-                href: `http://${localIP}:${node.httpPort}/`,
+                href: `${apiProtocol}://${localIP}:${node.httpPort}/`,
                 hostname: os.hostname(),
                 caps: {},
                 tags: {},
@@ -156,7 +174,7 @@ module.exports = function(RED) {
                     endpoints: [{
                         host: localIP,
                         port: node.httpPort,
-                        protocol: 'http'
+                        protocol: apiProtocol
                     }]
                 },
                 clocks: [{
@@ -198,10 +216,14 @@ module.exports = function(RED) {
             if (node.registry.queryApiVersion >= 'v1.1') {
                 resource.controls = [{
                     type: 'urn:x-nmos:control:sr-ctrl/v1.1',
-                    href: `http://${localIP}:${node.httpPort}/x-nmos/connection/v1.1/`
+                    href: `${apiProtocol}://${localIP}:${node.httpPort}/x-nmos/connection/v1.1/`
                 }];
             }
 
+            if (node.requireAuth && node.registry.queryApiVersion >= 'v1.3') {
+                resource.controls[0].authorization = true;
+            }
+
             return resource;
         };
 
@@ -251,41 +273,22 @@ module.exports = function(RED) {
         };
 
         const buildSenderResource = () => {
-    const { ip, name: ifaceName } = getNetworkInfo();
-    
-    // Set transport URN based on configuration
-    let transport;
-    if (node.transportType === 'mqtt') {
-        transport = 'urn:x-nmos:transport:mqtt';
-    } else if (node.transportType === 'websocket') {
-        transport = 'urn:x-nmos:transport:websocket';
-    } else {
-        transport = 'urn:x-nmos:transport:mqtt'; // Default for 'both'
-    }
-    
-    const resource = {
-        id: node.senderId,
-        version: getTAITimestamp(),
-        label: node.senderLabel,
-        description: `IS-07 Event Sender - ${node.senderLabel}`,
-        flow_id: node.flowId,
-        transport: transport,  // ← CRITICAL: Must be present!
-        tags: {},
-        device_id: node.deviceId,
-        manifest_href: `http://${ip}:${node.httpPort || 1880}/x-nmos/events/sources/${node.sourceId}/manifest`,
-        interface_bindings: [ifaceName],
-        subscription: {
-            receiver_id: null,
-            active: false
-        }
-    };
-    return resource;
-};
-
-            // Build manifest_href
-            resource.manifest_href = `http://${localIP}:${node.httpPort}/x-nmos/events/sources/${node.sourceId}/manifest`;
-
-            return resource;
+            return {
+                id: node.senderId,
+                version: getTAITimestamp(),
+                label: node.senderLabel,
+                description: `IS-07 Event Sender - ${node.senderLabel}`,
+                flow_id: node.flowId,
+                transport: getTransportURN(),
+                tags: {},
+                device_id: node.deviceId,
+                manifest_href: `${apiProtocol}://${localIP}:${node.httpPort}/x-nmos/events/sources/${node.sourceId}/manifest`,
+                interface_bindings: [ifaceName],
+                subscription: {
+                    receiver_id: connectionState.active.receiver_id,
+                    active: connectionState.active.master_enable
+                }
+            };
         };
 
         // ============================================================================
@@ -315,26 +318,8 @@ module.exports = function(RED) {
         // IS-05 Connection API State
         // ============================================================================
 
-        let connectionState = {
-            staged: {
-                transport_params: [],
-                activation: {
-                    mode: 'activate_immediate',
-                    requested_time: null
-                }
-            },
-            active: {
-                transport_params: [],
-                activation: {
-                    mode: null,
-                    requested_time: null
-                }
-            },
-            constraints: []
-        };
-
-        // Initialize transport parameters based on transport type
-        const initializeConnectionState = () => {
+        // Transport parameters based on transport type: one entry per transport
+        const buildTransportParams = () => {
             const params = [];
 
             if (node.transportType === 'mqtt' || node.transportType === 'both') {
@@ -347,16 +332,28 @@ module.exports = function(RED) {
 
             if (node.transportType === 'websocket' || node.transportType === 'both') {
                 params.push({
-                    connection_uri: `ws://${localIP}:${node.wsPort}${getWebSocketPath()}`,
+                    connection_uri: `${wsProtocol}://${localIP}:${node.wsPort}${getWebSocketPath()}`,
                     connection_authorization: false
                 });
             }
 
-            connectionState.staged.transport_params = params;
-            connectionState.active.transport_params = JSON.parse(JSON.stringify(params));
+            return params;
         };
 
-        initializeConnectionState();
+        const sender = getConnectionApi(RED.httpNode, '/x-nmos/connection/v1.1').register({
+            type: 'senders',
+            id: node.senderId,
+            transportType: getTransportURN(),
+            transportParams: buildTransportParams(),
+            masterEnable: true,
+            interfaceIp: localIP,
+            authorize: authorize,
+            onActivate: () => node.log('Connection activated'),
+            onError: (error) => node.error(`Scheduled activation failed: ${error.message}`)
+        });
+
+        // Live { staged, active, constraints, transporttype } of the sender
+        const connectionState = sender.state;
 
         // ============================================================================
         // IS-04 Registration
@@ -373,7 +370,7 @@ module.exports = function(RED) {
             try {
                 node.log(`Registering ${type}: ${data.id}`);
 
-                const res = await axios.post(`${registrationApiUrl}/resource`, payload, {
+                const res = await node.registry.http.post(`${registrationApiUrl}/resource`, payload, {
                     headers,
                     timeout: 10000,
                     validateStatus: s => s < 500
@@ -454,7 +451,7 @@ module.exports = function(RED) {
             try {
                 const url = `${getRegistrationApiUrl()}/health/nodes/${node.nodeId}`;
                 const headers = node.registry.getAuthHeaders();
-                const res = await axios.post(url, {}, { 
+                const res = await node.registry.http.post(url, {}, { 
                     headers, 
                     timeout: 5000, 
                     validateStatus: s => s < 500 
@@ -514,6 +511,7 @@ module.exports = function(RED) {
             node.log(`Publish topic: ${topic}`);
 
             mqttClient = mqtt.connect(node.mqttBroker, {
+                ...node.registry.getTlsOptions(),
                 clientId: `nmos-is07-sender-${node.senderId}`,
                 clean: true,
                 reconnectPeriod: 5000
@@ -576,10 +574,12 @@ module.exports = function(RED) {
             node.log(`WebSocket path: ${wsPath}`);
 
             try {
-                wss = new WebSocket.Server({ 
+                wsServer = createWebSocketServer({
                     port: node.wsPort,
-                    path: wsPath
+                    path: wsPath,
+                    tls: wsTls
                 });
+                wss = wsServer.wss;
                 
                 wss.on('listening', () => {
                     node.log(`✓ WebSocket server listening on port ${node.wsPort}`);
@@ -645,108 +645,6 @@ module.exports = function(RED) {
             return false;
         }
 
-        // ============================================================================
-        // IS-05 Connection API Endpoints
-        // ============================================================================
-
-        function setupConnectionAPI() {
-            const baseUrl = '/x-nmos/connection/v1.1';
-
-            // Root
-            httpEndpoints.push(
-                RED.httpNode.get(`${baseUrl}/`, (req, res) => {
-                    res.json(['single/']);
-                })
-            );
-
-            // Single root
-            httpEndpoints.push(
-                RED.httpNode.get(`${baseUrl}/single/`, (req, res) => {
-                    res.json(['senders/']);
-                })
-            );
-
-            // Senders list
-            httpEndpoints.push(
-                RED.httpNode.get(`${baseUrl}/single/senders/`, (req, res) => {
-                    res.json([`${node.senderId}/`]);
-                })
-            );
-
-            // Sender root
-            httpEndpoints.push(
-                RED.httpNode.get(`${baseUrl}/single/senders/${node.senderId}/`, (req, res) => {
-                    res.json([
-                        'constraints/',
-                        'staged/',
-                        'active/',
-                        'transporttype/'
-                    ]);
-                })
-            );
-
-            // GET staged
-            httpEndpoints.push(
-                RED.httpNode.get(`${baseUrl}/single/senders/${node.senderId}/staged`, (req, res) => {
-                    res.json(connectionState.staged);
-                })
-            );
-
-            // PATCH staged
-            httpEndpoints.push(
-                RED.httpNode.patch(`${baseUrl}/single/senders/${node.senderId}/staged`, (req, res) => {
-                    try {
-                        const patch = req.body;
-
-                        // Apply patch to staged state
-                        if (patch.transport_params !== undefined) {
-                            connectionState.staged.transport_params = patch.transport_params;
-                        }
-                        if (patch.activation !== undefined) {
-                            connectionState.staged.activation = {
-                                ...connectionState.staged.activation,
-                                ...patch.activation
-                            };
-                        }
-
-                        // Handle activation
-                        if (connectionState.staged.activation.mode === 'activate_immediate') {
-                            connectionState.active = JSON.parse(JSON.stringify(connectionState.staged));
-                            node.log('Connection activated immediately');
-                        }
-
-                        res.json(connectionState.staged);
-                    } catch (error) {
-                        node.error(`PATCH staged error: ${error.message}`);
-                        res.status(400).json({ error: error.message });
-                    }
-                })
-            );
-
-            // GET active
-            httpEndpoints.push(
-                RED.httpNode.get(`${baseUrl}/single/senders/${node.senderId}/active`, (req, res) => {
-                    res.json(connectionState.active);
-                })
-            );
-
-            // GET constraints
-            httpEndpoints.push(
-                RED.httpNode.get(`${baseUrl}/single/senders/${node.senderId}/constraints`, (req, res) => {
-                    res.json(connectionState.constraints);
-                })
-            );
-
-            // GET transporttype
-            httpEndpoints.push(
-                RED.httpNode.get(`${baseUrl}/single/senders/${node.senderId}/transporttype`, (req, res) => {
-                    res.json(getTransportURN());
-                })
-            );
-
-            node.log('✓ IS-05 Connection API endpoints registered');
-        }
-
         // ============================================================================
         // IS-07 Manifest Endpoint
         // ============================================================================
@@ -769,8 +667,7 @@ module.exports = function(RED) {
             });
     
             node.log(`✓ Manifest at http://localhost:${node.httpPort}${manifestPath}`);
-
-    
+        }
 
         // ============================================================================
         // Event Publishing
@@ -873,8 +770,8 @@ module.exports = function(RED) {
                         wsPath: getWebSocketPath(),
                         wsClients: wsConnections.size,
                         eventType: node.eventType,
-                        manifestUrl: `http://${localIP}:${node.httpPort}/x-nmos/events/sources/${node.sourceId}/manifest`,
-                        connectionApiUrl: `http://${localIP}:${node.httpPort}/x-nmos/connection/v1.1/`,
+                        manifestUrl: `${apiProtocol}://${localIP}:${node.httpPort}/x-nmos/events/sources/${node.sourceId}/manifest`,
+                        connectionApiUrl: `${apiProtocol}://${localIP}:${node.httpPort}/x-nmos/connection/v1.1/`,
                         registrationUrl: getRegistrationApiUrl()
                     };
                     node.send(msg);
@@ -907,8 +804,7 @@ module.exports = function(RED) {
                 setupMQTTClient();
                 setupWebSocketServer();
 
-                // Step 2: Setup HTTP endpoints
-                setupConnectionAPI();
+                // Step 2: Setup HTTP endpoints (the Connection API is served by lib/is05-server)
                 setupManifestEndpoint();
 
                 // Step 3: Register with IS-04
@@ -957,31 +853,25 @@ module.exports = function(RED) {
             wsConnections.clear();
 
             // Close WebSocket server
-            if (wss) {
-                wss.close(() => {
+            if (wsServer) {
+                wsServer.close(() => {
                     node.log('✓ WebSocket server closed');
                 });
             }
 
-            // Remove HTTP endpoints
-            httpEndpoints.forEach(endpoint => {
-                try {
-                    RED.httpNode._router.stack = RED.httpNode._router.stack.filter(r => r.route !== endpoint);
-                } catch (e) {
-                    // Ignore
-                }
-            });
+            // Stop serving the sender on the Connection API
+            sender.close();
 
             // Unregister IS-04 resources
             (async () => {
                 const registrationApiUrl = getRegistrationApiUrl();
                 const headers = node.registry.getAuthHeaders();
                 try {
-                    await axios.delete(`${registrationApiUrl}/resource/senders/${node.senderId}`, { headers }).catch(() => {});
-                    await axios.delete(`${registrationApiUrl}/resource/flows/${node.flowId}`, { headers }).catch(() => {});
-                    await axios.delete(`${registrationApiUrl}/resource/sources/${node.sourceId}`, { headers }).catch(() => {});
-                    await axios.delete(`${registrationApiUrl}/resource/devices/${node.deviceId}`, { headers }).catch(() => {});
-                    await axios.delete(`${registrationApiUrl}/resource/nodes/${node.nodeId}`, { headers }).catch(() => {});
+                    await node.registry.http.delete(`${registrationApiUrl}/resource/senders/${node.senderId}`, { headers }).catch(() => {});
+                    await node.registry.http.delete(`${registrationApiUrl}/resource/flows/${node.flowId}`, { headers }).catch(() => {});
+                    await node.registry.http.delete(`${registrationApiUrl}/resource/sources/${node.sourceId}`, { headers }).catch(() => {});
+                    await node.registry.http.delete(`${registrationApiUrl}/resource/devices/${node.deviceId}`, { headers }).catch(() => {});
+                    await node.registry.http.delete(`${registrationApiUrl}/resource/nodes/${node.nodeId}`, { headers }).catch(() => {});
                     node.log('✓ Unregistered from IS-04');
                 } catch (e) {
                     node.warn('Unregister error (normal on shutdown)');
@@ -0,0 +1,260 @@
+const { createNcpClient } = require('../lib/ncp-client');
+
+const NCP_CONTROL_TYPE = 'urn:x-nmos:control:ncp';
+
+// 75000 -> '1m 15s'
+const formatDuration = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    return seconds % 60 ? `${minutes}m ${seconds % 60}s` : `${minutes}m`;
+};
+
+// "root/a, root/b" or ["root/a", "root/b"] -> ["root/a", "root/b"]
+const parsePaths = (paths) => (Array.isArray(paths) ? paths : String(paths || '').split(','))
+    .map(path => String(path).trim())
+    .filter(Boolean);
+
+module.exports = function(RED) {
+    function NMOSIS12ClientNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        this.registry = RED.nodes.getNode(config.registry);
+        this.deviceId = config.deviceId || '';
+        this.href = config.href || '';
+        this.timeout = parseInt(config.timeout) || 5000;
+        this.subscriptions = config.subscriptions !== undefined ? config.subscriptions : '*';
+
+        if (!this.registry) {
+            node.error("No NMOS registry configured");
+            node.status({fill: "red", shape: "ring", text: "no config"});
+            return;
+        }
+
+        if (node.registry.tlsError) {
+            node.error(node.registry.tlsError.message);
+            node.status({fill: "red", shape: "ring", text: "TLS error"});
+            return;
+        }
+
+        let client = null;
+
+        // NCP href of the device from the Query API, unless one is configured
+        const resolveUrl = async () => {
+            if (node.href) {
+                return node.href;
+            }
+            if (!node.deviceId) {
+                throw new Error('No device ID or NCP href configured');
+            }
+
+            const response = await node.registry.query({
+                path: `/devices/${node.deviceId}`
+            });
+            const controls = response.data.controls || [];
+            const control = controls.find(c => c.type && c.type.startsWith(NCP_CONTROL_TYPE));
+            if (!control || !control.href) {
+                throw new Error(`Device ${node.deviceId} has no ${NCP_CONTROL_TYPE} control`);
+            }
+            return control.href;
+        };
+
+        const getWsOptions = () => {
+            const wsOptions = {
+                ...node.registry.getTlsOptions(),
+                headers: {}
+            };
+
+            // Same credentials as REST calls (IS-10 token, static token or basic auth)
+            const authorization = node.registry.getAuthHeaders()['Authorization'];
+            if (authorization) {
+                wsOptions.headers['Authorization'] = authorization;
+            }
+            return wsOptions;
+        };
+
+        const sendEvent = (topic, payload) => {
+            node.send([null, {
+                topic: topic,
+                payload: {
+                    ...payload,
+                    deviceId: node.deviceId || null,
+                    timestamp: new Date().toISOString()
+                }
+            }]);
+        };
+
+        const onNotification = (notification) => {
+            const eventData = notification.eventData || {};
+            sendEvent('is12/property_changed', {
+                event: 'property_changed',
+                oid: notification.oid,
+                rolePath: notification.object ? notification.object.rolePath : null,
+                property: notification.property ? notification.property.name : null,
+                propertyId: eventData.propertyId,
+                changeType: eventData.changeType,
+                value: eventData.value,
+                sequenceItemIndex: eventData.sequenceItemIndex !== undefined ? eventData.sequenceItemIndex : null
+            });
+        };
+
+        const onConnectionChange = (change) => {
+            switch (change.state) {
+                case 'connected':
+                    node.log(`Connected to ${change.url} (${change.objects} objects)`);
+                    node.status({fill: "green", shape: "dot", text: `connected (${change.objects} objects)`});
+                    sendEvent('is12/connection', { event: 'connected', url: change.url, objects: change.objects });
+                    break;
+                case 'disconnected':
+                    node.warn(`Connection to ${change.url} lost: ${change.reason}`);
+                    sendEvent('is12/connection', { event: 'connection_lost', url: change.url, reason: change.reason });
+                    break;
+                case 'reconnecting':
+                    node.status({fill: "yellow", shape: "ring", text: `reconnecting in ${formatDuration(change.retryIn)}`});
+                    break;
+            }
+        };
+
+        const onError = (error) => {
+            node.warn(`IS-12: ${error.message}`);
+
+            // Handshake rejected with 401: fetch a fresh IS-10 token before reconnecting
+            if (/\b401\b/.test(error.message) && node.registry.refreshAuthToken) {
+                node.registry.refreshAuthToken().catch(() => {});
+            }
+        };
+
+        const startClient = () => {
+            client = createNcpClient({
+                getUrl: resolveUrl,
+                getWsOptions,
+                timeout: node.timeout,
+                onNotification,
+                onConnectionChange,
+                onError,
+                log: (message) => node.log(message)
+            });
+            client.subscribe(parsePaths(node.subscriptions));
+            node.status({fill: "yellow", shape: "ring", text: "connecting..."});
+            client.start();
+        };
+
+        if (node.deviceId || node.href) {
+            startClient();
+        } else {
+            node.status({fill: "grey", shape: "ring", text: "no device"});
+        }
+
+        // Result of get / set / invoke as the message payload
+        const describeResult = (action, result) => ({
+            success: true,
+            action: action,
+            path: result.object.rolePath,
+            oid: result.object.oid,
+            className: result.object.className,
+            ...(result.property ? { property: result.property.name, propertyId: result.property.id } : {}),
+            ...(result.method ? { method: result.method.name, methodId: result.method.id } : {}),
+            value: result.value
+        });
+
+        node.on('input', async function(msg) {
+            if (!msg.payload || !msg.payload.action) return;
+            const { action, path, property, value } = msg.payload;
+
+            try {
+                switch (action) {
+                    case 'connect':
+                        if (msg.payload.deviceId !== undefined || msg.payload.href !== undefined) {
+                            node.deviceId = msg.payload.deviceId || '';
+                            node.href = msg.payload.href || '';
+                        }
+                        if (client) {
+                            client.stop();
+                        }
+                        startClient();
+                        return;
+
+                    case 'disconnect':
+                        if (client) {
+                            client.stop();
+                            client = null;
+                        }
+                        node.status({fill: "grey", shape: "ring", text: "disconnected"});
+                        return;
+
+                    case 'get_state':
+                        msg.payload = {
+                            deviceId: node.deviceId || null,
+                            ...(client ? client.getState() : { connected: false })
+                        };
+                        node.send([msg, null]);
+                        return;
+                }
+
+                if (!client) {
+                    throw new Error('Not connected to a device');
+                }
+
+                switch (action) {
+                    case 'get':
+                        msg.payload = describeResult(action, await client.get(path, property));
+                        break;
+
+                    case 'set':
+                        msg.payload = describeResult(action, await client.set(path, property, value));
+                        break;
+
+                    case 'invoke':
+                        msg.payload = describeResult(action, await client.invoke(path, msg.payload.method, msg.payload.arguments));
+                        break;
+
+                    case 'subscribe':
+                        client.subscribe(parsePaths(msg.payload.paths || path));
+                        msg.payload = { success: true, action: action, subscriptions: client.getState().subscriptions };
+                        break;
+
+                    case 'unsubscribe':
+                        client.unsubscribe(parsePaths(msg.payload.paths || path));
+                        msg.payload = { success: true, action: action, subscriptions: client.getState().subscriptions };
+                        break;
+
+                    case 'browse':
+                        msg.payload = {
+                            success: true,
+                            action: action,
+                            objects: msg.payload.refresh ? await client.refresh() : client.getObjects()
+                        };
+                        break;
+
+                    default:
+                        node.warn(`Unknown action: ${action}`);
+                        return;
+                }
+                node.send([msg, null]);
+            } catch (error) {
+                const errorMsg = `${action}${path ? ` ${path}` : ''} failed: ${error.message}`;
+                msg.payload = {
+                    success: false,
+                    action: action,
+                    path: path,
+                    status: error.status || null,
+                    error: error.message
+                };
+                node.error(errorMsg, msg);
+                node.send([msg, null]);
+            }
+        });
+
+        node.on('close', function(done) {
+            if (client) {
+                client.stop();
+                client = null;
+            }
+            node.status({});
+            done();
+        });
+    }
+
+    RED.nodes.registerType("nmos-is12-client", NMOSIS12ClientNode);
+};
@@ -1,7 +1,71 @@
 const WebSocket = require('ws');
-const axios = require('axios');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
+const { createWebSocketServer } = require('../lib/tls-options');
+const { STATUS } = require('../lib/ms05-model');
+const { createModelFromDefinition } = require('../lib/ms05-definition');
+
+// IS-12 message types
+const MESSAGE_TYPE = {
+    command: 0,
+    commandResponse: 1,
+    notification: 2,
+    subscription: 3,
+    subscriptionResponse: 4,
+    error: 5
+};
+
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+// How often bound context keys are checked for changes made by the flow
+const CONTEXT_POLL_INTERVAL = 500;
+
+const CONTEXT_KEY_PATTERN = /^(flow|global)\.(.+)$/;
+
+// Built-in model, used when the node has no model definition
+const DEFAULT_MODEL = {
+    classes: [
+        {
+            classId: [1, 2, 0, 1],
+            name: 'GainControl',
+            description: 'Gain control',
+            properties: [{ name: 'gain', type: 'NcFloat32', description: 'Gain in dB', min: -60, max: 12, default: 0 }]
+        },
+        {
+            classId: [1, 2, 0, 2],
+            name: 'MuteControl',
+            description: 'Mute switch',
+            properties: [{ name: 'mute', type: 'bool', description: 'Muted' }]
+        },
+        {
+            classId: [1, 2, 0, 3],
+            name: 'LevelMeter',
+            description: 'Level meter',
+            properties: [{ name: 'level', type: 'NcFloat32', description: 'Level in dBFS', readOnly: true, min: -144, max: 0, default: -20 }]
+        }
+    ],
+    members: [
+        { role: 'gain', class: 'GainControl', description: 'Gain control' },
+        { role: 'mute', class: 'MuteControl', description: 'Mute control' },
+        { role: 'level', class: 'LevelMeter', description: 'Level meter' }
+    ]
+};
+
+// Property bindings (editor JSON text or array): [{path, property, context, topic, confirm}]
+const parseBindings = (definition) => {
+    let specs = definition || [];
+    if (typeof specs === 'string') {
+        try {
+            specs = JSON.parse(specs);
+        } catch (error) {
+            throw new Error(`Bindings are not valid JSON: ${error.message}`);
+        }
+    }
+    if (!Array.isArray(specs)) {
+        throw new Error('Bindings must be an array');
+    }
+    return specs;
+};
 
 module.exports = function(RED) {
     function NMOSIS12ControlNode(config) {
@@ -15,9 +79,15 @@ module.exports = function(RED) {
         this.deviceId = config.deviceId || uuidv4();
         this.nodeId = config.nodeId || uuidv4();
         this.controlType = config.controlType || 'generic';
+        this.modelDefinition = config.model && config.model.trim() ? config.model : null;
+        this.methodTimeout = parseInt(config.methodTimeout) || 5000;
+        this.bindingsDefinition = config.bindings && config.bindings.trim() ? config.bindings : null;
         
         let wss = null;
+        let wsServer = null;
         let wsConnections = new Set();
+        // Subscribed oids per connection
+        const wsSubscriptions = new Map();
         let registrationComplete = false;
         let heartbeatInterval = null;
         
@@ -26,6 +96,12 @@ module.exports = function(RED) {
             node.status({fill: "red", shape: "ring", text: "no config"});
             return;
         }
+
+        if (node.registry.tlsError) {
+            node.error(node.registry.tlsError.message);
+            node.status({fill: "red", shape: "ring", text: "TLS error"});
+            return;
+        }
         
         if (!this.wsPort) {
             node.error("No WebSocket port configured");
@@ -33,42 +109,6 @@ module.exports = function(RED) {
             return;
         }
         
-        let controlModel = {
-            root: {
-                classId: [1, 1],
-                oid: 1,
-                role: 'root',
-                description: 'Root block',
-                members: [2, 3, 4]
-            },
-            workers: {
-                gain: {
-                    classId: [1, 2, 1],
-                    oid: 2,
-                    role: 'gain',
-                    description: 'Gain control',
-                    value: 0.0,
-                    minValue: -60.0,
-                    maxValue: 12.0
-                },
-                mute: {
-                    classId: [1, 2, 2],
-                    oid: 3,
-                    role: 'mute',
-                    description: 'Mute control',
-                    value: false
-                },
-                level: {
-                    classId: [1, 2, 3],
-                    oid: 4,
-                    role: 'level',
-                    description: 'Level meter',
-                    value: -20.0,
-                    readOnly: true
-                }
-            }
-        };
-        
         const getNetworkInfo = () => {
             const interfaces = os.networkInterfaces();
             let ip = '127.0.0.1';
@@ -90,10 +130,301 @@ module.exports = function(RED) {
         
         const networkInfo = getNetworkInfo();
         const localIP = networkInfo.ip;
+        
+        // BCP-003-01: URLs advertised over TLS; the NCP WebSocket also needs the config node's certificate
+        const apiProtocol = node.registry.getApiProtocol();
+        const wsTls = node.registry.getTlsOptions();
+        const wsProtocol = wsTls.cert && wsTls.key ? 'wss' : 'ws';
         const localMAC = networkInfo.mac;
         const ifaceName = networkInfo.ifaceName;
         
-
+        // Property changes made by the flow (set_property, bound topics and context keys) are not echoed on the output
+        let localChange = false;
+        
+        const setLocal = (object, property, value) => {
+            localChange = true;
+            try {
+                controlModel.setProperty(object, property, value);
+            } finally {
+                localChange = false;
+            }
+        };
+        
+        // Bindings of the current model's properties to context keys, input topics and set confirmation
+        let bindings = [];
+        
+        const findBinding = (object, propertyId) => bindings.find(binding => binding.object === object &&
+            binding.descriptor.id.level === propertyId.level &&
+            binding.descriptor.id.index === propertyId.index) || null;
+        
+        const contextStore = (binding) => node.context()[binding.context.scope];
+        
+        const writeContext = (binding, value) => {
+            binding.synced = JSON.stringify(value);
+            contextStore(binding).set(binding.context.key, value);
+        };
+        
+        const onPropertyChanged = (object, eventData) => {
+            const descriptor = controlModel.getPropertyDescriptor(object, eventData.propertyId);
+            const binding = findBinding(object, eventData.propertyId);
+            sendNotification(object.oid, eventData);
+            
+            // The whole value, also for sequence item changes
+            if (binding && binding.context) {
+                writeContext(binding, controlModel.getProperty(object, descriptor.id));
+            }
+            
+            if (!localChange) {
+                node.send({
+                    payload: {
+                        event: 'property_changed',
+                        oid: object.oid,
+                        role: object.role,
+                        rolePath: controlModel.rolePath(object).join('/'),
+                        property: descriptor.name,
+                        propertyId: eventData.propertyId,
+                        changeType: eventData.changeType,
+                        value: eventData.value,
+                        sequenceItemIndex: eventData.sequenceItemIndex
+                    },
+                    topic: binding && binding.topic ? binding.topic : 'is12/control'
+                });
+            }
+        };
+        
+        // Custom methods are implemented by the flow: the invocation goes out on the output and
+        // the flow answers with a method_result message carrying the same invocationId
+        const pendingInvocations = new Map();
+        
+        const invokeFromFlow = (object, descriptor, args) => new Promise((resolve) => {
+            const invocationId = uuidv4();
+            const timer = setTimeout(() => {
+                pendingInvocations.delete(invocationId);
+                resolve({
+                    status: STATUS.timeout,
+                    errorMessage: `${descriptor.name} was not answered within ${node.methodTimeout} ms`
+                });
+            }, node.methodTimeout);
+            pendingInvocations.set(invocationId, { resolve, timer });
+            
+            node.send({
+                payload: {
+                    event: 'method_invoked',
+                    invocationId: invocationId,
+                    oid: object.oid,
+                    role: object.role,
+                    rolePath: controlModel.rolePath(object).join('/'),
+                    method: descriptor.name,
+                    methodId: descriptor.id,
+                    arguments: args
+                },
+                invocationId: invocationId,
+                topic: 'is12/method'
+            });
+        });
+        
+        // Controller changes (Set and the sequence item methods) of properties bound with confirm
+        // wait for the flow's confirm_set answer; value is the whole property value after the change
+        const pendingSets = new Map();
+        
+        const confirmFromFlow = (object, descriptor, value) => {
+            const binding = findBinding(object, descriptor.id);
+            if (!binding || !binding.confirm) return null;
+            
+            return new Promise((resolve) => {
+                const confirmationId = uuidv4();
+                const timer = setTimeout(() => {
+                    pendingSets.delete(confirmationId);
+                    resolve({
+                        status: STATUS.timeout,
+                        errorMessage: `Set of ${descriptor.name} was not confirmed within ${node.methodTimeout} ms`
+                    });
+                }, node.methodTimeout);
+                pendingSets.set(confirmationId, { resolve, timer, descriptor });
+                
+                node.send({
+                    payload: {
+                        event: 'set_requested',
+                        confirmationId: confirmationId,
+                        oid: object.oid,
+                        role: object.role,
+                        rolePath: binding.rolePath,
+                        property: descriptor.name,
+                        propertyId: descriptor.id,
+                        value: value,
+                        currentValue: controlModel.getProperty(object, descriptor.id)
+                    },
+                    confirmationId: confirmationId,
+                    topic: 'is12/set'
+                });
+            });
+        };
+        
+        const cancelInvocations = (reason) => {
+            [pendingInvocations, pendingSets].forEach(pending => {
+                pending.forEach(({ resolve, timer }) => {
+                    clearTimeout(timer);
+                    resolve({ status: STATUS.deviceError, errorMessage: reason });
+                });
+                pending.clear();
+            });
+        };
+        
+        // Object by role path ("root/gain") or, failing that, by role anywhere in the tree
+        const findObject = (role, model = controlModel) => {
+            if (typeof role !== 'string' || !role) return null;
+            return model.findByRolePath(role) ||
+                model.getObjects().find(object => object.role === role) ||
+                null;
+        };
+        
+        // Default property of a worker: the first one its own class declares
+        const defaultProperty = (object, model = controlModel) => {
+            const descriptor = model.getClass(object.classId);
+            return descriptor.properties.length > 0 ? descriptor.properties[0].name : null;
+        };
+        
+        /**
+         * Resolve binding specs against a model; throws naming the offending binding.
+         */
+        const resolveBindings = (model, specs) => specs.map((spec, i) => {
+            const path = `bindings[${i}]`;
+            if (!spec || typeof spec !== 'object') {
+                throw new Error(`${path}: binding must be an object`);
+            }
+            const object = findObject(spec.path, model);
+            if (!object) {
+                throw new Error(`${path}: no object at ${spec.path}`);
+            }
+            let descriptor;
+            try {
+                descriptor = model.getPropertyDescriptor(object, spec.property || defaultProperty(object, model));
+            } catch (error) {
+                throw new Error(`${path}: ${error.message}`);
+            }
+            
+            let context = null;
+            if (spec.context !== undefined) {
+                const match = CONTEXT_KEY_PATTERN.exec(spec.context);
+                if (!match) {
+                    throw new Error(`${path}: context must be "flow.<key>" or "global.<key>"`);
+                }
+                context = { scope: match[1], key: match[2] };
+            }
+            if (spec.topic !== undefined && (typeof spec.topic !== 'string' || !spec.topic)) {
+                throw new Error(`${path}: topic must be a non-empty string`);
+            }
+            if (!context && !spec.topic && spec.confirm !== true) {
+                throw new Error(`${path}: binding needs a context key, a topic or confirm`);
+            }
+            
+            return {
+                object,
+                descriptor,
+                rolePath: model.rolePath(object).join('/'),
+                context,
+                topic: spec.topic || null,
+                confirm: spec.confirm === true,
+                // JSON of the value last exchanged with the context
+                synced: undefined
+            };
+        });
+        
+        // Context values changed by the flow are applied as local changes; an unset key takes the property value
+        const syncContext = () => {
+            bindings.filter(binding => binding.context).forEach(binding => {
+                const value = contextStore(binding).get(binding.context.key);
+                if (value === undefined) {
+                    writeContext(binding, controlModel.getProperty(binding.object, binding.descriptor.id));
+                    return;
+                }
+                const text = JSON.stringify(value);
+                if (text === binding.synced) return;
+                binding.synced = text;
+                
+                try {
+                    setLocal(binding.object, binding.descriptor.id, value);
+                } catch (error) {
+                    node.warn(`${binding.context.scope}.${binding.context.key} -> ${binding.rolePath} ${binding.descriptor.name}: ${error.message}`);
+                    writeContext(binding, controlModel.getProperty(binding.object, binding.descriptor.id));
+                }
+            });
+        };
+        
+        const describeBinding = (binding) => ({
+            path: binding.rolePath,
+            property: binding.descriptor.name,
+            context: binding.context ? `${binding.context.scope}.${binding.context.key}` : null,
+            topic: binding.topic,
+            confirm: binding.confirm
+        });
+        
+        /**
+         * Build the device model from a definition (object or JSON text); throws with the
+         * offending part of the definition named.
+         */
+        const buildControlModel = (definition) => {
+            const { model, methods } = createModelFromDefinition(definition, {
+                deviceManager: {
+                    manufacturer: { name: 'Node-RED NMOS', organizationId: null, website: null },
+                    product: {
+                        name: 'Node-RED IS-12 Device',
+                        key: node.controlType,
+                        revisionLevel: '1.0',
+                        brandName: null,
+                        uuid: null,
+                        description: node.deviceDescription
+                    },
+                    serialNumber: node.deviceId,
+                    deviceName: node.deviceLabel
+                },
+                onPropertyChanged,
+                beforeSet: confirmFromFlow
+            });
+            
+            methods.forEach(({ object, descriptor }) => {
+                model.setMethodHandler(object, descriptor.id, (target, args) => invokeFromFlow(target, descriptor, args));
+            });
+            return model;
+        };
+        
+        let controlModel = null;
+        try {
+            controlModel = buildControlModel(node.modelDefinition || DEFAULT_MODEL);
+        } catch (error) {
+            node.error(`Invalid control model: ${error.message}`);
+            node.status({fill: "red", shape: "ring", text: "invalid model"});
+            return;
+        }
+        
+        let bindingSpecs = [];
+        try {
+            bindingSpecs = parseBindings(node.bindingsDefinition);
+            bindings = resolveBindings(controlModel, bindingSpecs);
+        } catch (error) {
+            node.error(`Invalid property bindings: ${error.message}`);
+            node.status({fill: "red", shape: "ring", text: "invalid bindings"});
+            return;
+        }
+        // Controllers browse the model when they connect, so they are disconnected to pick up a new one.
+        // The configured bindings must resolve in the new model as well.
+        const loadModel = (definition) => {
+            const model = buildControlModel(definition);
+            const modelBindings = resolveBindings(model, bindingSpecs);
+            cancelInvocations('Device model replaced');
+            controlModel = model;
+            bindings = modelBindings;
+            syncContext();
+            node.log(`✓ Control model loaded (${model.getObjects().length} objects)`);
+            
+            wsConnections.forEach(ws => {
+                try {
+                    ws.close(1012, 'Device model changed');
+                } catch (e) {
+                    // Ignore close errors
+                }
+            });
+        };
         
         const getTAITimestamp = () => {
             const now = Date.now() / 1000;
@@ -103,7 +434,7 @@ module.exports = function(RED) {
         };
         
         const getRegistrationApiUrl = () => {
-            return `${node.registry.registryUrl}/x-nmos/registration/${node.registry.queryApiVersion}`;
+            return node.registry.getRegistrationApiUrl();
         };
         
         const buildNodeResource = () => {
@@ -113,14 +444,14 @@ module.exports = function(RED) {
                 label: `${node.deviceLabel} Node`,
                 description: 'IS-12 Control Node',
                 tags: {},
-                href: `http://${localIP}:1880/`,
+                href: `${apiProtocol}://${localIP}:1880/`,
                 hostname: os.hostname(),
                 api: {
                     versions: [node.registry.queryApiVersion],
                     endpoints: [{
                         host: localIP,
                         port: 1880,
-                        protocol: 'http'
+                        protocol: apiProtocol
                     }]
                 },
                 caps: {},
@@ -154,7 +485,7 @@ module.exports = function(RED) {
                 receivers: [],
                 controls: [{
                     type: 'urn:x-nmos:control:ncp/v1.0',
-                    href: `ws://${localIP}:${node.wsPort}/x-nmos/ncp/v1.0`
+                    href: `${wsProtocol}://${localIP}:${node.wsPort}/x-nmos/ncp/v1.0`
                 }]
             };
         };
@@ -172,7 +503,7 @@ module.exports = function(RED) {
                 node.log('Registering IS-12 Device');
                 
                 const nodePayload = { type: 'node', data: buildNodeResource() };
-                const nodeResp = await axios.post(
+                const nodeResp = await node.registry.http.post(
                     `${registrationApiUrl}/resource`,
                     nodePayload,
                     { headers, timeout: 10000, validateStatus: s => s < 500 }
@@ -186,7 +517,7 @@ module.exports = function(RED) {
                 await new Promise(resolve => setTimeout(resolve, 300));
                 
                 const devicePayload = { type: 'device', data: buildDeviceResource() };
-                const deviceResp = await axios.post(
+                const deviceResp = await node.registry.http.post(
                     `${registrationApiUrl}/resource`,
                     devicePayload,
                     { headers, timeout: 10000, validateStatus: s => s < 500 }
@@ -215,7 +546,7 @@ module.exports = function(RED) {
                 const registrationApiUrl = getRegistrationApiUrl();
                 const headers = node.registry.getAuthHeaders();
                 
-                const response = await axios.post(
+                const response = await node.registry.http.post(
                     `${registrationApiUrl}/health/nodes/${node.nodeId}`,
                     {},
                     { headers, timeout: 5000, validateStatus: s => s < 500 }
@@ -237,10 +568,12 @@ module.exports = function(RED) {
             node.log(`Starting WebSocket server on port ${node.wsPort}`);
             
             try {
-                wss = new WebSocket.Server({ 
+                wsServer = createWebSocketServer({
                     port: node.wsPort,
-                    path: '/x-nmos/ncp/v1.0'
+                    path: '/x-nmos/ncp/v1.0',
+                    tls: wsTls
                 });
+                wss = wsServer.wss;
                 
                 wss.on('listening', () => {
                     node.log(`✓ WebSocket server listening on port ${node.wsPort}`);
@@ -253,33 +586,11 @@ module.exports = function(RED) {
                     wsConnections.add(ws);
                     node.log('✓ WebSocket client connected');
                     
-                    ws.on('message', (data) => {
-                        try {
-                            // Validate message size (max 1MB)
-                            if (data.length > 1024 * 1024) {
-                                node.error('WebSocket message too large');
-                                ws.close(1009, 'Message too large');
-                                return;
-                            }
-                            
-                            const command = JSON.parse(data.toString());
-                            
-                            // Validate command structure
-                            if (!command.messageType || !command.commands) {
-                                node.error('Invalid command structure');
-                                return;
-                            }
-                            
-                            node.log(`◄ Command received`);
-                            const response = handleIS12Command(command);
-                            ws.send(JSON.stringify(response));
-                        } catch (error) {
-                            node.error(`WebSocket message error: ${error.message}`);
-                        }
-                    });
+                    ws.on('message', (data) => handleMessage(ws, data));
                     
                     ws.on('close', () => {
                         wsConnections.delete(ws);
+                        wsSubscriptions.delete(ws);
                         node.log('WebSocket client disconnected');
                     });
                     
@@ -303,127 +614,132 @@ module.exports = function(RED) {
             }
         };
         
-        const handleIS12Command = (command) => {
-            const response = {
-                messageType: 1,
-                responses: []
-            };
-            
-            if (command.commands && Array.isArray(command.commands)) {
-                for (const cmd of command.commands) {
-                    try {
-                        const result = processCommand(cmd);
-                        response.responses.push({
-                            handle: cmd.handle,
-                            result: result
-                        });
-                    } catch (error) {
-                        response.responses.push({
-                            handle: cmd.handle,
-                            result: {
-                                status: 8,
-                                errorMessage: error.message
-                            }
-                        });
-                    }
-                }
+        const sendMessage = (ws, message) => {
+            if (ws.readyState !== WebSocket.OPEN) return;
+            try {
+                ws.send(JSON.stringify(message));
+            } catch (error) {
+                node.warn(`Failed to send to client: ${error.message}`);
             }
+        };
+        
+        // Problems that cannot be answered per command get an IS-12 Error message
+        const sendError = (ws, status, errorMessage) => {
+            node.warn(`IS-12 protocol error: ${errorMessage}`);
+            sendMessage(ws, {
+                messageType: MESSAGE_TYPE.error,
+                status,
+                errorMessage
+            });
+        };
+        
+        const isValidHandle = (cmd) => cmd !== null && typeof cmd === 'object' &&
+            Number.isInteger(cmd.handle) && cmd.handle >= 1 && cmd.handle <= 65535;
+        
+        const commandProblem = (cmd) => {
+            if (!Number.isInteger(cmd.oid)) {
+                return 'oid must be an integer';
+            }
+            if (!cmd.methodId || !Number.isInteger(cmd.methodId.level) || !Number.isInteger(cmd.methodId.index)) {
+                return 'methodId must be {level, index}';
+            }
+            if (cmd.arguments !== undefined && (cmd.arguments === null || typeof cmd.arguments !== 'object' || Array.isArray(cmd.arguments))) {
+                return 'arguments must be an object';
+            }
+            return null;
+        };
+        
+        const handleIS12Command = async (command) => {
+            const responses = await Promise.all(command.commands.map(async (cmd) => {
+                const problem = commandProblem(cmd);
+                return {
+                    handle: cmd.handle,
+                    result: problem
+                        ? { status: STATUS.badCommandFormat, errorMessage: problem }
+                        : await controlModel.invoke(cmd.oid, cmd.methodId, cmd.arguments)
+                };
+            }));
             
-            node.log(`► Response prepared`);
-            return response;
+            return {
+                messageType: MESSAGE_TYPE.commandResponse,
+                responses
+            };
         };
         
-        const processCommand = (cmd) => {
-            const { oid, methodId, arguments: args } = cmd;
+        // A Subscription message replaces the connection's subscriptions; unknown oids are left out
+        const handleSubscription = (ws, message) => {
+            const oids = new Set(message.subscriptions.filter(oid => Number.isInteger(oid) && controlModel.getObject(oid)));
+            wsSubscriptions.set(ws, oids);
+            node.log(`◄ Subscription to ${oids.size} object(s)`);
             
-            let worker = null;
-            for (const key in controlModel.workers) {
-                if (controlModel.workers[key].oid === oid) {
-                    worker = controlModel.workers[key];
-                    break;
-                }
+            sendMessage(ws, {
+                messageType: MESSAGE_TYPE.subscriptionResponse,
+                subscriptions: [...oids]
+            });
+        };
+        
+        const handleMessage = (ws, data) => {
+            if (data.length > MAX_MESSAGE_BYTES) {
+                sendError(ws, STATUS.bufferOverflow, `Message exceeds ${MAX_MESSAGE_BYTES} bytes`);
+                return;
             }
             
-            if (!worker && oid !== 1) {
-                throw new Error(`Object ${oid} not found`);
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                sendError(ws, STATUS.badCommandFormat, `Message is not valid JSON: ${error.message}`);
+                return;
             }
-            
-            if (oid === 1) {
-                return {
-                    status: 0,
-                    value: controlModel.root
-                };
+            if (!message || typeof message !== 'object' || Array.isArray(message)) {
+                sendError(ws, STATUS.badCommandFormat, 'Message must be a JSON object');
+                return;
             }
             
-            if (methodId.level === 3 && methodId.index === 1) {
-                return {
-                    status: 0,
-                    value: worker.value
-                };
-            } else if (methodId.level === 3 && methodId.index === 2) {
-                if (worker.readOnly) {
-                    throw new Error('Property is read-only');
-                }
-                
-                const newValue = args.value;
-                
-                if (typeof newValue === 'number' && worker.minValue !== undefined) {
-                    if (newValue < worker.minValue || newValue > worker.maxValue) {
-                        throw new Error(`Value out of range`);
+            switch (message.messageType) {
+                case MESSAGE_TYPE.command:
+                    if (!Array.isArray(message.commands)) {
+                        sendError(ws, STATUS.badCommandFormat, 'Command message without a commands array');
+                        return;
                     }
-                }
-                
-                worker.value = newValue;
-                node.log(`✓ Set ${worker.role} = ${newValue}`);
-                
-                node.send({
-                    payload: {
-                        event: 'property_changed',
-                        oid: oid,
-                        role: worker.role,
-                        value: newValue
-                    },
-                    topic: 'is12/control'
-                });
-                
-                sendNotification(oid, worker.role, newValue);
-                
-                return {
-                    status: 0,
-                    value: newValue
-                };
+                    if (!message.commands.every(isValidHandle)) {
+                        sendError(ws, STATUS.badCommandFormat, 'Every command needs a handle (integer from 1 to 65535)');
+                        return;
+                    }
+                    node.log(`◄ Command received`);
+                    handleIS12Command(message).then(response => sendMessage(ws, response));
+                    return;
+                    
+                case MESSAGE_TYPE.subscription:
+                    if (!Array.isArray(message.subscriptions)) {
+                        sendError(ws, STATUS.badCommandFormat, 'Subscription message without a subscriptions array');
+                        return;
+                    }
+                    handleSubscription(ws, message);
+                    return;
+                    
+                default:
+                    sendError(ws, STATUS.badCommandFormat,
+                        `messageType ${JSON.stringify(message.messageType)} is not accepted by a device (Command 0 or Subscription 3)`);
             }
-            
-            throw new Error(`Method not supported`);
         };
         
-        const sendNotification = (oid, propertyName, value) => {
-            if (wsConnections.size === 0) return;
-            
+        // Notifications go only to the connections subscribed to the object
+        const sendNotification = (oid, eventData) => {
             const notification = {
-                messageType: 2,
+                messageType: MESSAGE_TYPE.notification,
                 notifications: [{
                     oid: oid,
                     eventId: { level: 1, index: 1 },
-                    eventData: {
-                        propertyId: { level: 2, index: 1 },
-                        changeType: 0,
-                        value: value
-                    }
+                    eventData: eventData
                 }]
             };
             
-            const notificationStr = JSON.stringify(notification);
-            wsConnections.forEach(ws => {
-                if (ws.readyState === WebSocket.OPEN) {
-                    try {
-                        ws.send(notificationStr);
-                    } catch (error) {
-                        node.warn(`Failed to send notification to client: ${error.message}`);
-                    }
+            wsSubscriptions.forEach((oids, ws) => {
+                if (oids.has(oid)) {
+                    sendMessage(ws, notification);
                 }
             });
-            node.log(`► Notification sent: ${propertyName}=${value}`);
         };
         
         const unregisterFromRegistry = async () => {
@@ -433,12 +749,12 @@ module.exports = function(RED) {
                 const registrationApiUrl = getRegistrationApiUrl();
                 const headers = node.registry.getAuthHeaders();
                 
-                await axios.delete(
+                await node.registry.http.delete(
                     `${registrationApiUrl}/resource/devices/${node.deviceId}`,
                     { headers, timeout: 5000 }
                 ).catch(() => {});
                 
-                await axios.delete(
+                await node.registry.http.delete(
                     `${registrationApiUrl}/resource/nodes/${node.nodeId}`,
                     { headers, timeout: 5000 }
                 ).catch(() => {});
@@ -451,6 +767,11 @@ module.exports = function(RED) {
         
         setupWebSocketServer();
         
+        syncContext();
+        const contextPollInterval = bindings.some(binding => binding.context)
+            ? setInterval(syncContext, CONTEXT_POLL_INTERVAL)
+            : null;
+        
         registerWithRegistry().then(success => {
             if (success) {
                 node.status({fill: "green", shape: "dot", text: "WebSocket ready"});
@@ -460,6 +781,21 @@ module.exports = function(RED) {
         });
         
         node.on('input', function(msg) {
+            // A message on a bound topic sets the property to msg.payload
+            const topicBindings = msg.topic && !(msg.payload && msg.payload.action)
+                ? bindings.filter(binding => binding.topic === msg.topic)
+                : [];
+            if (topicBindings.length > 0) {
+                topicBindings.forEach(binding => {
+                    try {
+                        setLocal(binding.object, binding.descriptor.id, msg.payload);
+                    } catch (error) {
+                        node.warn(`${msg.topic} -> ${binding.rolePath} ${binding.descriptor.name}: ${error.message}`);
+                    }
+                });
+                return;
+            }
+            
             if (!msg.payload || !msg.payload.action) return;
             
             switch (msg.payload.action) {
@@ -470,37 +806,91 @@ module.exports = function(RED) {
                         registered: registrationComplete,
                         wsConnected: wsConnections.size > 0,
                         wsPort: node.wsPort,
-                        wsEndpoint: `ws://${localIP}:${node.wsPort}/x-nmos/ncp/v1.0`,
+                        wsEndpoint: `${wsProtocol}://${localIP}:${node.wsPort}/x-nmos/ncp/v1.0`,
                         activeConnections: wsConnections.size,
-                        controlModel: controlModel
+                        subscriptions: [...wsSubscriptions.values()].map(oids => [...oids]),
+                        bindings: bindings.map(describeBinding),
+                        pendingSets: pendingSets.size,
+                        controlModel: controlModel.describe()
                     };
                     node.send(msg);
                     break;
                     
-                case 'set_property':
+                case 'set_property': {
                     const { role, value } = msg.payload;
-                    for (const key in controlModel.workers) {
-                        if (controlModel.workers[key].role === role) {
-                            if (controlModel.workers[key].readOnly) {
-                                node.warn(`${role} is read-only`);
-                                break;
-                            }
-                            
-                            controlModel.workers[key].value = value;
-                            node.log(`✓ Set ${role} = ${value}`);
-                            sendNotification(controlModel.workers[key].oid, role, value);
-                            
-                            msg.payload = {
-                                success: true,
-                                role: role,
-                                value: value
-                            };
-                            node.send(msg);
-                            break;
-                        }
+                    const object = findObject(role);
+                    if (!object) {
+                        node.warn(`No object with role ${role}`);
+                        break;
+                    }
+                    const propertyName = msg.payload.property || defaultProperty(object);
+                    
+                    try {
+                        setLocal(object, propertyName, value);
+                    } catch (error) {
+                        node.warn(`Set ${role} failed: ${error.message}`);
+                        break;
                     }
+                    node.log(`✓ Set ${role} = ${value}`);
+                    
+                    msg.payload = {
+                        success: true,
+                        role: role,
+                        property: propertyName,
+                        value: controlModel.getProperty(object, propertyName)
+                    };
+                    node.send(msg);
+                    break;
+                }
+                    
+                case 'load_model':
+                    try {
+                        loadModel(msg.payload.model);
+                    } catch (error) {
+                        node.error(`load_model failed: ${error.message}`, msg);
+                        break;
+                    }
+                    msg.payload = {
+                        success: true,
+                        controlModel: controlModel.describe()
+                    };
+                    node.send(msg);
                     break;
                     
+                case 'method_result': {
+                    const invocationId = msg.payload.invocationId || msg.invocationId;
+                    const pending = pendingInvocations.get(invocationId);
+                    if (!pending) {
+                        node.warn(`No pending method invocation ${invocationId} (answered already or timed out)`);
+                        break;
+                    }
+                    clearTimeout(pending.timer);
+                    pendingInvocations.delete(invocationId);
+                    
+                    const status = msg.payload.status || (msg.payload.errorMessage ? STATUS.deviceError : STATUS.ok);
+                    pending.resolve(status < 300
+                        ? { status, value: msg.payload.value !== undefined ? msg.payload.value : null }
+                        : { status, errorMessage: msg.payload.errorMessage || `${status}` });
+                    break;
+                }
+                    
+                case 'confirm_set': {
+                    const confirmationId = msg.payload.confirmationId || msg.confirmationId;
+                    const pending = pendingSets.get(confirmationId);
+                    if (!pending) {
+                        node.warn(`No pending set ${confirmationId} (answered already or timed out)`);
+                        break;
+                    }
+                    clearTimeout(pending.timer);
+                    pendingSets.delete(confirmationId);
+                    
+                    pending.resolve(msg.payload.accept === true ? null : {
+                        status: msg.payload.status || STATUS.invalidRequest,
+                        errorMessage: msg.payload.errorMessage || `Set of ${pending.descriptor.name} was rejected`
+                    });
+                    break;
+                }
+                    
                 case 're-register':
                     registerWithRegistry();
                     break;
@@ -508,9 +898,14 @@ module.exports = function(RED) {
         });
         
         node.on('close', function(done) {
+            cancelInvocations('Device shutting down');
+            
             if (heartbeatInterval) {
                 clearInterval(heartbeatInterval);
             }
+            if (contextPollInterval) {
+                clearInterval(contextPollInterval);
+            }
             
             // Close all WebSocket connections
             wsConnections.forEach(ws => {
@@ -521,15 +916,16 @@ module.exports = function(RED) {
                 }
             });
             wsConnections.clear();
+            wsSubscriptions.clear();
             
             // Close WebSocket server with timeout
-            if (wss) {
+            if (wsServer) {
                 let closeTimeout = setTimeout(() => {
                     node.warn('WebSocket server close timeout - forcing shutdown');
                     done();
                 }, 5000);
                 
-                wss.close(() => {
+                wsServer.close(() => {
                     clearTimeout(closeTimeout);
                     node.log('✓ WebSocket server closed');
                     unregisterFromRegistry().then(() => {
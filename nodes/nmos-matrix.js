@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { createRegistryClient } = require('../lib/registry-client');
 
 module.exports = function(RED) {
     console.log('=== NMOS Matrix Module Loading ===');
@@ -393,15 +394,28 @@ module.exports = function(RED) {
             
             registryUrl = `${baseUrl}/x-nmos/query/${this.directApiVersion}`;
             
-            // Create a minimal registry interface compatible with existing code
+            const getAuthHeaders = () => ({
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            });
+            const client = createRegistryClient({
+                registryUrls: [baseUrl],
+                queryApiVersion: this.directApiVersion,
+                timeout: REQUEST_TIMEOUT,
+                retryAttempts: this.retryAttempts,
+                getHeaders: getAuthHeaders
+            });
+            
+            // Create a minimal registry interface compatible with nmos-config
             registryInterface = {
                 registryUrl: baseUrl,
                 queryApiVersion: this.directApiVersion,
+                getRegistryUrl: () => baseUrl,
                 getQueryApiUrl: () => registryUrl,
-                getAuthHeaders: () => ({
-                    'Accept': 'application/json',
-                    'Content-Type': 'application/json'
-                })
+                getAuthHeaders: getAuthHeaders,
+                query: (requestConfig) => client.request(requestConfig),
+                http: client.http,
+                destroy: () => client.destroy()
             };
         } else {
             // Neither registry node nor direct URL configured
@@ -435,14 +449,15 @@ module.exports = function(RED) {
         console.log('[INFO] Auto-refresh:', node.autoRefresh, '| Interval:', node.refreshInterval, 'ms');
         
         // Fetch senders from registry with retry logic
-        const fetchSenders = async (retryCount = 0) => {
+        const fetchSenders = async () => {
             const url = `${node.registry.getQueryApiUrl()}/senders`;
             
             try {
                 node.log(`Fetching senders from: ${url}`);
-                const response = await axios.get(url, {
-                    headers: node.registry.getAuthHeaders(),
+                const response = await node.registry.query({
+                    path: '/senders',
                     timeout: REQUEST_TIMEOUT,
+                    retries: node.retryAttempts,
                     params: { 'paging.limit': 1000 }
                 });
                 
@@ -459,13 +474,7 @@ module.exports = function(RED) {
                 node.log(`Fetched ${node.senders.length} senders`);
                 return node.senders;
             } catch (error) {
-                const errorDetails = {
-                    message: error.message,
-                    code: error.code,
-                    url: url,
-                    attempt: retryCount + 1
-                };
-                
+                // Retries with exponential backoff already happened in the registry client
                 // Log detailed error information
                 if (error.code === 'ECONNREFUSED') {
                     node.error(`Connection refused to registry at ${url} - verify registry is running and accessible`);
@@ -479,27 +488,20 @@ module.exports = function(RED) {
                     node.error(`Failed to fetch senders: ${error.message}`);
                 }
                 
-                // Retry logic
-                if (retryCount < node.retryAttempts) {
-                    const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff: 1s, 2s, 4s
-                    node.warn(`Retrying in ${delay}ms (attempt ${retryCount + 1}/${node.retryAttempts})...`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    return fetchSenders(retryCount + 1);
-                }
-                
                 throw error;
             }
         };
         
         // Fetch receivers from registry with retry logic
-        const fetchReceivers = async (retryCount = 0) => {
+        const fetchReceivers = async () => {
             const url = `${node.registry.getQueryApiUrl()}/receivers`;
             
             try {
                 node.log(`Fetching receivers from: ${url}`);
-                const response = await axios.get(url, {
-                    headers: node.registry.getAuthHeaders(),
+                const response = await node.registry.query({
+                    path: '/receivers',
                     timeout: REQUEST_TIMEOUT,
+                    retries: node.retryAttempts,
                     params: { 'paging.limit': 1000 }
                 });
                 
@@ -519,13 +521,7 @@ module.exports = function(RED) {
                 node.log(`Fetched ${node.receivers.length} receivers`);
                 return node.receivers;
             } catch (error) {
-                const errorDetails = {
-                    message: error.message,
-                    code: error.code,
-                    url: url,
-                    attempt: retryCount + 1
-                };
-                
+                // Retries with exponential backoff already happened in the registry client
                 // Log detailed error information
                 if (error.code === 'ECONNREFUSED') {
                     node.error(`Connection refused to registry at ${url} - verify registry is running and accessible`);
@@ -539,14 +535,6 @@ module.exports = function(RED) {
                     node.error(`Failed to fetch receivers: ${error.message}`);
                 }
                 
-                // Retry logic
-                if (retryCount < node.retryAttempts) {
-                    const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff: 1s, 2s, 4s
-                    node.warn(`Retrying in ${delay}ms (attempt ${retryCount + 1}/${node.retryAttempts})...`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    return fetchReceivers(retryCount + 1);
-                }
-                
                 throw error;
             }
         };
@@ -594,9 +582,8 @@ module.exports = function(RED) {
         // Get connection API for a receiver
         const getConnectionAPI = async (receiverId) => {
             try {
-                const receiverUrl = `${node.registry.getQueryApiUrl()}/receivers/${receiverId}`;
-                const receiverResp = await axios.get(receiverUrl, {
-                    headers: node.registry.getAuthHeaders(),
+                const receiverResp = await node.registry.query({
+                    path: `/receivers/${receiverId}`,
                     timeout: REQUEST_TIMEOUT
                 });
                 
@@ -606,9 +593,8 @@ module.exports = function(RED) {
                     throw new Error("Receiver has no device_id");
                 }
                 
-                const deviceUrl = `${node.registry.getQueryApiUrl()}/devices/${receiver.device_id}`;
-                const deviceResp = await axios.get(deviceUrl, {
-                    headers: node.registry.getAuthHeaders(),
+                const deviceResp = await node.registry.query({
+                    path: `/devices/${receiver.device_id}`,
                     timeout: REQUEST_TIMEOUT
                 });
                 
@@ -653,7 +639,7 @@ module.exports = function(RED) {
                     }
                 };
                 
-                await axios.patch(stageUrl, patchData, {
+                await node.registry.http.patch(stageUrl, patchData, {
                     headers: {
                         ...node.registry.getAuthHeaders(),
                         'Content-Type': 'application/json'
@@ -908,6 +894,11 @@ module.exports = function(RED) {
                 clearInterval(node.pollTimer);
                 node.pollTimer = null;
             }
+            
+            // Direct-URL registry interfaces own their connection pool
+            if (node.registry && node.registry.destroy) {
+                node.registry.destroy();
+            }
             done();
         });
     }
@@ -1,7 +1,19 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
-const bonjour = require('bonjour')();
+const Bonjour = require('bonjour');
+const { getConnectionApi } = require('../lib/is05-server');
+const { createRegistrationClient } = require('../lib/registration');
+const { parseSdp, sdpToTransportParams, describeMedia, generateSdp } = require('../lib/sdp');
+const { FORMATS, normalizeSender, normalizeReceiver, sourceProperties, flowProperties, receiverCaps } = require('../lib/media-formats');
+
+// Default multicast group of a sender leg, 239.1.0.0 - 239.254.255.255, hashed from the
+// sender id so that groups stay distinct across nodes and however many senders there are
+const defaultMulticastGroup = (senderId, leg) => {
+    const hash = crypto.createHash('sha256').update(`${senderId}:${leg}`).digest();
+    return `239.${1 + hash[0] % 254}.${hash[1]}.${hash[2]}`;
+};
 
 module.exports = function(RED) {
     function NMOSNodeNode(config) {
@@ -15,13 +27,8 @@ module.exports = function(RED) {
         this.nodeId = config.nodeId || uuidv4();
         this.deviceId = config.deviceId || uuidv4();
         this.receiverId = config.receiverId || uuidv4();
-        
-        let heartbeatInterval = null;
-        let registrationComplete = false;
-        
-        // Multi-registry support: Map of registry URL -> registry info
-        const discoveredRegistries = new Map();
-        let mdnsBrowser = null;
+        this.requireAuth = config.requireAuth === true;
+        this.peerToPeer = config.peerToPeer !== false;
         
         if (!this.registry) {
             node.error("No NMOS registry configured");
@@ -29,6 +36,11 @@ module.exports = function(RED) {
             return;
         }
         
+        // IS-10: validate bearer tokens on the hosted Node and Connection APIs when enabled
+        const authorize = node.requireAuth
+            ? node.registry.getTokenValidator().middleware
+            : (req, res, next) => next();
+        
         const getNetworkInfo = () => {
             const interfaces = os.networkInterfaces();
             let ip = '127.0.0.1';
@@ -54,57 +66,175 @@ module.exports = function(RED) {
         const localMAC = networkInfo.mac;
         const ifaceName = networkInfo.ifaceName;
         
-        const connectionAPIBase = `http://${localIP}:${node.httpPort}/x-nmos/connection/${node.registry.connectionApiVersion}`;
+        // All non-internal IPv4 interfaces; senders and receivers bind to them by name
+        const getInterfaces = () => {
+            const found = [];
+            const interfaces = os.networkInterfaces();
+            for (const name of Object.keys(interfaces)) {
+                const iface = interfaces[name].find(candidate => candidate.family === 'IPv4' && !candidate.internal);
+                if (iface) {
+                    found.push({
+                        name,
+                        ip: iface.address,
+                        mac: iface.mac ? iface.mac.replace(/:/g, '-') : '00-00-00-00-00-00'
+                    });
+                }
+            }
+            return found.length > 0 ? found : [{ name: ifaceName, ip: localIP, mac: localMAC }];
+        };
+        
+        const networkInterfaces = getInterfaces();
+        
+        // One binding (and one IS-05 leg) per interface name; two give SMPTE ST 2022-7
+        const resolveBindings = (names, label) => {
+            if (names.length === 0) {
+                return [networkInterfaces[0]];
+            }
+            return names.map(name => {
+                const iface = networkInterfaces.find(candidate => candidate.name === name);
+                if (!iface) {
+                    node.warn(`${label}: unknown interface "${name}", using ${networkInterfaces[0].name}`);
+                    return networkInterfaces[0];
+                }
+                return iface;
+            });
+        };
+        
+        // BCP-003-01: advertise https when TLS is enabled (Node-RED itself must then be served over https)
+        const apiProtocol = node.registry.getApiProtocol();
+        
+        const connectionAPIBase = `${apiProtocol}://${localIP}:${node.httpPort}/x-nmos/connection/${node.registry.connectionApiVersion}`;
         
-        let receiverState = {
-            staged: {
-                sender_id: null,
-                master_enable: false,
-                activation: {
-                    mode: null,
-                    requested_time: null,
-                    activation_time: null
+        // Nodes created before multiple senders / receivers have a single video receiver (receiverId)
+        let senderConfigs;
+        let receiverConfigs;
+        try {
+            senderConfigs = (config.senders || []).map((entry, index) => normalizeSender(entry, index, uuidv4));
+            receiverConfigs = Array.isArray(config.receivers)
+                ? config.receivers.map((entry, index) => normalizeReceiver(entry, index, uuidv4))
+                : [normalizeReceiver({ id: node.receiverId, label: `${node.nodeLabel} Receiver` }, 0, uuidv4)];
+        } catch (error) {
+            node.error(error.message);
+            node.status({fill: "red", shape: "ring", text: "invalid senders / receivers"});
+            return;
+        }
+        
+        // IS-05: senders and receivers are hosted on the shared Connection API, which
+        // validates PATCH requests, runs activations and serves the bulk endpoints
+        const connectionApi = getConnectionApi(
+            RED.httpNode || RED.httpAdmin,
+            `/x-nmos/connection/${node.registry.connectionApiVersion}`
+        );
+        
+        // msg property naming the sender or receiver an event is about
+        const endpointRef = (endpoint) => endpoint.kind === 'sender'
+            ? { senderId: endpoint.id }
+            : { receiverId: endpoint.id };
+        
+        const registerEndpoint = (endpoint, options) => {
+            endpoint.handle = connectionApi.register({
+                id: endpoint.id,
+                transportType: endpoint.transport,
+                interfaceIp: endpoint.bindings[0].ip,
+                authorize: authorize,
+                onActivate: (active) => connectionActivated(endpoint, active),
+                onError: (error) => node.error(`Scheduled activation of ${endpoint.label} failed: ${error.message}`),
+                onScheduled: (activation, delay) => {
+                    node.log(`Activation scheduled for ${endpoint.label} at ${activation.activation_time} (in ${delay}ms)`);
+                    const peer = endpoint.kind === 'sender'
+                        ? { receiver_id: endpoint.state.staged.receiver_id }
+                        : { sender_id: endpoint.state.staged.sender_id };
+                    node.send({
+                        payload: {
+                            event: 'activation_scheduled',
+                            mode: activation.mode,
+                            requested_time: activation.requested_time,
+                            activation_time: activation.activation_time,
+                            ...peer
+                        },
+                        ...endpointRef(endpoint),
+                        topic: 'connection'
+                    });
+                    node.status({fill: "blue", shape: "ring", text: `scheduled: ${new Date(Date.now() + delay).toLocaleTimeString()}`});
                 },
-                transport_params: [{
-                    source_ip: "auto",
-                    multicast_ip: "239.0.0.1",
+                onCancelled: () => {
+                    node.log(`Scheduled activation cancelled for ${endpoint.label}`);
+                    node.send({
+                        payload: { event: 'activation_cancelled' },
+                        ...endpointRef(endpoint),
+                        topic: 'connection'
+                    });
+                    updateConnectionStatus();
+                },
+                ...options
+            });
+            // Live { staged, active, constraints, transporttype }
+            endpoint.state = endpoint.handle.state;
+            return endpoint;
+        };
+        
+        const receivers = receiverConfigs.map(receiverConfig => {
+            const bindings = resolveBindings(receiverConfig.interfaces, receiverConfig.label);
+            const unicast = receiverConfig.transport === 'urn:x-nmos:transport:rtp.ucast';
+            return registerEndpoint({ ...receiverConfig, kind: 'receiver', bindings }, {
+                type: 'receivers',
+                transportParams: bindings.map(() => ({
+                    source_ip: null,
+                    multicast_ip: unicast ? null : "239.0.0.1",
                     interface_ip: "auto",
                     destination_port: 5004,
                     rtp_enabled: true
-                }],
-                transport_file: {
-                    data: null,
-                    type: null
+                })),
+                constraints: bindings.map(binding => ({
+                    source_ip: {},
+                    multicast_ip: {},
+                    interface_ip: { enum: [binding.ip] },
+                    destination_port: {},
+                    rtp_enabled: {}
+                })),
+                resolveAuto: (field, leg, index) => field === 'interface_ip' ? bindings[index].ip : undefined,
+                // A staged SDP sets multicast/source address, port and leg enables
+                parseTransportFile: (file, legs) => {
+                    if (file.type && file.type !== 'application/sdp') {
+                        throw new Error(`unsupported type "${file.type}" (expected application/sdp)`);
+                    }
+                    return sdpToTransportParams(parseSdp(file.data), legs);
                 }
-            },
-            active: {
-                sender_id: null,
-                master_enable: false,
-                activation: {
-                    mode: null,
-                    requested_time: null,
-                    activation_time: null
-                },
-                transport_params: [{
+            });
+        });
+        
+        const senders = senderConfigs.map(senderConfig => {
+            const bindings = resolveBindings(senderConfig.interfaces, senderConfig.label);
+            const unicast = senderConfig.transport === 'urn:x-nmos:transport:rtp.ucast';
+            const sender = { ...senderConfig, kind: 'sender', bindings };
+            return registerEndpoint(sender, {
+                type: 'senders',
+                transportParams: bindings.map(() => ({
                     source_ip: "auto",
-                    multicast_ip: "239.0.0.1",
-                    interface_ip: "auto",
-                    destination_port: 5004,
+                    destination_ip: "auto",
+                    source_port: "auto",
+                    destination_port: "auto",
                     rtp_enabled: true
-                }],
-                transport_file: {
-                    data: null,
-                    type: null
+                })),
+                constraints: bindings.map(binding => ({
+                    source_ip: { enum: [binding.ip] },
+                    destination_ip: {},
+                    source_port: {},
+                    destination_port: {},
+                    rtp_enabled: {}
+                })),
+                resolveAuto: (field, leg, index) => {
+                    if (field === 'source_ip') return bindings[index].ip;
+                    // A multicast group per sender and leg; unicast senders need a receiver address
+                    if (field === 'destination_ip') return unicast ? null : defaultMulticastGroup(sender.id, index);
+                    return undefined;
+                },
+                getTransportFile: () => {
+                    const data = generateSenderSDP(sender);
+                    return data ? { data, type: 'application/sdp' } : null;
                 }
-            },
-            constraints: [{
-                source_ip: {},
-                multicast_ip: {},
-                interface_ip: {},
-                destination_port: {}
-            }],
-            transporttype: 'urn:x-nmos:transport:rtp'
-        };
+            });
+        });
         
         const getTAITimestamp = () => {
             const now = Date.now() / 1000;
@@ -113,10 +243,86 @@ module.exports = function(RED) {
             return `${taiSeconds}:${String(taiNanoseconds).padStart(9, '0')}`;
         };
         
+        const updateConnectionStatus = () => {
+            const connected = receivers.filter(r => r.state.active.sender_id !== null && r.state.active.master_enable);
+            const enabled = senders.filter(s => s.state.active.master_enable);
+            
+            if (receivers.length === 1 && senders.length === 0) {
+                const active = receivers[0].state.active;
+                node.status({
+                    fill: connected.length > 0 ? "green" : "yellow",
+                    shape: "dot",
+                    text: connected.length > 0 ? `connected: ${active.sender_id.substring(0, 8)}...` : "standby"
+                });
+                return;
+            }
+            
+            node.status({
+                fill: connected.length + enabled.length > 0 ? "green" : "yellow",
+                shape: "dot",
+                text: `rx ${connected.length}/${receivers.length} connected, tx ${enabled.length}/${senders.length} enabled`
+            });
+        };
+        
+        /**
+         * Called by the Connection API once staged parameters are active
+         * (immediately, or when a scheduled activation fires)
+         */
+        const connectionActivated = (endpoint, active) => {
+            if (endpoint.kind === 'sender') {
+                node.log(`✓ Sender ${endpoint.label} ${active.master_enable ? 'enabled' : 'disabled'}`);
+                
+                updateInRegistry('sender', buildSenderResource(endpoint));
+                const sdp = generateSenderSDP(endpoint);
+                
+                node.send({
+                    payload: {
+                        event: 'connection_activated',
+                        receiver_id: active.receiver_id,
+                        master_enable: active.master_enable,
+                        transport_params: active.transport_params,
+                        activation_time: active.activation.activation_time,
+                        mode: active.activation.mode,
+                        sdp: sdp,
+                        media: describeSdp(sdp)
+                    },
+                    senderId: endpoint.id,
+                    topic: 'connection'
+                });
+            } else {
+                if (!active.transport_file.data && active.sender_id) {
+                    active.transport_file = {
+                        data: generateDefaultSDP(endpoint),
+                        type: 'application/sdp'
+                    };
+                }
+                
+                node.log(`✓ Connection activated: ${active.sender_id}`);
+                
+                updateInRegistry('receiver', buildReceiverResource(endpoint));
+                
+                node.send({
+                    payload: {
+                        event: 'connection_activated',
+                        sender_id: active.sender_id,
+                        master_enable: active.master_enable,
+                        transport_params: active.transport_params,
+                        transport_file: active.transport_file,
+                        activation_time: active.activation.activation_time,
+                        mode: active.activation.mode,
+                        sdp: active.transport_file.data,
+                        media: describeSdp(active.transport_file.data)
+                    },
+                    receiverId: endpoint.id,
+                    topic: 'connection'
+                });
+            }
+            
+            updateConnectionStatus();
+        };
+        
         const getRegistrationApiUrl = () => {
-            const registryBaseUrl = node.registry.registryUrl;
-            const registrationVersion = node.registry.queryApiVersion;
-            return `${registryBaseUrl}/x-nmos/registration/${registrationVersion}`;
+            return node.registry.getRegistrationApiUrl();
         };
         
         const buildNodeResource = () => {
@@ -126,14 +332,14 @@ module.exports = function(RED) {
                 label: node.nodeLabel,
                 description: node.nodeDescription,
                 tags: {},
-                href: `http://${localIP}:${node.httpPort}/`,
+                href: `${apiProtocol}://${localIP}:${node.httpPort}/`,
                 hostname: os.hostname(),
                 api: {
                     versions: [node.registry.queryApiVersion],
                     endpoints: [{
                         host: localIP,
                         port: node.httpPort,
-                        protocol: 'http'
+                        protocol: apiProtocol
                     }]
                 },
                 caps: {},
@@ -142,17 +348,21 @@ module.exports = function(RED) {
                     name: 'clk0',
                     ref_type: 'internal'
                 }],
-                interfaces: [{
-                    name: ifaceName,
+                interfaces: networkInterfaces.map(iface => ({
+                    name: iface.name,
                     chassis_id: localMAC,
-                    port_id: localMAC,
+                    port_id: iface.mac,
                     attached_network_device: {
                         chassis_id: localMAC,
-                        port_id: localMAC
+                        port_id: iface.mac
                     }
-                }]
+                }))
             };
             
+            if (node.requireAuth && node.registry.queryApiVersion >= 'v1.3') {
+                resource.api.endpoints[0].authorization = true;
+            }
+            
             return resource;
         };
         
@@ -165,8 +375,8 @@ module.exports = function(RED) {
                 tags: {},
                 type: 'urn:x-nmos:device:generic',
                 node_id: node.nodeId,
-                senders: [],
-                receivers: [node.receiverId]
+                senders: senders.map(sender => sender.id),
+                receivers: receivers.map(receiver => receiver.id)
             };
             
             if (node.registry.queryApiVersion >= 'v1.1') {
@@ -174,310 +384,253 @@ module.exports = function(RED) {
                     type: `urn:x-nmos:control:sr-ctrl/${node.registry.connectionApiVersion}`,
                     href: connectionAPIBase + '/'
                 }];
+                
+                if (node.requireAuth && node.registry.queryApiVersion >= 'v1.3') {
+                    resource.controls[0].authorization = true;
+                }
             }
             
             return resource;
         };
         
-        const buildReceiverResource = () => {
-            const resource = {
-                id: node.receiverId,
+        const buildSourceResource = (sender) => {
+            return {
+                id: sender.sourceId,
                 version: getTAITimestamp(),
-                label: `${node.nodeLabel} Receiver`,
-                description: 'Node-RED NMOS Receiver',
+                label: `${sender.label} Source`,
+                description: `${node.nodeLabel} ${sender.format} source`,
                 tags: {},
-                format: 'urn:x-nmos:format:video',
-                caps: {
-                    media_types: ['video/raw']
-                },
                 device_id: node.deviceId,
-                transport: 'urn:x-nmos:transport:rtp',
-                interface_bindings: [ifaceName],
+                parents: [],
+                clock_name: 'clk0',
+                ...sourceProperties(sender)
+            };
+        };
+        
+        const buildFlowResource = (sender) => {
+            return {
+                id: sender.flowId,
+                version: getTAITimestamp(),
+                label: `${sender.label} Flow`,
+                description: `${node.nodeLabel} ${sender.format} flow`,
+                tags: {},
+                source_id: sender.sourceId,
+                device_id: node.deviceId,
+                parents: [],
+                ...flowProperties(sender)
+            };
+        };
+        
+        const buildSenderResource = (sender) => {
+            return {
+                id: sender.id,
+                version: getTAITimestamp(),
+                label: sender.label,
+                description: `${node.nodeLabel} ${sender.format} sender`,
+                tags: {},
+                flow_id: sender.flowId,
+                transport: sender.transport,
+                device_id: node.deviceId,
+                manifest_href: `${connectionAPIBase}/single/senders/${sender.id}/transportfile`,
+                interface_bindings: sender.bindings.map(binding => binding.name),
                 subscription: {
-                    sender_id: receiverState.active.sender_id,
-                    active: receiverState.active.master_enable && receiverState.active.sender_id !== null
+                    receiver_id: sender.state.active.receiver_id,
+                    active: sender.state.active.master_enable
                 }
             };
-            
-            return resource;
         };
         
-        const generateDefaultSDP = () => {
-            const params = receiverState.active.transport_params[0];
-            return `v=0
-o=- ${Date.now()} ${Date.now()} IN IP4 ${localIP}
-s=Node-RED NMOS Receiver
-t=0 0
-m=video ${params.destination_port} RTP/AVP 96
-c=IN IP4 ${params.multicast_ip}/32
-a=rtpmap:96 raw/90000
-a=source-filter: incl IN IP4 ${params.multicast_ip} ${params.source_ip === 'auto' ? '*' : params.source_ip}
-a=ts-refclk:localmac=${localMAC}`;
+        const buildReceiverResource = (receiver) => {
+            const active = receiver.state.active;
+            return {
+                id: receiver.id,
+                version: getTAITimestamp(),
+                label: receiver.label,
+                description: `${node.nodeLabel} ${receiver.format} receiver`,
+                tags: {},
+                format: FORMATS[receiver.format].urn,
+                caps: receiverCaps(receiver, node.registry.queryApiVersion),
+                device_id: node.deviceId,
+                transport: receiver.transport,
+                interface_bindings: receiver.bindings.map(binding => binding.name),
+                subscription: {
+                    sender_id: active.sender_id,
+                    active: active.master_enable && active.sender_id !== null
+                }
+            };
         };
         
-        const registerResource = async (type, data, registryUrl = null) => {
+        // Sources, flows, senders and receivers, parents first (IS-04 registration order)
+        const buildChildResources = () => [
+            ...senders.map(sender => ['source', buildSourceResource(sender)]),
+            ...senders.map(sender => ['flow', buildFlowResource(sender)]),
+            ...senders.map(sender => ['sender', buildSenderResource(sender)]),
+            ...receivers.map(receiver => ['receiver', buildReceiverResource(receiver)])
+        ];
+        
+        // RFC 7273 reference clock: the node's own MAC until PTP is configured
+        const tsRefclk = `localmac=${String(localMAC).toUpperCase().replace(/:/g, '-')}`;
+        
+        // Parsed media descriptions for output messages; null without a usable SDP
+        const describeSdp = (data) => {
+            if (!data) return null;
             try {
-                const registrationApiUrl = registryUrl || getRegistrationApiUrl();
-                const headers = {
-                    ...node.registry.getAuthHeaders(),
-                    'Content-Type': 'application/json'
-                };
-                
-                const payload = { type, data };
-                
-                node.log(`Registering ${type} with ${registrationApiUrl}...`);
-                
-                const response = await axios.post(
-                    `${registrationApiUrl}/resource`,
-                    payload,
-                    { 
-                        headers, 
-                        timeout: 10000,
-                        validateStatus: (status) => status >= 200 && status < 500
-                    }
-                );
-                
-                if (response.status === 200 || response.status === 201) {
-                    node.log(`✓ Registered ${type}: ${data.id}`);
-                    return true;
-                } else {
-                    node.error(`Registration failed for ${type}: ${response.status}`);
-                    node.error(`Response: ${JSON.stringify(response.data)}`);
-                    return false;
-                }
+                return describeMedia(parseSdp(data));
             } catch (error) {
-                if (error.response) {
-                    node.error(`Registration error for ${type}: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
-                } else {
-                    node.error(`Registration error for ${type}: ${error.message}`);
-                }
-                return false;
+                node.warn(`Could not parse SDP: ${error.message}`);
+                return null;
             }
         };
         
-        const registerWithRegistry = async (registryUrl = null, apiVersion = null) => {
-            try {
-                const regUrl = registryUrl || getRegistrationApiUrl();
-                const regVersion = apiVersion || node.registry.queryApiVersion;
-                
-                node.status({fill: "blue", shape: "dot", text: "registering..."});
-                node.log(`═══════════════════════════════════════`);
-                node.log(`Registering with: ${regUrl}`);
-                node.log(`Local IP: ${localIP}`);
-                node.log(`Local MAC: ${localMAC}`);
-                node.log(`Interface: ${ifaceName}`);
-                node.log(`═══════════════════════════════════════`);
-                
-                const nodeSuccess = await registerResource('node', buildNodeResource(), regUrl);
-                if (!nodeSuccess) {
-                    throw new Error('Node registration failed');
-                }
-                
-                await new Promise(resolve => setTimeout(resolve, 300));
-                
-                const deviceSuccess = await registerResource('device', buildDeviceResource(), regUrl);
-                if (!deviceSuccess) {
-                    throw new Error('Device registration failed');
-                }
-                
-                await new Promise(resolve => setTimeout(resolve, 300));
-                
-                const receiverSuccess = await registerResource('receiver', buildReceiverResource(), regUrl);
-                if (!receiverSuccess) {
-                    throw new Error('Receiver registration failed');
-                }
-                
-                // Track registration in discoveredRegistries
-                if (registryUrl) {
-                    discoveredRegistries.set(regUrl, {
-                        url: regUrl,
-                        apiVersion: regVersion,
-                        registered: true,
-                        lastHeartbeat: Date.now(),
-                        priority: 100
-                    });
-                }
-                
-                registrationComplete = true;
-                node.status({fill: "green", shape: "dot", text: "registered"});
-                node.log('═══════════════════════════════════════');
-                node.log(`✓ REGISTERED WITH: ${regUrl}`);
-                node.log('═══════════════════════════════════════');
-                
-                return true;
-                
-            } catch (error) {
-                node.error(`Registration failed: ${error.message}`);
-                if (!registryUrl) {
-                    node.status({fill: "red", shape: "ring", text: "registration failed"});
-                }
-                if (registryUrl) {
-                    discoveredRegistries.set(registryUrl, {
-                        url: registryUrl,
-                        apiVersion: apiVersion,
-                        registered: false,
-                        lastHeartbeat: Date.now(),
-                        priority: 100
-                    });
-                }
-                return false;
+        // SDP for a receiver connected without a transport file, from its active parameters
+        const generateDefaultSDP = (receiver) => generateSdp({
+            name: receiver.label,
+            originAddress: localIP,
+            format: receiver.format,
+            mediaType: receiver.mediaTypes[0],
+            grainRate: receiver.grainRate,
+            tsRefclk: tsRefclk,
+            legs: receiver.state.active.transport_params.map(leg => ({
+                destination_ip: leg.multicast_ip || leg.interface_ip,
+                destination_port: leg.destination_port,
+                source_ip: leg.source_ip,
+                rtp_enabled: leg.rtp_enabled
+            }))
+        });
+        
+        // Sender SDP from the flow format and active parameters; null until every enabled leg has a destination
+        const generateSenderSDP = (sender) => {
+            const legs = sender.state.active.transport_params;
+            if (legs.some(leg => leg.rtp_enabled !== false && !leg.destination_ip)) {
+                return null;
             }
+            return generateSdp({
+                ...sender,
+                name: sender.label,
+                originAddress: sender.bindings[0].ip,
+                tsRefclk: tsRefclk,
+                legs: legs
+            });
         };
         
-        const sendHeartbeat = async () => {
+        // IS-04 peer-to-peer mode: the Node API is advertised over mDNS while no registry is in use
+        const P2P_VERSION_KEYS = { node: 'slf', source: 'src', flow: 'flw', device: 'dvc', sender: 'snd', receiver: 'rcv' };
+        const p2pVersions = { slf: 0, src: 0, flw: 0, dvc: 0, snd: 0, rcv: 0 };
+        let p2pBonjour = null;
+        let p2pService = null;
+        
+        const advertisePeerToPeer = () => {
             try {
-                if (!registrationComplete) {
-                    return;
+                if (!p2pBonjour) {
+                    p2pBonjour = Bonjour();
                 }
-                
-                // Send heartbeat to configured registry
-                const registrationApiUrl = getRegistrationApiUrl();
-                const headers = node.registry.getAuthHeaders();
-                
-                const response = await axios.post(
-                    `${registrationApiUrl}/health/nodes/${node.nodeId}`,
-                    {},
-                    {
-                        headers,
-                        timeout: 5000,
-                        validateStatus: (status) => status >= 200 && status < 500
-                    }
-                );
-                
-                if (response.status === 200) {
-                    node.log('♥ Heartbeat OK (configured registry)');
-                } else if (response.status === 404) {
-                    node.warn('Heartbeat returned 404 - re-registering (configured registry)');
-                    registrationComplete = false;
-                    await registerWithRegistry();
-                } else {
-                    node.warn(`Heartbeat returned status: ${response.status} (configured registry)`);
+                if (p2pService) {
+                    p2pService.stop();
                 }
-                
+                p2pService = p2pBonjour.publish({
+                    name: `${node.nodeLabel} ${node.nodeId.substring(0, 8)}`,
+                    type: 'nmos-node',
+                    port: node.httpPort,
+                    txt: {
+                        api_proto: apiProtocol,
+                        api_ver: node.registry.queryApiVersion,
+                        api_auth: String(node.requireAuth),
+                        ...Object.fromEntries(Object.entries(p2pVersions).map(([key, value]) => [`ver_${key}`, String(value)]))
+                    }
+                });
             } catch (error) {
-                node.warn(`Heartbeat failed (configured registry): ${error.message}`);
-                registrationComplete = false;
-                setTimeout(() => registerWithRegistry(), 1000);
+                node.warn(`Peer-to-peer advertisement failed: ${error.message}`);
             }
         };
         
-        const sendHeartbeats = async () => {
+        const stopPeerToPeer = () => {
             try {
-                // Send heartbeat to configured registry
-                await sendHeartbeat();
-                
-                // Send heartbeats to all discovered registries
-                const heartbeatPromises = [];
-                for (const [url, info] of discoveredRegistries) {
-                    if (info.registered) {
-                        heartbeatPromises.push(
-                            axios.post(
-                                `${url}/health/nodes/${node.nodeId}`,
-                                {},
-                                {
-                                    headers: node.registry.getAuthHeaders(),
-                                    timeout: 5000,
-                                    validateStatus: (status) => status >= 200 && status < 500
-                                }
-                            ).then(response => {
-                                if (response.status === 200) {
-                                    info.lastHeartbeat = Date.now();
-                                    node.log(`♥ Heartbeat OK: ${url}`);
-                                } else if (response.status === 404) {
-                                    node.warn(`Heartbeat 404 for ${url} - re-registering`);
-                                    info.registered = false;
-                                    registerWithRegistry(url, info.apiVersion);
-                                } else {
-                                    node.warn(`Heartbeat ${response.status} for ${url}`);
-                                }
-                                return { url, status: 'success' };
-                            }).catch(error => {
-                                node.warn(`Heartbeat failed for ${url}: ${error.message}`);
-                                info.registered = false;
-                                return { url, status: 'error', error: error.message };
-                            })
-                        );
-                    }
+                if (p2pService) {
+                    p2pService.stop();
                 }
-                
-                await Promise.allSettled(heartbeatPromises);
-                
-            } catch (error) {
-                node.warn(`Heartbeats error: ${error.message}`);
+                if (p2pBonjour) {
+                    p2pBonjour.destroy();
+                }
+            } catch (err) {
+                node.log(`DNS-SD cleanup error: ${err.message}`);
             }
+            p2pService = null;
+            p2pBonjour = null;
         };
         
-        const updateReceiverInRegistry = async () => {
-            try {
-                if (!registrationComplete) {
-                    return;
-                }
-                
-                const receiverResource = buildReceiverResource();
-                
-                // Update in configured registry
-                await registerResource('receiver', receiverResource);
-                
-                // Update in all discovered registries
-                for (const [url, info] of discoveredRegistries) {
-                    if (info.registered) {
-                        await registerResource('receiver', receiverResource, url);
-                    }
+        const REGISTRATION_STATUS = {
+            registering: { fill: "blue", shape: "dot", text: "registering..." },
+            registered: { fill: "green", shape: "dot", text: "registered" },
+            backoff: { fill: "red", shape: "ring", text: "registration failed" },
+            peer_to_peer: { fill: "yellow", shape: "ring", text: "peer-to-peer" }
+        };
+        
+        // Registration state transitions go to the second output
+        const registrationChanged = (transition) => {
+            const registry = transition.registry ? ` (${transition.registry})` : '';
+            const reason = transition.reason ? `: ${transition.reason}` : '';
+            node.log(`Registration ${transition.previous} → ${transition.state}${registry}${reason}`);
+            
+            // The advertisement stays up through retries until a registry accepts the node
+            if (transition.state === 'peer_to_peer' && !p2pService) {
+                advertisePeerToPeer();
+            } else if (transition.state === 'registered' || transition.state === 'stopped') {
+                stopPeerToPeer();
+            }
+            
+            const status = REGISTRATION_STATUS[transition.state];
+            if (status) {
+                const retry = transition.retryIn !== null ? `, retry in ${Math.ceil(transition.retryIn / 1000)}s` : '';
+                node.status({ ...status, text: `${status.text}${retry}` });
+            }
+            
+            node.send([null, {
+                topic: 'registration',
+                payload: {
+                    event: 'registration_state',
+                    ...transition,
+                    nodeId: node.nodeId,
+                    timestamp: new Date().toISOString()
                 }
-                
-                node.log('Updated receiver subscription in all registries');
-                
-            } catch (error) {
-                node.warn(`Failed to update receiver: ${error.message}`);
+            }]);
+        };
+        
+        const registration = createRegistrationClient({
+            http: node.registry.http,
+            nodeId: node.nodeId,
+            getRegistries: () => node.registry.getRegistrationApiUrls(),
+            getResources: () => [
+                ['node', buildNodeResource()],
+                ['device', buildDeviceResource()],
+                ...buildChildResources()
+            ],
+            getHeaders: () => node.registry.getAuthHeaders(),
+            peerToPeer: node.peerToPeer,
+            log: (message) => node.log(message),
+            warn: (message) => node.warn(message),
+            onTransition: registrationChanged
+        });
+        
+        const updateInRegistry = async (type, resource) => {
+            if (p2pService) {
+                // Peer-to-peer controllers watch the ver_* TXT records for changes
+                const key = P2P_VERSION_KEYS[type];
+                p2pVersions[key] = (p2pVersions[key] + 1) % 256;
+                advertisePeerToPeer();
+                return;
+            }
+            if (await registration.update(type, resource)) {
+                node.log(`Updated ${type} ${resource.id} in registry`);
             }
         };
         
-        const unregisterFromRegistry = async () => {
-            try {
-                const registrationApiUrl = getRegistrationApiUrl();
-                const headers = node.registry.getAuthHeaders();
-                
-                node.log('Unregistering from NMOS registry...');
-                
-                await axios.delete(
-                    `${registrationApiUrl}/resource/receivers/${node.receiverId}`,
-                    { headers, timeout: 5000 }
-                ).catch(err => node.log(`Receiver delete: ${err.message}`));
-                
-                await axios.delete(
-                    `${registrationApiUrl}/resource/devices/${node.deviceId}`,
-                    { headers, timeout: 5000 }
-                ).catch(err => node.log(`Device delete: ${err.message}`));
-                
-                await axios.delete(
-                    `${registrationApiUrl}/resource/nodes/${node.nodeId}`,
-                    { headers, timeout: 5000 }
-                ).catch(err => node.log(`Node delete: ${err.message}`));
-                
-                // Unregister from discovered registries
-                for (const [url, info] of discoveredRegistries) {
-                    if (info.registered) {
-                        await axios.delete(
-                            `${url}/resource/receivers/${node.receiverId}`,
-                            { headers, timeout: 5000 }
-                        ).catch(() => {});
-                        await axios.delete(
-                            `${url}/resource/devices/${node.deviceId}`,
-                            { headers, timeout: 5000 }
-                        ).catch(() => {});
-                        await axios.delete(
-                            `${url}/resource/nodes/${node.nodeId}`,
-                            { headers, timeout: 5000 }
-                        ).catch(() => {});
-                    }
-                }
-                
-                node.log('✓ Unregistered from NMOS registry');
-                
-            } catch (error) {
-                node.warn(`Unregistration error: ${error.message}`);
+        // A newly discovered (or lost) registry may change which one should be used
+        const registryChanged = (change) => {
+            if (change.kind === 'register') {
+                registration.reselect();
             }
         };
+        node.registry.on('registry-changed', registryChanged);
         
         const setupNodeAPI = () => {
             const app = RED.httpNode || RED.httpAdmin;
@@ -493,7 +646,7 @@ a=ts-refclk:localmac=${localMAC}`;
             };
             
             // Root endpoint
-            app.get(`${basePath}/`, jsonMiddleware, (req, res) => {
+            app.get(`${basePath}/`, jsonMiddleware, authorize, (req, res) => {
                 res.status(200).json([
                     'self/',
                     'devices/',
@@ -505,40 +658,38 @@ a=ts-refclk:localmac=${localMAC}`;
             });
             
             // Self endpoint - returns node resource
-            app.get(`${basePath}/self/`, jsonMiddleware, (req, res) => {
+            app.get(`${basePath}/self/`, jsonMiddleware, authorize, (req, res) => {
                 res.status(200).json(buildNodeResource());
             });
             
             // Devices endpoints
-            app.get(`${basePath}/devices/`, jsonMiddleware, (req, res) => {
+            app.get(`${basePath}/devices/`, jsonMiddleware, authorize, (req, res) => {
                 res.status(200).json([node.deviceId]);
             });
             
-            app.get(`${basePath}/devices/${node.deviceId}`, jsonMiddleware, (req, res) => {
+            app.get(`${basePath}/devices/${node.deviceId}`, jsonMiddleware, authorize, (req, res) => {
                 res.status(200).json(buildDeviceResource());
             });
             
-            // Receivers endpoints
-            app.get(`${basePath}/receivers/`, jsonMiddleware, (req, res) => {
-                res.status(200).json([node.receiverId]);
-            });
-            
-            app.get(`${basePath}/receivers/${node.receiverId}`, jsonMiddleware, (req, res) => {
-                res.status(200).json(buildReceiverResource());
-            });
-            
-            // Empty arrays for sources, flows, senders
-            app.get(`${basePath}/sources/`, jsonMiddleware, (req, res) => {
-                res.status(200).json([]);
-            });
-            
-            app.get(`${basePath}/flows/`, jsonMiddleware, (req, res) => {
-                res.status(200).json([]);
-            });
+            // Sources, flows, senders and receivers: a list and one endpoint per resource
+            const collections = {
+                sources: senders.map(sender => [sender.sourceId, () => buildSourceResource(sender)]),
+                flows: senders.map(sender => [sender.flowId, () => buildFlowResource(sender)]),
+                senders: senders.map(sender => [sender.id, () => buildSenderResource(sender)]),
+                receivers: receivers.map(receiver => [receiver.id, () => buildReceiverResource(receiver)])
+            };
             
-            app.get(`${basePath}/senders/`, jsonMiddleware, (req, res) => {
-                res.status(200).json([]);
-            });
+            for (const [collection, resources] of Object.entries(collections)) {
+                app.get(`${basePath}/${collection}/`, jsonMiddleware, authorize, (req, res) => {
+                    res.status(200).json(resources.map(([id]) => id));
+                });
+                
+                for (const [id, build] of resources) {
+                    app.get(`${basePath}/${collection}/${id}`, jsonMiddleware, authorize, (req, res) => {
+                        res.status(200).json(build());
+                    });
+                }
+            }
             
             node.log(`✓ IS-04 Node API ready`);
         };
@@ -593,7 +744,7 @@ a=ts-refclk:localmac=${localMAC}`;
                     if (question.includes('What senders')) {
                         return res.status(200).json({
                             status: 'success',
-                            answer: [],
+                            answer: senders.map(sender => sender.id),
                             timestamp
                         });
                     }
@@ -602,7 +753,7 @@ a=ts-refclk:localmac=${localMAC}`;
                     if (question.includes('What receivers')) {
                         return res.status(200).json({
                             status: 'success',
-                            answer: [node.receiverId],
+                            answer: receivers.map(receiver => receiver.id),
                             timestamp
                         });
                     }
@@ -610,10 +761,11 @@ a=ts-refclk:localmac=${localMAC}`;
                     // Parse "Put receiver online/offline" question
                     if (question.includes('Put receiver') && (question.includes('online') || question.includes('offline'))) {
                         const online = question.includes('online');
-                        receiverState.staged.master_enable = online;
-                        receiverState.active.master_enable = online;
-                        
-                        await updateReceiverInRegistry();
+                        for (const receiver of receivers) {
+                            receiver.state.staged.master_enable = online;
+                            receiver.state.active.master_enable = online;
+                            await updateInRegistry('receiver', buildReceiverResource(receiver));
+                        }
                         
                         return res.status(200).json({
                             status: 'success',
@@ -642,218 +794,12 @@ a=ts-refclk:localmac=${localMAC}`;
             node.log(`✓ Testing Facade ready`);
         };
         
-        const startDNSSDDiscovery = () => {
-            try {
-                node.log('Starting DNS-SD discovery for NMOS registries...');
-                
-                // Browse for NMOS registration services
-                mdnsBrowser = bonjour.find({ type: 'nmos-register' }, (service) => {
-                    try {
-                        node.log(`═══════════════════════════════════════`);
-                        node.log(`Discovered NMOS Registry via DNS-SD:`);
-                        node.log(`  Name: ${service.name}`);
-                        node.log(`  Host: ${service.host}`);
-                        node.log(`  Port: ${service.port}`);
-                        node.log(`  Addresses: ${JSON.stringify(service.addresses)}`);
-                        node.log(`═══════════════════════════════════════`);
-                        
-                        // Extract API version from TXT records if available
-                        let apiVersion = node.registry.queryApiVersion;
-                        if (service.txt && service.txt.api_ver) {
-                            apiVersion = service.txt.api_ver;
-                        }
-                        
-                        // Use the first address or fall back to host
-                        const host = (service.addresses && service.addresses.length > 0) 
-                            ? service.addresses[0] 
-                            : service.host;
-                        const port = service.port || 8080;
-                        
-                        // Build registration URL
-                        const registryUrl = `http://${host}:${port}/x-nmos/registration/${apiVersion}`;
-                        
-                        // Check if we already have this registry
-                        if (!discoveredRegistries.has(registryUrl)) {
-                            node.log(`New registry discovered: ${registryUrl}`);
-                            
-                            // Add to discovered registries and attempt registration
-                            discoveredRegistries.set(registryUrl, {
-                                url: registryUrl,
-                                apiVersion: apiVersion,
-                                registered: false,
-                                lastHeartbeat: Date.now(),
-                                priority: service.txt && service.txt.pri ? parseInt(service.txt.pri, 10) : 100
-                            });
-                            
-                            // Register with this registry
-                            registerWithRegistry(registryUrl, apiVersion).catch(err => {
-                                node.warn(`Failed to register with discovered registry ${registryUrl}: ${err.message}`);
-                            });
-                        }
-                    } catch (error) {
-                        node.warn(`Error processing discovered service: ${error.message}`);
-                    }
-                });
-                
-                node.log('✓ DNS-SD discovery started');
-                
-            } catch (error) {
-                node.warn(`DNS-SD discovery error: ${error.message}`);
-                node.log('Continuing without DNS-SD discovery');
-            }
-        };
-        
-        const setupConnectionAPI = () => {
-            const app = RED.httpNode || RED.httpAdmin;
-            const version = node.registry.connectionApiVersion;
-            const apiRoot = `/x-nmos/connection/${version}`;
-            const basePath = `${apiRoot}/single/receivers/${node.receiverId}`;
-            
-            node.log(`Setting up IS-05 endpoints at: ${basePath}`);
-            
-            const middleware = (req, res, next) => {
-                res.setHeader('Content-Type', 'application/json');
-                res.setHeader('Access-Control-Allow-Origin', '*');
-                res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, OPTIONS');
-                res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-                
-                if (req.method === 'OPTIONS') {
-                    res.sendStatus(200);
-                    return;
-                }
-                next();
-            };
-            
-            // GET /x-nmos/connection/{version}/ - Return API root with available endpoints
-            app.get(`${apiRoot}/`, middleware, (req, res) => {
-                node.log(`GET ${apiRoot}/`);
-                res.json(['single/']);
-            });
-            
-            // GET /x-nmos/connection/{version}/single/ - Return available single resources
-            app.get(`${apiRoot}/single/`, middleware, (req, res) => {
-                node.log(`GET ${apiRoot}/single/`);
-                res.json(['receivers/']);
-            });
-            
-            // GET /x-nmos/connection/{version}/single/receivers/ - Return list of receiver IDs
-            app.get(`${apiRoot}/single/receivers/`, middleware, (req, res) => {
-                node.log(`GET ${apiRoot}/single/receivers/`);
-                res.json([`${node.receiverId}/`]);
-            });
-            
-            app.get(`${basePath}/staged`, middleware, (req, res) => {
-                node.log('GET /staged');
-                res.json(receiverState.staged);
-            });
-            
-            app.patch(`${basePath}/staged`, middleware, (req, res) => {
-                try {
-                    node.log(`PATCH /staged: ${JSON.stringify(req.body, null, 2)}`);
-                    const patch = req.body;
-                    
-                    if (patch.sender_id !== undefined) {
-                        receiverState.staged.sender_id = patch.sender_id;
-                    }
-                    if (patch.master_enable !== undefined) {
-                        receiverState.staged.master_enable = patch.master_enable;
-                    }
-                    if (patch.activation !== undefined) {
-                        receiverState.staged.activation = {
-                            ...receiverState.staged.activation,
-                            ...patch.activation
-                        };
-                    }
-                    if (patch.transport_params !== undefined) {
-                        receiverState.staged.transport_params = patch.transport_params;
-                    }
-                    if (patch.transport_file !== undefined) {
-                        receiverState.staged.transport_file = patch.transport_file;
-                    }
-                    
-                    if (patch.activation && patch.activation.mode === 'activate_immediate') {
-                        receiverState.active = JSON.parse(JSON.stringify(receiverState.staged));
-                        receiverState.active.activation.activation_time = getTAITimestamp();
-                        
-                        if (!receiverState.active.transport_file.data && receiverState.active.sender_id) {
-                            receiverState.active.transport_file = {
-                                data: generateDefaultSDP(),
-                                type: 'application/sdp'
-                            };
-                        }
-                        
-                        node.log(`✓ Connection activated: ${receiverState.active.sender_id}`);
-                        
-                        updateReceiverInRegistry();
-                        
-                        const msg = {
-                            payload: {
-                                event: 'connection_activated',
-                                sender_id: receiverState.active.sender_id,
-                                master_enable: receiverState.active.master_enable,
-                                transport_params: receiverState.active.transport_params,
-                                transport_file: receiverState.active.transport_file,
-                                activation_time: receiverState.active.activation.activation_time,
-                                sdp: receiverState.active.transport_file.data
-                            },
-                            receiverId: node.receiverId,
-                            topic: 'connection'
-                        };
-                        node.send(msg);
-                        
-                        const isConnected = receiverState.active.sender_id !== null && receiverState.active.master_enable;
-                        node.status({
-                            fill: isConnected ? "green" : "yellow",
-                            shape: "dot",
-                            text: isConnected ? `connected: ${receiverState.active.sender_id.substring(0, 8)}...` : "standby"
-                        });
-                    }
-                    
-                    res.json(receiverState.staged);
-                    
-                } catch (error) {
-                    node.error(`PATCH error: ${error.message}`);
-                    res.status(400).json({
-                        code: 400,
-                        error: error.message,
-                        debug: error.stack
-                    });
-                }
-            });
-            
-            app.get(`${basePath}/active`, middleware, (req, res) => {
-                node.log('GET /active');
-                res.json(receiverState.active);
-            });
-            
-            app.get(`${basePath}/constraints`, middleware, (req, res) => {
-                node.log('GET /constraints');
-                res.json(receiverState.constraints);
-            });
-            
-            app.get(`${basePath}/transporttype`, middleware, (req, res) => {
-                node.log('GET /transporttype');
-                res.json(receiverState.transporttype);
-            });
-            
-            node.log(`✓ IS-05 API ready: ${connectionAPIBase}/single/receivers/${node.receiverId}`);
-        };
-        
         setupNodeAPI();
         setupTestingFacade();
-        setupConnectionAPI();
-        startDNSSDDiscovery();
-        
-        registerWithRegistry().then(success => {
-            if (success) {
-                node.log('Starting heartbeat (5s interval)');
-                heartbeatInterval = setInterval(() => sendHeartbeats(), 5000);
-                setTimeout(() => sendHeartbeats(), 1000);
-            } else {
-                node.log('Registration failed, retry in 10s');
-                setTimeout(() => registerWithRegistry(), 10000);
-            }
-        });
+        node.log(`✓ IS-05 API ready: ${connectionAPIBase}/ (${senders.length} sender(s), ${receivers.length} receiver(s))`);
+        node.log(`Local IP: ${localIP}, MAC: ${localMAC}, interface: ${ifaceName}`);
+        
+        registration.start();
         
         node.on('input', function(msg) {
             if (msg.payload && msg.payload.action) {
@@ -862,37 +808,69 @@ a=ts-refclk:localmac=${localMAC}`;
                         msg.payload = {
                             nodeId: node.nodeId,
                             deviceId: node.deviceId,
-                            receiverId: node.receiverId,
-                            registered: registrationComplete,
-                            state: receiverState,
-                            connectionAPI: `${connectionAPIBase}/single/receivers/${node.receiverId}`,
+                            receiverId: receivers.length > 0 ? receivers[0].id : null,
+                            registered: registration.getState().state === 'registered',
+                            registration: registration.getState(),
+                            state: receivers.length > 0 ? receivers[0].state : null,
+                            receivers: receivers.map(receiver => ({
+                                id: receiver.id,
+                                label: receiver.label,
+                                format: receiver.format,
+                                state: receiver.state
+                            })),
+                            senders: senders.map(sender => ({
+                                id: sender.id,
+                                sourceId: sender.sourceId,
+                                flowId: sender.flowId,
+                                label: sender.label,
+                                format: sender.format,
+                                state: sender.state
+                            })),
+                            connectionAPI: receivers.length > 0
+                                ? `${connectionAPIBase}/single/receivers/${receivers[0].id}`
+                                : `${connectionAPIBase}/`,
                             localIP: localIP,
                             localMAC: localMAC,
                             interface: ifaceName,
-                            registrationURL: getRegistrationApiUrl()
+                            registrationURL: registration.getState().registry || getRegistrationApiUrl()
                         };
                         node.send(msg);
                         break;
                         
-                    case 'disconnect':
-                        receiverState.staged.sender_id = null;
-                        receiverState.staged.master_enable = false;
-                        receiverState.active = JSON.parse(JSON.stringify(receiverState.staged));
-                        receiverState.active.transport_file = { data: null, type: null };
+                    case 'disconnect': {
+                        // One receiver (msg.receiverId) or all of them
+                        const receiverId = msg.payload.receiverId || msg.receiverId;
+                        const targets = receiverId ? receivers.filter(receiver => receiver.id === receiverId) : receivers;
+                        if (receiverId && targets.length === 0) {
+                            node.warn(`Unknown receiver: ${receiverId}`);
+                            break;
+                        }
                         
-                        updateReceiverInRegistry();
+                        for (const receiver of targets) {
+                            receiver.handle.cancelScheduled();
+                            for (const state of [receiver.state.staged, receiver.state.active]) {
+                                state.sender_id = null;
+                                state.master_enable = false;
+                                state.transport_file = { data: null, type: null };
+                            }
+                            
+                            updateInRegistry('receiver', buildReceiverResource(receiver));
+                            
+                            node.send({
+                                ...msg,
+                                payload: {
+                                    event: 'disconnected',
+                                    receiverId: receiver.id
+                                }
+                            });
+                        }
                         node.status({fill: "yellow", shape: "ring", text: "disconnected"});
-                        
-                        msg.payload = {
-                            event: 'disconnected',
-                            receiverId: node.receiverId
-                        };
-                        node.send(msg);
                         break;
+                    }
                         
                     case 're-register':
                         node.log('Manual re-registration requested');
-                        registerWithRegistry();
+                        registration.start('manual re-registration');
                         break;
                         
                     default:
@@ -904,20 +882,12 @@ a=ts-refclk:localmac=${localMAC}`;
         node.on('close', function(done) {
             node.log('Shutting down...');
             
-            if (heartbeatInterval) {
-                clearInterval(heartbeatInterval);
-            }
+            [...senders, ...receivers].forEach(endpoint => endpoint.handle.close());
             
-            if (mdnsBrowser) {
-                try {
-                    mdnsBrowser.stop();
-                    bonjour.destroy();
-                } catch (err) {
-                    node.log(`DNS-SD cleanup error: ${err.message}`);
-                }
-            }
+            node.registry.removeListener('registry-changed', registryChanged);
+            stopPeerToPeer();
             
-            unregisterFromRegistry().then(() => {
+            registration.stop().then(() => {
                 node.status({});
                 done();
             }).catch(() => done());
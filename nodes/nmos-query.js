@@ -1,4 +1,4 @@
-const axios = require('axios');
+const { buildRql, validateRql, buildQueryOptions } = require('../lib/rql');
 
 module.exports = function(RED) {
     function NMOSQueryNode(config) {
@@ -7,6 +7,9 @@ module.exports = function(RED) {
         
         this.registry = RED.nodes.getNode(config.registry);
         this.resourceType = config.resourceType || 'devices';
+        this.pagingMode = config.pagingMode || 'single'; // single, merged, stream
+        this.pageSize = parseInt(config.pageSize) || 0;
+        this.maxItems = parseInt(config.maxItems) || 10000;
         
         if (!this.registry) {
             node.error("No NMOS registry configured");
@@ -14,71 +17,38 @@ module.exports = function(RED) {
             return;
         }
         
-        // RQL encoding functions (from nmos-js)
-        const encodeRQLNameChars = (str) => {
-            return encodeURIComponent(str.toString()).replace(/[!'()]/g, c => {
-                return '%' + c.charCodeAt(0).toString(16);
-            });
-        };
-        
-        const encodeRQLKeyValueFilter = (key, value) => {
-            const values = Array.isArray(value) ? value : [value];
-            const terms = [];
-            
-            for (const val of values) {
-                if (typeof val === 'string' && val.length > 0) {
-                    const encodedValue = encodeRQLNameChars(val);
-                    terms.push(`matches(${key},string:${encodedValue},i)`);
-                } else if (typeof val === 'boolean') {
-                    terms.push(`eq(${key},${encodeRQLNameChars(val)})`);
-                } else if (typeof val === 'number' && !isNaN(val)) {
-                    terms.push(`eq(${key},${encodeRQLNameChars(val)})`);
-                }
-            }
-            
-            if (terms.length > 1) {
-                return `or(${terms.join(',')})`;
-            } else if (terms.length === 1) {
-                return terms[0];
-            }
-            return null;
-        };
-        
         const encodeBasicKeyValueFilter = (key, value) => {
             if (typeof value === 'string' && value.length > 0) {
                 return `${key}=${encodeURIComponent(value)}`;
             } else if (typeof value === 'boolean' || typeof value === 'number') {
                 return `${key}=${encodeURIComponent(value)}`;
+            } else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                throw new Error(`Filter on ${key} uses operators, which need RQL (enable RQL in nmos-config)`);
             }
             return null;
         };
         
-        const buildQueryString = (filter, useRql) => {
+        // Raw RQL (msg.rql) wins over a structured filter; both are validated before sending
+        const buildQueryString = (filter, useRql, rql, queryOptions) => {
             const queryParams = [];
             
-            if (!filter || Object.keys(filter).length === 0) {
-                return '';
-            }
-            
-            if (useRql) {
-                const matchParams = [];
-                for (const [key, value] of Object.entries(filter)) {
-                    const param = encodeRQLKeyValueFilter(key, value);
-                    if (param) matchParams.push(param);
-                }
-                
-                if (matchParams.length > 1) {
-                    queryParams.push(`query.rql=and(${matchParams.join(',')})`);
-                } else if (matchParams.length === 1) {
-                    queryParams.push(`query.rql=${matchParams[0]}`);
-                }
-            } else {
-                for (const [key, value] of Object.entries(filter)) {
-                    const param = encodeBasicKeyValueFilter(key, value);
-                    if (param) queryParams.push(param);
+            if (rql) {
+                validateRql(rql);
+                queryParams.push(`query.rql=${rql}`);
+            } else if (filter && Object.keys(filter).length > 0) {
+                if (useRql) {
+                    const expression = buildRql(filter);
+                    if (expression) queryParams.push(`query.rql=${expression}`);
+                } else {
+                    for (const [key, value] of Object.entries(filter)) {
+                        const param = encodeBasicKeyValueFilter(key, value);
+                        if (param) queryParams.push(param);
+                    }
                 }
             }
             
+            queryParams.push(...buildQueryOptions(queryOptions));
+            
             return queryParams.length > 0 ? '?' + queryParams.join('&') : '';
         };
         
@@ -96,63 +66,178 @@ module.exports = function(RED) {
             return pagination;
         };
         
+        // X-Paging-* response headers describing the window a page covers
+        const parsePagingHeaders = (headers) => {
+            const paging = {};
+            if (headers['x-paging-since'] !== undefined) paging.since = headers['x-paging-since'];
+            if (headers['x-paging-until'] !== undefined) paging.until = headers['x-paging-until'];
+            if (headers['x-paging-limit'] !== undefined) paging.limit = parseInt(headers['x-paging-limit']);
+            return paging;
+        };
+        
+        const fetchPage = async (path, url) => {
+            // Pagination links are absolute; everything else goes through registry failover
+            const response = await node.registry.query({
+                url: url || undefined,
+                path: path || '',
+                timeout: 30000,
+                validateStatus: function (status) {
+                    return status >= 200 && status < 500;
+                }
+            });
+            
+            if (response.status !== 200) {
+                throw new Error(`HTTP ${response.status}: ${response.data.error || response.statusText}`);
+            }
+            
+            return {
+                response: response,
+                data: Array.isArray(response.data) ? response.data : [],
+                pagination: parseLinkHeader(response.headers['link']),
+                paging: parsePagingHeaders(response.headers),
+                url: response.config.url
+            };
+        };
+        
         node.on('input', async function(msg) {
             try {
                 const resourceType = msg.resourceType || node.resourceType;
                 const filter = msg.filter || (msg.payload && msg.payload.filter) || {};
+                const rql = msg.rql || (msg.payload && msg.payload.rql);
+                const queryOptions = msg.query || (msg.payload && msg.payload.query);
                 const paginationURL = msg.paginationURL || (msg.payload && msg.payload.paginationURL);
+                const pagingMode = msg.pagingMode || node.pagingMode;
+                const pageSize = parseInt(msg.pageSize) || node.pageSize || node.registry.pagingLimit;
+                const maxItems = parseInt(msg.maxItems) || node.maxItems;
                 
-                let url;
-                if (paginationURL) {
-                    url = paginationURL;
-                } else {
-                    const baseUrl = `${node.registry.getQueryApiUrl()}/${resourceType}/`;
-                    const queryString = buildQueryString(filter, node.registry.useRql);
-                    url = baseUrl + queryString;
+                let path = null;
+                if (!paginationURL) {
+                    const queryString = buildQueryString(filter, node.registry.useRql, rql, queryOptions);
+                    path = `/${resourceType}/` + queryString;
                     
                     const separator = queryString ? '&' : '?';
-                    url += `${separator}paging.limit=${node.registry.pagingLimit}`;
+                    path += `${separator}paging.limit=${pageSize}`;
                     
                     if (resourceType !== 'logs') {
-                        url += '&paging.order=update';
+                        path += '&paging.order=update';
                     }
                 }
                 
                 node.status({fill: "blue", shape: "dot", text: "querying..."});
                 
-                const response = await axios.get(url, {
-                    headers: node.registry.getAuthHeaders(),
-                    timeout: 30000,
-                    validateStatus: function (status) {
-                        return status >= 200 && status < 500;
-                    }
-                });
+                if (pagingMode === 'single') {
+                    const page = await fetchPage(path, paginationURL);
+                    
+                    msg.payload = {
+                        data: page.response.data,
+                        total: page.data.length,
+                        pagination: page.pagination,
+                        paging: page.paging,
+                        resourceType: resourceType
+                    };
+                    msg.statusCode = page.response.status;
+                    msg.headers = page.response.headers;
+                    msg.url = page.url;
+                    
+                    node.status({
+                        fill: "green", 
+                        shape: "dot", 
+                        text: `${page.data.length} ${resourceType}`
+                    });
+                    
+                    node.send(msg);
+                    return;
+                }
                 
-                if (response.status !== 200) {
-                    throw new Error(`HTTP ${response.status}: ${response.data.error || response.statusText}`);
+                // IS-04 serves the newest page first; 'prev' (paging.until=<X-Paging-Since>) leads to older
+                // resources. Follow it until a short or empty page, a repeated link or the item cap
+                const seen = new Map();
+                const visited = new Set();
+                const firstPaging = {};
+                let lastPaging = {};
+                let pageCount = 0;
+                let truncated = false;
+                let nextUrl = paginationURL;
+                let nextPath = path;
+                
+                while (true) {
+                    const page = await fetchPage(nextPath, nextUrl);
+                    visited.add(page.url);
+                    pageCount++;
+                    
+                    if (pageCount === 1) {
+                        Object.assign(firstPaging, page.paging);
+                    }
+                    lastPaging = page.paging;
+                    
+                    // A resource updated while walking can show up on two pages; keep the newest (first) copy
+                    let items = page.data.filter(item => !(item && item.id !== undefined && seen.has(item.id)));
+                    if (seen.size + items.length > maxItems) {
+                        items = items.slice(0, maxItems - seen.size);
+                        truncated = true;
+                    }
+                    items.forEach((item, index) => {
+                        seen.set(item && item.id !== undefined ? item.id : `${pageCount}:${index}`, item);
+                    });
+                    
+                    const limit = page.paging.limit || pageSize;
+                    const older = page.pagination.prev;
+                    const done = truncated || !older || visited.has(older) || page.data.length === 0 || page.data.length < limit;
+                    
+                    if (pagingMode === 'stream') {
+                        const pageMsg = RED.util.cloneMessage(msg);
+                        pageMsg.payload = {
+                            data: items,
+                            total: items.length,
+                            pagination: page.pagination,
+                            paging: page.paging,
+                            resourceType: resourceType
+                        };
+                        pageMsg.page = { index: pageCount - 1, items: seen.size, last: done };
+                        pageMsg.statusCode = page.response.status;
+                        pageMsg.headers = page.response.headers;
+                        pageMsg.url = page.url;
+                        if (done) {
+                            pageMsg.complete = true;
+                            pageMsg.payload.truncated = truncated;
+                        }
+                        node.send(pageMsg);
+                    }
+                    
+                    node.status({fill: "blue", shape: "dot", text: `${seen.size} ${resourceType} (page ${pageCount})`});
+                    
+                    if (done) break;
+                    nextUrl = older;
+                    nextPath = null;
                 }
                 
-                const pagination = parseLinkHeader(response.headers['link']);
-                const resultCount = Array.isArray(response.data) ? response.data.length : 0;
+                if (truncated) {
+                    node.warn(`Stopped after ${maxItems} ${resourceType} (max items reached)`);
+                }
                 
-                msg.payload = {
-                    data: response.data,
-                    total: resultCount,
-                    pagination: pagination,
-                    resourceType: resourceType
-                };
-                msg.statusCode = response.status;
-                msg.headers = response.headers;
-                msg.url = url;
+                if (pagingMode === 'merged') {
+                    msg.payload = {
+                        data: Array.from(seen.values()),
+                        total: seen.size,
+                        pages: pageCount,
+                        truncated: truncated,
+                        // The walk goes back in time: the window runs from the last page's 'since' to the first page's 'until'
+                        paging: {
+                            since: lastPaging.since,
+                            until: firstPaging.until
+                        },
+                        resourceType: resourceType
+                    };
+                    msg.statusCode = 200;
+                    node.send(msg);
+                }
                 
                 node.status({
-                    fill: "green", 
-                    shape: "dot", 
-                    text: `${resultCount} ${resourceType}`
+                    fill: truncated ? "yellow" : "green",
+                    shape: "dot",
+                    text: `${seen.size} ${resourceType} (${pageCount} pages)`
                 });
                 
-                node.send(msg);
-                
             } catch (error) {
                 node.status({fill: "red", shape: "ring", text: "error"});
                 
@@ -165,7 +250,7 @@ module.exports = function(RED) {
                         statusCode: error.response.status
                     };
                 } else if (error.code === 'ECONNREFUSED') {
-                    errorMsg = `Connection refused: ${node.registry.registryUrl}`;
+                    errorMsg = `Connection refused: ${node.registry.getRegistryUrl()}`;
                     msg.payload = { error: errorMsg };
                 } else {
                     msg.payload = { error: error.message };
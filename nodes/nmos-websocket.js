@@ -1,238 +1,600 @@
 const WebSocket = require('ws');
-const axios = require('axios');
+const { decodeGrain, diffSync, createResourceCache } = require('../lib/resource-cache');
+const { validateRql } = require('../lib/rql');
+
+// Reconnect backoff: 1s, 2s, 4s... up to a minute, each randomised to 50-100%
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60000;
+
+// 75000 -> '1m 15s'
+const formatDuration = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    return seconds % 60 ? `${minutes}m ${seconds % 60}s` : `${minutes}m`;
+};
 
 module.exports = function(RED) {
     function NMOSWebSocketNode(config) {
         RED.nodes.createNode(this, config);
         const node = this;
-        
+
         this.registry = RED.nodes.getNode(config.registry);
         this.resourceType = config.resourceType || 'devices';
-        
+        // Flows created before typed events keep receiving raw grains
+        this.outputMode = config.outputMode || 'grains'; // grains, events
+        this.syncOutput = config.syncOutput || 'each'; // each, batch, none
+        this.contextKey = config.contextKey || '';
+        this.reuseSubscriptions = config.reuseSubscriptions === true;
+
+        // One entry per subscription (and output); older nodes only have resourceType
+        this.subscriptions = (Array.isArray(config.subscriptions) && config.subscriptions.length > 0)
+            ? config.subscriptions
+            : [{ resourceType: this.resourceType }];
+
         if (!this.registry) {
             node.error("No NMOS registry configured");
             node.status({fill: "red", shape: "ring", text: "no config"});
             return;
         }
-        
-        let ws = null;
-        let reconnectTimer = null;
-        let subscriptionId = null;
+
+        if (node.registry.tlsError) {
+            node.error(node.registry.tlsError.message);
+            node.status({fill: "red", shape: "ring", text: "TLS error"});
+            return;
+        }
+
         let isClosing = false;
-        
-        async function createSubscription() {
+
+        // Live view of every resource seen on the subscriptions
+        const cache = createResourceCache();
+
+        // Helper: Cached resources for other nodes (all of a type, or one by id)
+        this.getCache = function(resourceType, id) {
+            const type = resourceType || node.subscriptions[0].resourceType;
+            return id ? cache.get(type, id) : cache.list(type);
+        };
+
+        const publishCache = () => {
+            if (node.contextKey) {
+                node.context().global.set(node.contextKey, cache.snapshot());
+            }
+        };
+
+        // "label=Camera*&tags.location=Studio A" -> { label: 'Camera*', 'tags.location': 'Studio A' }
+        const parseParams = (text) => {
+            const params = {};
+            for (const pair of String(text || '').split('&')) {
+                if (!pair.trim()) continue;
+                const index = pair.indexOf('=');
+                if (index <= 0) {
+                    throw new Error(`Invalid subscription parameter: ${pair}`);
+                }
+                const key = pair.slice(0, index).trim();
+                const value = pair.slice(index + 1).trim();
+                try {
+                    params[key] = decodeURIComponent(value);
+                } catch (e) {
+                    params[key] = value;
+                }
+            }
+            return params;
+        };
+
+        // Subscription request body for one configured entry (validated up front)
+        const buildSubscriptionData = (entry) => {
+            const params = parseParams(entry.params);
+            if (entry.rql) {
+                validateRql(entry.rql);
+                params['query.rql'] = entry.rql;
+            }
+            if (entry.downgrade) {
+                if (!/^v\d+\.\d+$/.test(entry.downgrade)) {
+                    throw new Error(`Invalid downgrade version: ${entry.downgrade}`);
+                }
+                params['query.downgrade'] = entry.downgrade;
+            }
+
+            const maxUpdateRate = parseInt(entry.maxUpdateRate);
+
+            return {
+                max_update_rate_ms: maxUpdateRate >= 0 ? maxUpdateRate : 100,
+                resource_path: `/${entry.resourceType || 'devices'}`,
+                params: params,
+                persist: entry.persist === true,
+                // BCP-003-01: ask for a wss:// ws_href when TLS is enabled
+                secure: node.registry.tlsEnabled
+            };
+        };
+
+        const sameParams = (a, b) => {
+            const keysA = Object.keys(a || {});
+            const keysB = Object.keys(b || {});
+            return keysA.length === keysB.length && keysA.every(key => String(a[key]) === String((b || {})[key]));
+        };
+
+        const describeError = (error) => {
+            if (error.response) {
+                return `HTTP ${error.response.status}: ${error.response.data.error || error.response.statusText}`;
+            } else if (error.code === 'ECONNREFUSED') {
+                return `Connection refused: ${node.registry.getRegistryUrl()}`;
+            }
+            return error.message;
+        };
+
+        // Look for a subscription on the registry with exactly the same settings
+        async function findSubscription(subscriptionData) {
+            const response = await node.registry.query({
+                method: 'get',
+                path: '/subscriptions',
+                timeout: 30000
+            });
+
+            const existing = (Array.isArray(response.data) ? response.data : []).find(sub =>
+                sub.resource_path === subscriptionData.resource_path &&
+                sub.max_update_rate_ms === subscriptionData.max_update_rate_ms &&
+                sub.persist === subscriptionData.persist &&
+                sub.secure === subscriptionData.secure &&
+                sameParams(sub.params, subscriptionData.params) &&
+                sub.ws_href
+            );
+
+            return existing ? { ...existing, registryUrl: response.registryUrl } : null;
+        }
+
+        async function createSubscription(subscriptionData) {
             try {
-                const subscriptionUrl = `${node.registry.getQueryApiUrl()}/subscriptions`;
-                
-                const subscriptionData = {
-                    max_update_rate_ms: 100,
-                    resource_path: `/${node.resourceType}`,
-                    params: {},
-                    persist: false,
-                    secure: false
-                };
-                
-                node.log(`Creating subscription at: ${subscriptionUrl}`);
-                
-                const response = await axios.post(subscriptionUrl, subscriptionData, {
-                    headers: node.registry.getAuthHeaders(),
+                if (node.reuseSubscriptions) {
+                    const existing = await findSubscription(subscriptionData);
+                    if (existing) {
+                        node.log(`Reusing subscription ${existing.id} for ${subscriptionData.resource_path}`);
+                        return {
+                            id: existing.id,
+                            ws_href: existing.ws_href,
+                            registryUrl: existing.registryUrl,
+                            created: false
+                        };
+                    }
+                }
+
+                node.log(`Creating subscription at: ${node.registry.getQueryApiUrl()}/subscriptions`);
+
+                const response = await node.registry.query({
+                    method: 'post',
+                    path: '/subscriptions',
+                    data: subscriptionData,
                     timeout: 30000,
                     validateStatus: function (status) {
                         return status >= 200 && status < 300;
                     }
                 });
-                
+
                 if (response.status !== 200 && response.status !== 201) {
                     throw new Error(`HTTP ${response.status}: ${response.data.error || response.statusText}`);
                 }
-                
+
                 const subscription = response.data;
                 if (!subscription.id || !subscription.ws_href) {
                     throw new Error('Invalid subscription response: missing id or ws_href');
                 }
-                
+
                 node.log(`Subscription created: ${subscription.id}`);
                 node.log(`WebSocket href: ${subscription.ws_href}`);
-                
+
                 return {
                     id: subscription.id,
-                    ws_href: subscription.ws_href
+                    ws_href: subscription.ws_href,
+                    registryUrl: response.registryUrl,
+                    created: true
                 };
-                
+
             } catch (error) {
-                let errorMsg = error.message;
-                if (error.response) {
-                    errorMsg = `HTTP ${error.response.status}: ${error.response.data.error || error.response.statusText}`;
-                } else if (error.code === 'ECONNREFUSED') {
-                    errorMsg = `Connection refused: ${node.registry.registryUrl}`;
-                }
-                throw new Error(`Failed to create subscription: ${errorMsg}`);
+                throw new Error(`Failed to create subscription: ${describeError(error)}`);
             }
         }
-        
-        async function deleteSubscription(subId) {
+
+        async function deleteSubscription(subId, registryUrl) {
             if (!subId) return;
-            
+
             try {
-                const subscriptionUrl = `${node.registry.getQueryApiUrl()}/subscriptions/${subId}`;
-                
+                // Subscriptions live on the registry that created them, so no failover here
+                const subscriptionUrl = `${node.registry.getQueryApiUrl(registryUrl || undefined)}/subscriptions/${subId}`;
+
                 node.log(`Deleting subscription: ${subId}`);
-                
-                await axios.delete(subscriptionUrl, {
-                    headers: node.registry.getAuthHeaders(),
+
+                await node.registry.query({
+                    method: 'delete',
+                    url: subscriptionUrl,
+                    retries: 0,
                     timeout: 10000,
                     validateStatus: function (status) {
                         return (status >= 200 && status < 300) || status === 404;
                     }
                 });
-                
+
                 node.log(`Subscription deleted: ${subId}`);
-                
+
             } catch (error) {
                 node.error(`Failed to delete subscription ${subId}: ${error.message}`);
             }
         }
-        
-        async function connect() {
-            if (isClosing) return;
-            
+
+        const updateStatus = () => {
+            const connected = handles.filter(handle => handle.connected).length;
+            if (handles.length === 1) {
+                const handle = handles[0];
+                if (handle.connected) {
+                    const count = cache.size(handle.resourceType);
+                    const details = [];
+                    if (count > 0) details.push(`${count} ${handle.resourceType}`);
+                    if (handle.lastOutageMs) details.push(`resynced after ${formatDuration(handle.lastOutageMs)}`);
+                    node.status({fill: "green", shape: "dot", text: details.length > 0 ? `connected (${details.join(', ')})` : "connected"});
+                }
+                return;
+            }
+
+            // Longest current outage, if any subscription is down
+            const down = handles.filter(handle => handle.disconnectedAt).map(handle => Date.now() - handle.disconnectedAt);
+            const outage = down.length > 0 ? `, down ${formatDuration(Math.max(...down))}` : '';
+            node.status({
+                fill: connected === handles.length ? "green" : "yellow",
+                shape: connected > 0 ? "dot" : "ring",
+                text: `connected ${connected}/${handles.length} (${cache.size()} resources${outage})`
+            });
+        };
+
+        // Route a message to the output belonging to a subscription
+        const sendTo = (index, msg) => {
+            if (handles.length === 1) {
+                node.send(msg);
+                return;
+            }
+            const outputs = new Array(handles.length).fill(null);
+            outputs[index] = msg;
+            node.send(outputs);
+        };
+
+        /**
+         * One registry subscription and its WebSocket
+         */
+        const createHandle = (entry, index) => {
+            const handle = {
+                index: index,
+                resourceType: entry.resourceType || 'devices',
+                ws: null,
+                reconnectTimer: null,
+                subscriptionId: null,
+                registryUrl: null,
+                created: false,
+                persist: entry.persist === true,
+                connected: false,
+                // Resources by id as last seen on this subscription, for resync after an outage
+                // and to keep shared cache entries other subscriptions of the type still hold
+                known: new Map(),
+                resyncPending: false,
+                attempt: 0,
+                disconnectedAt: null,
+                lastOutageMs: 0
+            };
+
+            let subscriptionData = null;
             try {
-                // Step 1: Create HTTP subscription
-                node.status({fill: "yellow", shape: "ring", text: "subscribing..."});
-                
-                const subscription = await createSubscription();
-                subscriptionId = subscription.id;
-                
-                // Step 2: Connect to the WebSocket URL returned from subscription
-                const wsUrl = subscription.ws_href;
-                node.status({fill: "yellow", shape: "ring", text: "connecting..."});
-                node.log(`Connecting to WebSocket: ${wsUrl}`);
-                
-                const wsOptions = {
-                    headers: {}
+                subscriptionData = buildSubscriptionData(entry);
+            } catch (error) {
+                node.error(`Subscription ${index + 1} (${handle.resourceType}): ${error.message}`);
+            }
+
+            const buildChangeMessage = (change, message) => {
+                return {
+                    topic: `${change.resourceType}/${change.type}`,
+                    payload: change.resource,
+                    event: change.type,
+                    resourceType: change.resourceType,
+                    resourceId: change.id,
+                    pre: change.pre,
+                    post: change.post,
+                    timestamp: message.origin_timestamp || null,
+                    subscriptionId: handle.subscriptionId,
+                    resync: change.resync === true
                 };
-                
-                const credentials = node.registry.credentials;
-                if (credentials && credentials.token) {
-                    wsOptions.headers['Authorization'] = `Bearer ${credentials.token}`;
-                } else if (credentials && credentials.username && credentials.password) {
-                    const auth = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
-                    wsOptions.headers['Authorization'] = `Basic ${auth}`;
-                }
-                
-                ws = new WebSocket(wsUrl, wsOptions);
-                
-                ws.on('open', function() {
-                    node.status({fill: "green", shape: "dot", text: "connected"});
-                    node.log('WebSocket connected');
+            };
+
+            const sendConnectionEvent = (event, payload) => {
+                // Raw grain flows only ever see grains
+                if (node.outputMode === 'grains') return;
+                sendTo(index, {
+                    topic: `${handle.resourceType}/${event}`,
+                    payload: payload,
+                    event: event,
+                    resourceType: handle.resourceType,
+                    subscriptionId: handle.subscriptionId
                 });
-                
-                ws.on('message', function(data) {
-                    try {
-                        const message = JSON.parse(data.toString());
-                        
-                        // Handle grain messages (resource updates)
-                        if (message.grain_type || message.grain) {
-                            const msg = {
-                                payload: message,
-                                topic: node.resourceType,
-                                subscriptionId: subscriptionId
-                            };
-                            node.send(msg);
-                        }
-                    } catch (error) {
-                        node.error(`Error parsing WebSocket message: ${error.message}`);
+            };
+
+            const remember = (change) => {
+                if (change.type === 'removed') {
+                    handle.known.delete(change.id);
+                } else {
+                    handle.known.set(change.id, change.resource);
+                }
+            };
+
+            const handleGrain = (message) => {
+                let changes = decodeGrain(message, handle.resourceType);
+
+                // The first grain after a reconnect is the registry's full sync: replace it
+                // with what changed while we were away
+                if (handle.resyncPending) {
+                    handle.resyncPending = false;
+                    if (changes.every(change => change.type === 'sync')) {
+                        changes = diffSync(handle.known, changes, handle.resourceType)
+                            .map(change => ({ ...change, resync: true }));
+                        node.log(`Resync ${handle.resourceType}: ${changes.length} change(s) missed during the outage`);
                     }
-                });
-                
-                ws.on('error', function(error) {
-                    if (!isClosing) {
-                        node.status({fill: "red", shape: "ring", text: "error"});
-                        node.error(`WebSocket error: ${error.message}`);
+                }
+
+                changes.forEach(change => {
+                    remember(change);
+
+                    // Subscriptions of one type share the cache: a resource leaving this
+                    // handle's filter stays while another subscription still holds it
+                    const holder = change.type === 'removed'
+                        ? handles.find(other => other !== handle && other.resourceType === change.resourceType && other.known.has(change.id))
+                        : null;
+                    if (holder) {
+                        cache.apply({ ...change, type: 'modified', resource: holder.known.get(change.id) });
+                    } else {
+                        cache.apply(change);
                     }
                 });
-                
-                ws.on('close', function(code, reason) {
-                    if (!isClosing) {
-                        node.status({fill: "yellow", shape: "ring", text: "disconnected"});
-                        node.log(`WebSocket closed: ${code} - ${reason}`);
-                        
-                        // Clean up old subscription
-                        const oldSubId = subscriptionId;
-                        subscriptionId = null;
-                        ws = null;
-                        
-                        if (oldSubId) {
-                            deleteSubscription(oldSubId).catch(err => {
+                if (changes.length > 0) {
+                    publishCache();
+                }
+
+                if (node.outputMode === 'grains') {
+                    sendTo(index, {
+                        payload: message,
+                        topic: handle.resourceType,
+                        subscriptionId: handle.subscriptionId
+                    });
+                    return;
+                }
+
+                const syncs = changes.filter(change => change.type === 'sync');
+                if (syncs.length > 0 && node.syncOutput === 'batch') {
+                    sendTo(index, {
+                        topic: `${syncs[0].resourceType}/sync`,
+                        payload: syncs.map(change => change.resource),
+                        event: 'sync',
+                        resourceType: syncs[0].resourceType,
+                        timestamp: message.origin_timestamp || null,
+                        subscriptionId: handle.subscriptionId
+                    });
+                }
+
+                for (const change of changes) {
+                    if (change.type === 'sync' && node.syncOutput !== 'each') continue;
+                    sendTo(index, buildChangeMessage(change, message));
+                }
+
+                if (changes.length > 0) {
+                    updateStatus();
+                }
+            };
+
+            // Only subscriptions we created are deleted; persistent ones are left for the next deploy
+            const releaseSubscription = () => {
+                const subId = handle.subscriptionId;
+                const registryUrl = handle.registryUrl;
+                const owned = handle.created && !handle.persist;
+                handle.subscriptionId = null;
+                handle.registryUrl = null;
+                handle.created = false;
+
+                if (subId && owned) {
+                    return deleteSubscription(subId, registryUrl);
+                }
+                return Promise.resolve();
+            };
+
+            const scheduleReconnect = () => {
+                if (handle.reconnectTimer || isClosing) return;
+
+                // Jitter spreads reconnects from many nodes after a registry restart
+                const ceiling = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, handle.attempt));
+                const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+                handle.attempt++;
+
+                node.log(`Reconnecting ${handle.resourceType} in ${formatDuration(delay)} (attempt ${handle.attempt})`);
+                if (handles.length === 1) {
+                    const outage = handle.disconnectedAt ? `, down ${formatDuration(Date.now() - handle.disconnectedAt)}` : '';
+                    node.status({fill: "yellow", shape: "ring", text: `reconnecting in ${formatDuration(delay)}${outage}`});
+                } else {
+                    updateStatus();
+                }
+
+                handle.reconnectTimer = setTimeout(() => {
+                    handle.reconnectTimer = null;
+                    connect();
+                }, delay);
+            };
+
+            async function connect() {
+                if (isClosing || !subscriptionData) return;
+
+                try {
+                    // Step 1: Create (or reuse) the HTTP subscription
+                    node.status({fill: "yellow", shape: "ring", text: "subscribing..."});
+
+                    const subscription = await createSubscription(subscriptionData);
+                    handle.subscriptionId = subscription.id;
+                    handle.registryUrl = subscription.registryUrl;
+                    handle.created = subscription.created;
+
+                    // Step 2: Connect to the WebSocket URL returned from subscription
+                    const wsUrl = subscription.ws_href;
+                    node.status({fill: "yellow", shape: "ring", text: "connecting..."});
+                    node.log(`Connecting to WebSocket: ${wsUrl}`);
+
+                    if (node.registry.tlsEnabled && !String(wsUrl).startsWith('wss://')) {
+                        node.warn(`Registry returned a non-secure ws_href: ${wsUrl}`);
+                    }
+
+                    const wsOptions = {
+                        ...node.registry.getTlsOptions(),
+                        headers: {}
+                    };
+
+                    // Same credentials as REST calls (IS-10 token, static token or basic auth)
+                    const authorization = node.registry.getAuthHeaders()['Authorization'];
+                    if (authorization) {
+                        wsOptions.headers['Authorization'] = authorization;
+                    }
+
+                    const ws = new WebSocket(wsUrl, wsOptions);
+                    handle.ws = ws;
+
+                    ws.on('open', function() {
+                        handle.connected = true;
+                        handle.attempt = 0;
+                        node.log(`WebSocket connected (${handle.resourceType})`);
+
+                        if (handle.disconnectedAt) {
+                            const since = handle.disconnectedAt;
+                            handle.lastOutageMs = Date.now() - since;
+                            handle.disconnectedAt = null;
+                            handle.resyncPending = true;
+                            node.log(`WebSocket restored (${handle.resourceType}) after ${formatDuration(handle.lastOutageMs)}`);
+                            sendConnectionEvent('connection_restored', {
+                                since: new Date(since).toISOString(),
+                                outageMs: handle.lastOutageMs
+                            });
+                        }
+
+                        updateStatus();
+                    });
+
+                    ws.on('message', function(data) {
+                        try {
+                            const message = JSON.parse(data.toString());
+
+                            // Handle grain messages (resource updates)
+                            if (message.grain_type || message.grain) {
+                                handleGrain(message);
+                            }
+                        } catch (error) {
+                            node.error(`Error parsing WebSocket message: ${error.message}`);
+                        }
+                    });
+
+                    ws.on('error', function(error) {
+                        if (!isClosing) {
+                            node.status({fill: "red", shape: "ring", text: "error"});
+                            node.error(`WebSocket error: ${error.message}`);
+
+                            // Handshake rejected with 401: fetch a fresh IS-10 token before reconnecting
+                            if (/\b401\b/.test(error.message) && node.registry.refreshAuthToken) {
+                                node.registry.refreshAuthToken().catch(() => {});
+                            }
+                        }
+                    });
+
+                    ws.on('close', function(code, reason) {
+                        const wasConnected = handle.connected;
+                        handle.connected = false;
+                        if (!isClosing) {
+                            node.status({fill: "yellow", shape: "ring", text: "disconnected"});
+                            node.log(`WebSocket closed: ${code} - ${reason}`);
+                            handle.ws = null;
+
+                            if (wasConnected) {
+                                handle.disconnectedAt = Date.now();
+                                sendConnectionEvent('connection_lost', {
+                                    since: new Date(handle.disconnectedAt).toISOString(),
+                                    code: code,
+                                    reason: reason ? reason.toString() : ''
+                                });
+                            }
+
+                            // Clean up old subscription
+                            releaseSubscription().catch(err => {
                                 node.error(`Error deleting subscription on close: ${err.message}`);
                             });
+
+                            scheduleReconnect();
                         }
-                        
-                        if (!reconnectTimer) {
-                            node.log('Reconnecting in 5 seconds...');
-                            reconnectTimer = setTimeout(() => {
-                                reconnectTimer = null;
-                                connect();
-                            }, 5000);
+                    });
+
+                } catch (error) {
+                    node.error(`Connection error: ${error.message}`);
+                    node.status({fill: "red", shape: "ring", text: "error"});
+
+                    // Clean up subscription if it was created
+                    await releaseSubscription();
+                    scheduleReconnect();
+                }
+            }
+
+            const close = () => {
+                if (handle.reconnectTimer) {
+                    clearTimeout(handle.reconnectTimer);
+                    handle.reconnectTimer = null;
+                }
+
+                if (handle.ws) {
+                    handle.ws.close();
+                    handle.ws = null;
+                }
+
+                // Delete the subscription to clean up resources
+                return releaseSubscription().catch(err => {
+                    node.error(`Error deleting subscription on close: ${err.message}`);
+                });
+            };
+
+            handle.connect = connect;
+            handle.close = close;
+            return handle;
+        };
+
+        const handles = node.subscriptions.map(createHandle);
+        handles.forEach(handle => handle.connect());
+
+        node.on('input', function(msg) {
+            if (msg.payload && msg.payload.action) {
+                switch (msg.payload.action) {
+                    case 'get_cache': {
+                        const resourceType = msg.payload.resourceType;
+                        if (msg.payload.id) {
+                            msg.payload = node.getCache(resourceType, msg.payload.id);
+                        } else if (resourceType) {
+                            msg.payload = cache.list(resourceType);
+                        } else {
+                            msg.payload = cache.snapshot();
                         }
+                        msg.topic = resourceType ? `${resourceType}/cache` : 'cache';
+
+                        // Answer on the output of the matching subscription, else the first one
+                        const handle = handles.find(h => h.resourceType === resourceType);
+                        sendTo(handle ? handle.index : 0, msg);
+                        break;
                     }
-                });
-                
-            } catch (error) {
-                node.error(`Connection error: ${error.message}`);
-                node.status({fill: "red", shape: "ring", text: "error"});
-                
-                // Clean up subscription if it was created
-                if (subscriptionId) {
-                    await deleteSubscription(subscriptionId);
-                    subscriptionId = null;
-                }
-                
-                if (!reconnectTimer && !isClosing) {
-                    node.log('Reconnecting in 5 seconds...');
-                    reconnectTimer = setTimeout(() => {
-                        reconnectTimer = null;
-                        connect();
-                    }, 5000);
+
+                    default:
+                        node.warn('Unknown action: ' + msg.payload.action);
                 }
             }
-        }
-        
-        connect();
-        
+        });
+
         node.on('close', function(done) {
             isClosing = true;
-            
-            if (reconnectTimer) {
-                clearTimeout(reconnectTimer);
-                reconnectTimer = null;
-            }
-            
-            if (ws) {
-                ws.close();
-                ws = null;
-            }
-            
-            // Delete the subscription to clean up resources
-            if (subscriptionId) {
-                const subId = subscriptionId;
-                subscriptionId = null;
-                deleteSubscription(subId)
-                    .then(() => {
-                        node.status({});
-                        done();
-                    })
-                    .catch(err => {
-                        node.error(`Error deleting subscription on close: ${err.message}`);
-                        node.status({});
-                        done();
-                    });
-            } else {
+
+            Promise.all(handles.map(handle => handle.close())).then(() => {
                 node.status({});
                 done();
-            }
+            });
         });
     }
-    
+
     RED.nodes.registerType("nmos-websocket", NMOSWebSocketNode);
-};
\ No newline at end of file
+};